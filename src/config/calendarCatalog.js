@@ -0,0 +1,130 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Regional season calendar files shipped with the API
+export const DEFAULT_CALENDAR_DATA_DIR = path.resolve(__dirname, '../data/calendars');
+
+const MONTH_DAY_PATTERN = /^(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+/**
+ * Convert an MM-DD string to a sortable month-day number (e.g. 03-15 -> 315)
+ * @param {string} monthDay - Date in MM-DD format
+ * @returns {number} Month-day number
+ */
+export const toMonthDay = (monthDay) => {
+  const [month, day] = monthDay.split('-').map(Number);
+  return month * 100 + day;
+};
+
+/**
+ * Check whether a month-day falls inside an inclusive range that may wrap the year end
+ * @param {number} monthDay - Month-day number
+ * @param {string} start - Range start (MM-DD)
+ * @param {string} end - Range end (MM-DD)
+ * @returns {boolean} True if the month-day is in range
+ */
+export const isMonthDayInRange = (monthDay, start, end) => {
+  const from = toMonthDay(start);
+  const to = toMonthDay(end);
+  return from <= to
+    ? monthDay >= from && monthDay <= to
+    : monthDay >= from || monthDay <= to;
+};
+
+/**
+ * Validate a calendar definition
+ * Every day of a leap year must belong to exactly one season.
+ * @param {Object} definition - Parsed calendar definition
+ * @param {string} file - Source file name (used in error messages)
+ * @param {Array} validSeasons - Known season keys
+ */
+const validateCalendarDefinition = (definition, file, validSeasons) => {
+  if (!Array.isArray(definition.seasons) || definition.seasons.length === 0) {
+    throw new Error(`Invalid calendar definition ${file}: seasons must be a non-empty array`);
+  }
+
+  const ranges = [...definition.seasons, ...(definition.transitions || [])];
+  ranges.forEach(range => {
+    if (!MONTH_DAY_PATTERN.test(range.start) || !MONTH_DAY_PATTERN.test(range.end)) {
+      throw new Error(`Invalid calendar definition ${file}: dates must use MM-DD format`);
+    }
+  });
+
+  definition.seasons.forEach(({ season }) => {
+    if (!validSeasons.includes(season)) {
+      throw new Error(`Invalid calendar definition ${file}: unknown season ${season}`);
+    }
+  });
+
+  (definition.transitions || []).forEach(transition => {
+    if (!transition.key || !validSeasons.includes(transition.from) || !validSeasons.includes(transition.to)) {
+      throw new Error(`Invalid calendar definition ${file}: transitions need a key and known from/to seasons`);
+    }
+  });
+
+  const { altitude } = definition;
+  if (altitude !== undefined && (typeof altitude.min !== 'number' || typeof altitude.max !== 'number' || altitude.min > altitude.max)) {
+    throw new Error(`Invalid calendar definition ${file}: altitude must give numeric min and max metres`);
+  }
+
+  const day = new Date(Date.UTC(2024, 0, 1));
+  while (day.getUTCFullYear() === 2024) {
+    const monthDay = (day.getUTCMonth() + 1) * 100 + day.getUTCDate();
+    const matches = definition.seasons.filter(({ start, end }) => isMonthDayInRange(monthDay, start, end));
+
+    if (matches.length !== 1) {
+      const label = day.toISOString().slice(5, 10);
+      throw new Error(`Invalid calendar definition ${file}: ${label} belongs to ${matches.length} seasons`);
+    }
+
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+};
+
+/**
+ * Load regional season calendars from a directory of JSON files
+ * Each file describes one region; the region id is the `id` field or the file name.
+ * @param {string} dataDir - Directory containing calendar definition files
+ * @param {Array} validSeasons - Known season keys
+ * @returns {Object} Calendars keyed by region id
+ */
+export const loadSeasonCalendars = (dataDir = DEFAULT_CALENDAR_DATA_DIR, validSeasons = []) => {
+  const files = fs.readdirSync(dataDir)
+    .filter(file => file.endsWith('.json'))
+    .sort();
+
+  const calendars = {};
+
+  files.forEach(file => {
+    let definition;
+    try {
+      definition = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read calendar definition ${file}: ${error.message}`);
+    }
+
+    validateCalendarDefinition(definition, file, validSeasons);
+
+    const { id, ...calendar } = definition;
+    const region = (id || path.basename(file, '.json')).toLowerCase();
+
+    if (calendars[region]) {
+      throw new Error(`Duplicate calendar definition for ${region} in ${file}`);
+    }
+
+    calendars[region] = {
+      name: region,
+      transitions: [],
+      ...calendar
+    };
+  });
+
+  if (Object.keys(calendars).length === 0) {
+    throw new Error(`No season calendars found in ${dataDir}`);
+  }
+
+  return calendars;
+};
@@ -1,99 +1,292 @@
 import dotenv from 'dotenv';
+import { loadCropCatalog, DEFAULT_CROP_DATA_DIR } from './cropCatalog.js';
+import { loadSeasonCalendars, DEFAULT_CALENDAR_DATA_DIR } from './calendarCatalog.js';
+import { loadPromptCatalog, DEFAULT_PROMPT_DATA_DIR } from './promptCatalog.js';
+import { loadLocaleCatalog, DEFAULT_LOCALE_DATA_DIR } from './localeCatalog.js';
 
 // Load environment variables
 dotenv.config();
 
+const seasons = {
+  shortDry: { start: 'January', end: 'February', description: 'Short dry season', rainy: false },
+  longRains: { start: 'March', end: 'May', description: 'Long rainy season', rainy: true },
+  longDry: { start: 'June', end: 'September', description: 'Long dry season', rainy: false },
+  shortRains: { start: 'October', end: 'December', description: 'Short rainy season', rainy: true }
+};
+
+// Crop definition directory; an empty CROP_DATA_DIR falls back to the bundled crops
+const cropDataDir = process.env.CROP_DATA_DIR || DEFAULT_CROP_DATA_DIR;
+
+// Regional season calendar directory; an empty SEASON_CALENDAR_DIR falls back to the bundled calendars
+const seasonCalendarDir = process.env.SEASON_CALENDAR_DIR || DEFAULT_CALENDAR_DATA_DIR;
+
+// Prompt template directory; an empty PROMPT_DIR falls back to the bundled prompts
+const promptDir = process.env.PROMPT_DIR || DEFAULT_PROMPT_DATA_DIR;
+
+// Message catalogs for the languages advice can be written in; an empty LOCALE_DIR falls back to the bundled catalogs
+const localeDir = process.env.LOCALE_DIR || DEFAULT_LOCALE_DATA_DIR;
+const locales = loadLocaleCatalog(localeDir);
+const defaultLanguage = (process.env.DEFAULT_LANGUAGE || 'en').toLowerCase();
+if (!locales[defaultLanguage]) {
+  throw new Error(`DEFAULT_LANGUAGE ${defaultLanguage} has no message catalog. Available: ${Object.keys(locales).join(', ')}`);
+}
+
 const config = {
   // Server configuration
   port: process.env.PORT || 3000,
   nodeEnv: process.env.NODE_ENV || 'development',
   
   // API Keys
-  geminiApiKey: process.env.GEMINI_API_KEY,
   openWeatherApiKey: process.env.OPENWEATHER_API_KEY,
   
   // API Endpoints
   openWeatherBaseUrl: process.env.OPENWEATHER_BASE_URL || 'https://api.openweathermap.org/data/2.5',
-  geminiBaseUrl: process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent',
+  
+  // LLM provider for AI advice: gemini, openai (or any OpenAI-compatible server), ollama or mock
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'gemini',
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 30000,
+    gemini: {
+      apiKey: process.env.GEMINI_API_KEY,
+      baseUrl: process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent'
+    },
+    openai: {
+      apiKey: process.env.OPENAI_API_KEY,
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+    },
+    ollama: {
+      baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+      model: process.env.OLLAMA_MODEL || 'llama3.1'
+    }
+  },
   
   // Default coordinates (Kigali, Rwanda)
   defaultLat: parseFloat(process.env.DEFAULT_LAT) || -1.9441,
   defaultLon: parseFloat(process.env.DEFAULT_LON) || 30.0619,
   
+  // Rainfall rules for confirming the calendar season against the forecast
+  seasonOnset: {
+    onsetRainfall: 20,      // mm accumulated within onsetWindowDays to confirm onset
+    onsetWindowDays: 3,
+    wetDayRainfall: 1,      // mm for a day to count as wet
+    minimumRainfall: 5,     // mm over the forecast window below which a rainy season looks dry
+    falseStartDryDays: 2,   // trailing dry days after rain that suggest a false start
+    onsetPeriodDays: 30,    // days after a rainy season starts that count as the onset period
+    cessationPeriodDays: 21 // days before a rainy season ends that count as the cessation period
+  },
+  
+  // Planting calendar rules
+  plantingCalendar: {
+    windowDays: 30, // planting stays open this many days after the season starts
+    // Drought tolerant varieties can be dry-planted early; sensitive ones wait for established rains
+    droughtResistanceShift: {
+      low: { startDays: 7, endDays: -7 },
+      moderate: { startDays: 0, endDays: 0 },
+      high: { startDays: -7, endDays: 14 }
+    }
+  },
+  
+  // Forecast horizons available to advice requests (OpenWeather returns 3-hour steps, up to 5 days)
+  defaultForecastHorizon: process.env.DEFAULT_FORECAST_HORIZON || '48h',
+  forecastHorizons: {
+    '24h': { hours: 24, label: '24 hours' },
+    '48h': { hours: 48, label: '48 hours' },
+    '5d': { hours: 120, label: '5 days' }
+  },
+  
+  // Forecast cache (keyed by coordinates rounded to a grid cell)
+  forecastCache: {
+    enabled: process.env.FORECAST_CACHE_ENABLED !== 'false',
+    backend: process.env.FORECAST_CACHE_BACKEND || 'memory', // memory or file
+    directory: process.env.FORECAST_CACHE_DIR || '.cache/forecasts',
+    ttlMs: parseInt(process.env.FORECAST_CACHE_TTL_MS) || 30 * 60 * 1000,
+    staleTtlMs: parseInt(process.env.FORECAST_CACHE_STALE_TTL_MS) || 2 * 60 * 60 * 1000,
+    gridSize: parseFloat(process.env.FORECAST_CACHE_GRID_SIZE) || 0.05, // degrees (~5.5 km)
+    maxEntries: parseInt(process.env.FORECAST_CACHE_MAX_ENTRIES) || 500
+  },
+  
+  // AI advice cache (keyed by a hash of the normalized prompt inputs)
+  adviceCache: {
+    enabled: process.env.ADVICE_CACHE_ENABLED !== 'false',
+    backend: process.env.ADVICE_CACHE_BACKEND || 'memory', // memory or file
+    directory: process.env.ADVICE_CACHE_DIR || '.cache/advice',
+    ttlMs: parseInt(process.env.ADVICE_CACHE_TTL_MS) || 60 * 60 * 1000,
+    staleTtlMs: parseInt(process.env.ADVICE_CACHE_STALE_TTL_MS) || 0,
+    soilPhBucket: parseFloat(process.env.ADVICE_CACHE_PH_BUCKET) || 0.5,
+    maxEntries: parseInt(process.env.ADVICE_CACHE_MAX_ENTRIES) || 1000
+  },
+  
+  // Growing degree day model
+  gdd: {
+    // Daily temperatures assumed for days without recorded or forecast data (Kigali normals, °C)
+    defaultTemperature: { min: 15, max: 27 },
+    historyFile: process.env.GDD_HISTORY_FILE || '.data/temperature-history.json',
+    historyDays: 400, // recorded days kept per grid cell
+    maxProjectionDays: 730, // stop projecting maturity after this many days
+    minMeasuredShare: 0.5 // share of days since planting with recorded or forecast temperatures for a high-confidence estimate
+  },
+  
+  // Irrigation water balance
+  irrigation: {
+    effectiveRainfallFraction: 0.8, // share of forecast rainfall that reaches the root zone
+    applicationEfficiency: 0.75, // share of applied water the crop can use (furrow / watering can)
+    maxSoilStorageMm: 20, // surplus rainfall the soil can hold for later days
+    defaultGrowthState: 'vegetative' // used when neither growthState nor plantingDate is given
+  },
+  
+  // Harvest timing and sun drying (moisture and drying rates per crop live in each crop's `drying`)
+  harvest: {
+    dryDayRainfall: 1,     // mm in a day below which produce can be harvested and sun-dried
+    humidDayHumidity: 80,  // % average humidity from which drying slows
+    humidDayFactor: 0.5,   // share of the normal drying rate on humid days
+    adviceDays: 14         // days before expected maturity from which advice includes the harvest plan
+  },
+  
+  // Rotation and intercropping planner (rules per crop live in each crop's `rotation`)
+  rotation: {
+    defaultSeasons: 4,          // seasons planned when the request gives none (one year)
+    maxSeasons: 8,
+    maxSequences: 3,            // ranked rotation sequences returned
+    intercropCreditShare: 0.5,  // share of a legume's nitrogen credit left when it was intercropped
+    scores: {
+      preferred: 30,      // crop grown in its own season
+      possible: 10,       // crop grown in another rainy season
+      familyChange: 15,   // follows a crop of another family
+      diseaseBreak: 10,   // breaks the disease cycle of the previous crop
+      nitrogenCredit: 0.5, // points per kg N/ha of legume credit the crop can use
+      intercrop: 5        // has a compatible intercrop partner for the season
+    }
+  },
+  
+  // Crop recommendation: factor weights are points out of 100 (ranges per crop live in each crop's `climate`)
+  cropRecommendation: {
+    weights: { season: 30, soilPh: 20, rainfall: 20, temperature: 15, altitude: 15 },
+    seasonShares: { current: 0.6, upcoming: 0.4 },
+    suitabilityScores: { preferred: 1, possible: 0.5, unsuitable: 0 },
+    waterNeedsRainfall: { low: 2, moderate: 3.5, high: 5 }, // mm per day a crop needs from rain
+    droughtResistanceScores: { high: 1, moderate: 0.6, low: 0.3 } // share of the rainfall score kept with no rain
+  },
+  
+  // Fertilizer and lime calculator
+  fertilizer: {
+    // Agricultural lime (t/ha) needed to raise pH by one unit, by soil texture
+    limeRatePerPhUnit: { sandy: 1.5, loam: 3, clay: 4.5 },
+    maxLimePerSeason: 4, // t/ha; larger requirements are split over several seasons
+    limeLeadDays: 21, // apply lime this many days before planting
+    defaultTexture: 'loam',
+    bagSizeKg: 50,
+    // Nutrient content as a fraction of product weight; prices in RWF per kg
+    products: {
+      lime: { name: 'Agricultural lime (CaCO3)', pricePerKg: 80 },
+      npk: { name: 'NPK 17-17-17', n: 0.17, p2o5: 0.17, k2o: 0.17, pricePerKg: 850 },
+      urea: { name: 'Urea (46% N)', n: 0.46, pricePerKg: 750 },
+      mop: { name: 'Muriate of potash (60% K2O)', k2o: 0.6, pricePerKg: 900 }
+    }
+  },
+  
+  // Yield and profit estimator: default farm-gate prices (RWF per kg, overridden by the admin price
+  // table in priceFile) and yield losses applied to each crop's `yield` baseline
+  economics: {
+    currency: 'RWF',
+    marketPrices: { maize: 450, beans: 950, potatoes: 350, bananas: 300 },
+    priceFile: process.env.MARKET_PRICE_FILE || '.data/market-prices.json',
+    soilPhLossPerUnit: 0.2, // yield share lost per pH unit outside the crop's range
+    maxDroughtLoss: 0.5,    // yield share lost with no rain by a drought-sensitive crop
+    diseaseLoss: { High: 0.25, Medium: 0.1, Low: 0 }, // yield share lost at the highest disease risk level
+    minYieldFactor: 0.2
+  },
+  
+  // Disease risk scores (0-100) at which weather-based risk becomes Medium or High
+  diseaseRisk: {
+    levels: { medium: 40, high: 70 }
+  },
+  
+  // Spray windows: calm (below weatherThresholds.windSpeed.warning), dry and mild daylight periods
+  sprayWindow: {
+    rainFreeHours: 6,       // hours without rain needed before (dry leaves) and after (rainfast) spraying
+    rainfallThreshold: 0.2, // mm in a 3-hour period that counts as rain
+    temperature: { min: 10, max: 30, optimalMin: 15, optimalMax: 25 }, // °C
+    daylightHours: { start: 6, end: 18 }, // local hours; a period counts when its midpoint falls inside
+    maxWindows: 5,
+    defaultProduct: 'fungicide',
+    // Products that must not be sprayed while the crop is flowering (pollinator protection)
+    products: {
+      fungicide: { avoidDuringFlowering: false },
+      herbicide: { avoidDuringFlowering: false },
+      insecticide: { avoidDuringFlowering: true }
+    }
+  },
+  
+  // Advice modes: ai (Gemini, basic advice as fallback), rules (basic advice only) or hybrid (both, merged)
+  adviceModes: ['ai', 'rules', 'hybrid'],
+  defaultAdviceMode: process.env.ADVICE_MODE || 'ai',
+  
+  // Hybrid advice merge: items whose word overlap reaches this similarity (0-1) are duplicates
+  adviceMerge: {
+    similarityThreshold: parseFloat(process.env.ADVICE_MERGE_SIMILARITY) || 0.5
+  },
+  
+  // Compact advice for feature phones: SMS segments (GSM 7-bit) and USSD menus
+  sms: {
+    segmentLength: 160,
+    maxSegments: parseInt(process.env.SMS_MAX_SEGMENTS) || 3
+  },
+  ussd: {
+    pageLength: 182,        // Characters a USSD screen shows
+    adviceMode: process.env.USSD_ADVICE_MODE || 'rules',
+    // Province locations offered in the menu (labels come from the ussd.locations.* messages)
+    locations: {
+      kigali: { lat: -1.9441, lon: 30.0619 },
+      northern: { lat: -1.4998, lon: 29.6349 },
+      southern: { lat: -2.5967, lon: 29.7394 },
+      eastern: { lat: -1.9487, lon: 30.4347 },
+      western: { lat: -2.06, lon: 29.348 }
+    }
+  },
+  
+  // Farm and plot registry (embedded JSON file store)
+  farmStore: {
+    file: process.env.FARM_STORE_FILE || '.data/farms.json'
+  },
+  
+  // Admin endpoints (market prices) accept this key as a Bearer token or X-Admin-Key; unset disables them
+  admin: {
+    apiKey: process.env.ADMIN_API_KEY || ''
+  },
+  
   // Rate limiting
   rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
   rateLimitMaxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
   
-  // Rwanda agricultural seasons (approximate dates)
-  seasons: {
-    shortDry: { start: 'January', end: 'February', description: 'Short dry season' },
-    longRains: { start: 'March', end: 'May', description: 'Long rainy season' },
-    longDry: { start: 'June', end: 'September', description: 'Long dry season' },
-    shortRains: { start: 'October', end: 'December', description: 'Short rainy season' }
-  },
-  
-  // Supported crops with enhanced characteristics
-  crops: {
-    maize: {
-      name: 'Maize',
-      waterNeeds: 'high',
-      season: 'longRains',
-      growthPeriod: '90-120 days',
-      soilPh: { min: 5.5, max: 7.5, optimal: 6.5 },
-      growthStates: ['germination', 'vegetative', 'flowering', 'fruiting'],
-      varieties: {
-        'hybrid_maize': { description: 'High-yield hybrid varieties', droughtResistance: 'moderate' },
-        'local_maize': { description: 'Traditional local varieties', droughtResistance: 'high' },
-        'sweet_corn': { description: 'Sweet corn varieties', droughtResistance: 'low' }
-      }
-    },
-    beans: {
-      name: 'Beans',
-      waterNeeds: 'moderate',
-      season: 'shortRains',
-      growthPeriod: '60-90 days',
-      soilPh: { min: 6.0, max: 7.5, optimal: 6.8 },
-      growthStates: ['germination', 'vegetative', 'flowering', 'fruiting'],
-      varieties: {
-        'climbing_beans': { description: 'Climbing bean varieties', droughtResistance: 'moderate' },
-        'bush_beans': { description: 'Bush bean varieties', droughtResistance: 'high' },
-        'kidney_beans': { description: 'Kidney bean varieties', droughtResistance: 'moderate' }
-      }
-    },
-    potatoes: {
-      name: 'Potatoes',
-      waterNeeds: 'moderate',
-      season: 'longRains',
-      growthPeriod: '90-120 days',
-      soilPh: { min: 5.0, max: 6.5, optimal: 5.8 },
-      growthStates: ['germination', 'vegetative', 'flowering', 'fruiting'],
-      varieties: {
-        'irish_potato': { description: 'Traditional Irish potato', droughtResistance: 'moderate' },
-        'sweet_potato': { description: 'Sweet potato varieties', droughtResistance: 'high' },
-        'new_potato': { description: 'Early maturing varieties', droughtResistance: 'moderate' }
-      }
-    },
-    bananas: {
-      name: 'Bananas',
-      waterNeeds: 'high',
-      season: 'all',
-      growthPeriod: '9-12 months',
-      soilPh: { min: 5.5, max: 7.0, optimal: 6.2 },
-      growthStates: ['germination', 'vegetative', 'flowering', 'fruiting'],
-      varieties: {
-        'cavendish': { description: 'Cavendish banana variety', droughtResistance: 'moderate' },
-        'plantain': { description: 'Plantain varieties', droughtResistance: 'high' },
-        'lady_finger': { description: 'Lady finger banana', droughtResistance: 'low' }
-      }
-    }
-  },
+  // Rwanda agricultural seasons (approximate national dates)
+  seasons,
+  
+  // Regional season calendars, loaded from src/data/calendars by default
+  seasonCalendarDir,
+  seasonCalendars: loadSeasonCalendars(seasonCalendarDir, Object.keys(seasons)),
+  defaultSeasonRegion: process.env.DEFAULT_SEASON_REGION || 'national',
+  
+  // Supported crops, loaded from the crop definition files (src/data/crops by default)
+  cropDataDir,
+  crops: loadCropCatalog(cropDataDir),
+  
+  // Versioned LLM prompt templates and their traffic shares, loaded from src/data/prompts by default
+  promptDir,
+  prompts: loadPromptCatalog(promptDir),
+  
+  // Advice languages, loaded from the message catalogs in src/data/locales by default
+  localeDir,
+  locales,
+  languages: Object.keys(locales),
+  defaultLanguage,
   
   // Growth states with descriptions
   growthStates: {
-    germination: { description: 'Seed germination and early seedling stage', duration: '7-14 days' },
-    vegetative: { description: 'Active growth of leaves and stems', duration: '30-60 days' },
-    flowering: { description: 'Flower development and pollination', duration: '7-21 days' },
-    fruiting: { description: 'Fruit development and maturation', duration: '30-90 days' }
+    germination: { description: 'Seed germination and early seedling stage', duration: '7-14 days', minDays: 7, maxDays: 14 },
+    vegetative: { description: 'Active growth of leaves and stems', duration: '30-60 days', minDays: 30, maxDays: 60 },
+    flowering: { description: 'Flower development and pollination', duration: '7-21 days', minDays: 7, maxDays: 21 },
+    fruiting: { description: 'Fruit development and maturation', duration: '30-90 days', minDays: 30, maxDays: 90 }
   },
   
   // Soil pH categories
@@ -126,7 +319,12 @@ const config = {
 
 // Validation function to check if required environment variables are set
 export const validateConfig = () => {
-  const required = ['GEMINI_API_KEY', 'OPENWEATHER_API_KEY'];
+  // Only the key of the selected LLM provider is needed (local OpenAI-compatible servers need none)
+  const llmKeys = {
+    gemini: 'GEMINI_API_KEY',
+    openai: process.env.OPENAI_BASE_URL ? null : 'OPENAI_API_KEY'
+  };
+  const required = ['OPENWEATHER_API_KEY', llmKeys[config.llm.provider]].filter(Boolean);
   const missing = required.filter(key => !process.env[key]);
   
   if (missing.length > 0) {
@@ -0,0 +1,249 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Crop definition files shipped with the API
+export const DEFAULT_CROP_DATA_DIR = path.resolve(__dirname, '../data/crops');
+
+const REQUIRED_FIELDS = ['name', 'waterNeeds', 'season', 'growthPeriod', 'soilPh', 'varieties'];
+
+const DEFAULT_GROWTH_STATES = ['germination', 'vegetative', 'flowering', 'fruiting'];
+
+// Numeric parameters required by each disease risk model (see utils/diseaseRiskUtils.js)
+const RISK_MODEL_PARAMETERS = {
+  hutton: ['minTemperature', 'humidityThreshold', 'minHumidHours'],
+  wet_period: ['minTemperature', 'maxTemperature', 'humidityThreshold', 'requiredHours']
+};
+
+const PEST_FIELDS = ['name', 'signs', 'scouting', 'controlSteps'];
+
+// Daily rainfall limits accepted in a pest outbreak trigger (see utils/pestRiskUtils.js)
+const PEST_RAINFALL_TRIGGERS = ['maxDailyRainfall', 'minDailyRainfall'];
+
+/**
+ * Validate a single crop definition
+ * @param {Object} definition - Parsed crop definition
+ * @param {string} file - Source file name (used in error messages)
+ */
+const validateCropDefinition = (definition, file) => {
+  const missing = REQUIRED_FIELDS.filter(field => definition[field] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Invalid crop definition ${file}: missing ${missing.join(', ')}`);
+  }
+
+  const { min, max, optimal } = definition.soilPh;
+  if (typeof min !== 'number' || typeof max !== 'number' || typeof optimal !== 'number' || min > max) {
+    throw new Error(`Invalid crop definition ${file}: soilPh must define numeric min, max and optimal`);
+  }
+
+  const growthStates = definition.growthStates || DEFAULT_GROWTH_STATES;
+  if (!Array.isArray(growthStates) || growthStates.length === 0 || growthStates.some(stage => typeof stage !== 'string' || !stage)) {
+    throw new Error(`Invalid crop definition ${file}: growthStates must be a non-empty list of stage names`);
+  }
+
+  // Crop-specific stages have no generic duration to fall back on
+  const untimedStages = growthStates
+    .filter(stage => !DEFAULT_GROWTH_STATES.includes(stage) && definition.stageDays?.[stage] === undefined);
+  if (untimedStages.length > 0) {
+    throw new Error(`Invalid crop definition ${file}: stageDays must give a length for crop-specific stages: ${untimedStages.join(', ')}`);
+  }
+  const stageModels = [
+    ['stageDays', definition.stageDays],
+    ...Object.entries(definition.varieties).map(([variety, info]) => [`varieties.${variety}.stageDays`, info.stageDays])
+  ];
+
+  stageModels.forEach(([field, stageDays]) => {
+    if (stageDays === undefined) return;
+
+    const invalid = Object.entries(stageDays)
+      .filter(([stage, days]) => !growthStates.includes(stage) || !Number.isInteger(days) || days <= 0);
+    if (invalid.length > 0) {
+      throw new Error(`Invalid crop definition ${file}: ${field} must map growth states to positive whole days`);
+    }
+  });
+
+  if (definition.gdd !== undefined) {
+    const { baseTemperature, upperTemperature, stageGdd } = definition.gdd;
+    if (typeof baseTemperature !== 'number' || typeof upperTemperature !== 'number' || baseTemperature >= upperTemperature) {
+      throw new Error(`Invalid crop definition ${file}: gdd must define numeric baseTemperature below upperTemperature`);
+    }
+
+    const gddModels = [
+      ['gdd.stageGdd', stageGdd],
+      ...Object.entries(definition.varieties).map(([variety, info]) => [`varieties.${variety}.stageGdd`, info.stageGdd])
+    ];
+
+    gddModels.forEach(([field, model]) => {
+      if (model === undefined) return;
+
+      const invalid = Object.entries(model)
+        .filter(([stage, gdd]) => !growthStates.includes(stage) || typeof gdd !== 'number' || gdd <= 0);
+      if (invalid.length > 0) {
+        throw new Error(`Invalid crop definition ${file}: ${field} must map growth states to positive degree days`);
+      }
+    });
+
+    if (!stageGdd || growthStates.some(stage => stageGdd[stage] === undefined)) {
+      throw new Error(`Invalid crop definition ${file}: gdd.stageGdd must cover every growth state`);
+    }
+  }
+
+  const { cropCoefficients } = definition;
+  if (cropCoefficients !== undefined) {
+    const invalid = Object.entries(cropCoefficients)
+      .filter(([stage, kc]) => !growthStates.includes(stage) || typeof kc !== 'number' || kc <= 0);
+    if (invalid.length > 0 || growthStates.some(stage => cropCoefficients[stage] === undefined)) {
+      throw new Error(`Invalid crop definition ${file}: cropCoefficients must map every growth state to a positive coefficient`);
+    }
+  }
+
+  const { climate } = definition;
+  if (climate !== undefined) {
+    ['temperature', 'altitude'].forEach(field => {
+      const range = climate[field];
+      const values = range ? [range.min, range.optimalMin, range.optimalMax, range.max] : [];
+      if (values.length === 0 || values.some(value => typeof value !== 'number') || values.some((value, index) => index > 0 && value < values[index - 1])) {
+        throw new Error(`Invalid crop definition ${file}: climate.${field} must give numeric min <= optimalMin <= optimalMax <= max`);
+      }
+    });
+  }
+
+  const yields = [
+    ...(definition.yield !== undefined ? [['yield.kgPerHa', definition.yield?.kgPerHa]] : []),
+    ...Object.entries(definition.varieties)
+      .filter(([, info]) => info.yieldKgPerHa !== undefined)
+      .map(([variety, info]) => [`varieties.${variety}.yieldKgPerHa`, info.yieldKgPerHa])
+  ];
+  yields.forEach(([field, value]) => {
+    if (typeof value !== 'number' || value <= 0) {
+      throw new Error(`Invalid crop definition ${file}: ${field} must be a positive yield in kg per hectare`);
+    }
+  });
+
+  const { drying } = definition;
+  if (drying !== undefined) {
+    const { harvestMoisture, safeMoisture, dryingRate } = drying;
+    if ([harvestMoisture, safeMoisture, dryingRate].some(value => typeof value !== 'number' || value <= 0) || safeMoisture >= harvestMoisture) {
+      throw new Error(`Invalid crop definition ${file}: drying must give a positive dryingRate and a safeMoisture below harvestMoisture (%)`);
+    }
+  }
+
+  const { rotation } = definition;
+  if (rotation !== undefined) {
+    const { family, breakSeasons, nitrogenCredit = 0, breakDiseases = [], intercrop = [] } = rotation;
+    if (typeof family !== 'string' || !family || !Number.isInteger(breakSeasons) || breakSeasons < 0 || typeof nitrogenCredit !== 'number' || nitrogenCredit < 0) {
+      throw new Error(`Invalid crop definition ${file}: rotation must give a family, whole breakSeasons and a non-negative nitrogenCredit (kg N per hectare)`);
+    }
+
+    const diseaseNames = (definition.diseases || []).map(disease => disease.name);
+    const unknownDiseases = breakDiseases.filter(name => !diseaseNames.includes(name));
+    if (unknownDiseases.length > 0) {
+      throw new Error(`Invalid crop definition ${file}: rotation.breakDiseases lists diseases not in diseases: ${unknownDiseases.join(', ')}`);
+    }
+    if (!Array.isArray(intercrop)) {
+      throw new Error(`Invalid crop definition ${file}: rotation.intercrop must be a list of crop ids`);
+    }
+  }
+
+  const { fertilizer } = definition;
+  if (fertilizer !== undefined) {
+    const requirement = fertilizer.requirement || {};
+    if (['n', 'p2o5', 'k2o'].some(nutrient => typeof requirement[nutrient] !== 'number' || requirement[nutrient] < 0)) {
+      throw new Error(`Invalid crop definition ${file}: fertilizer.requirement must give n, p2o5 and k2o in kg per hectare`);
+    }
+
+    const topDressing = fertilizer.topDressing || [];
+    const invalid = topDressing.filter(({ stage, share, daysIntoStage }) =>
+      !growthStates.includes(stage) || typeof share !== 'number' || share <= 0 || !Number.isInteger(daysIntoStage) || daysIntoStage < 0);
+    const totalShare = topDressing.reduce((sum, { share }) => sum + share, 0);
+    if (invalid.length > 0 || (topDressing.length > 0 && Math.abs(totalShare - 1) > 0.01)) {
+      throw new Error(`Invalid crop definition ${file}: fertilizer.topDressing must list growth-stage applications whose shares add up to 1`);
+    }
+  }
+
+  (definition.diseases || []).forEach(({ name, riskModel }) => {
+    if (riskModel === undefined) return;
+
+    const parameters = RISK_MODEL_PARAMETERS[riskModel.type];
+    if (!parameters) {
+      throw new Error(`Invalid crop definition ${file}: ${name} riskModel.type must be one of ${Object.keys(RISK_MODEL_PARAMETERS).join(', ')}`);
+    }
+    const missing = parameters.filter(parameter => typeof riskModel[parameter] !== 'number');
+    if (missing.length > 0) {
+      throw new Error(`Invalid crop definition ${file}: ${name} riskModel is missing numeric ${missing.join(', ')}`);
+    }
+  });
+
+  (definition.pests || []).forEach((pest) => {
+    const missingFields = PEST_FIELDS.filter(field => pest[field] === undefined);
+    if (missingFields.length > 0 || !Array.isArray(pest.controlSteps)) {
+      throw new Error(`Invalid crop definition ${file}: pest ${pest.name || '(unnamed)'} needs ${PEST_FIELDS.join(', ')} with controlSteps as a list`);
+    }
+
+    const trigger = pest.outbreakTrigger;
+    if (trigger === undefined) return;
+
+    const rainfallTriggers = PEST_RAINFALL_TRIGGERS.filter(field => trigger[field] !== undefined);
+    const numeric = ['minTemperature', 'maxTemperature', ...rainfallTriggers].every(field => typeof trigger[field] === 'number');
+    if (!numeric || rainfallTriggers.length !== 1 || trigger.minTemperature > trigger.maxTemperature) {
+      throw new Error(`Invalid crop definition ${file}: ${pest.name} outbreakTrigger needs a numeric temperature range and one of ${PEST_RAINFALL_TRIGGERS.join(', ')}`);
+    }
+  });
+};
+
+/**
+ * Load crop definitions from a directory of JSON files
+ * Each file describes one crop; the crop id is the `id` field or the file name.
+ * @param {string} dataDir - Directory containing crop definition files
+ * @returns {Object} Crop catalog keyed by crop id
+ */
+export const loadCropCatalog = (dataDir = DEFAULT_CROP_DATA_DIR) => {
+  const files = fs.readdirSync(dataDir)
+    .filter(file => file.endsWith('.json'))
+    .sort();
+
+  const crops = {};
+
+  files.forEach(file => {
+    let definition;
+    try {
+      definition = JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read crop definition ${file}: ${error.message}`);
+    }
+
+    validateCropDefinition(definition, file);
+
+    const { id, ...cropInfo } = definition;
+    const cropType = (id || path.basename(file, '.json')).toLowerCase();
+
+    if (crops[cropType]) {
+      throw new Error(`Duplicate crop definition for ${cropType} in ${file}`);
+    }
+
+    crops[cropType] = {
+      growthStates: DEFAULT_GROWTH_STATES,
+      productivityTips: [],
+      resources: [],
+      diseases: [],
+      pests: [],
+      ...cropInfo
+    };
+  });
+
+  if (Object.keys(crops).length === 0) {
+    throw new Error(`No crop definitions found in ${dataDir}`);
+  }
+
+  // Intercrop partners can only be checked once every crop is loaded
+  Object.entries(crops).forEach(([cropType, crop]) => {
+    const unknown = (crop.rotation?.intercrop || []).filter(partner => !crops[partner]);
+    if (unknown.length > 0) {
+      throw new Error(`Invalid crop definition for ${cropType}: rotation.intercrop lists unknown crops: ${unknown.join(', ')}`);
+    }
+  });
+
+  return crops;
+};
@@ -0,0 +1,112 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Message catalogs shipped with the API (one directory per language)
+export const DEFAULT_LOCALE_DATA_DIR = path.resolve(__dirname, '../data/locales');
+
+// Messages of this language are the reference for every other catalog and the fallback for missing keys
+export const SOURCE_LANGUAGE = 'en';
+
+export const MESSAGE_PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z]\w*)\s*\}\}/g;
+
+/**
+ * List the placeholders used in a message
+ * @param {string} message - Message text
+ * @returns {Set<string>} Placeholder names
+ */
+const placeholdersOf = (message) => new Set([...message.matchAll(MESSAGE_PLACEHOLDER_PATTERN)].map(match => match[1]));
+
+/**
+ * Read a JSON file of a locale directory
+ * @param {string} file - File path
+ * @param {boolean} required - Whether the file must exist
+ * @returns {Object|null} Parsed content (null when an optional file is missing)
+ */
+const readLocaleFile = (file, required) => {
+  if (!required && !fs.existsSync(file)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read locale file ${file}: ${error.message}`);
+  }
+};
+
+/**
+ * Validate a catalog against the source language
+ * Translations may leave keys out (they fall back to the source language) but may not add keys or
+ * use placeholders the source message does not have.
+ * @param {string} language - Language code
+ * @param {Object} messages - Messages of the language
+ * @param {Object} sourceMessages - Messages of the source language
+ */
+const validateMessages = (language, messages, sourceMessages) => {
+  Object.entries(messages).forEach(([key, message]) => {
+    if (typeof message !== 'string') {
+      throw new Error(`Invalid locale ${language}: message ${key} must be a string`);
+    }
+    if (sourceMessages[key] === undefined) {
+      throw new Error(`Invalid locale ${language}: unknown message ${key}`);
+    }
+
+    const allowed = placeholdersOf(sourceMessages[key]);
+    const unknown = [...placeholdersOf(message)].filter(name => !allowed.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid locale ${language}: message ${key} uses unknown variables ${unknown.join(', ')}`);
+    }
+  });
+};
+
+/**
+ * Load message catalogs from a directory with one subdirectory per language
+ * Each subdirectory holds messages.json (language names and keyed messages for text built in code) and
+ * optionally phrases.json (translations of catalog text such as crop resources, keyed by the English text).
+ * @param {string} dataDir - Directory containing the language directories
+ * @returns {Object} Catalogs keyed by language code
+ */
+export const loadLocaleCatalog = (dataDir = DEFAULT_LOCALE_DATA_DIR) => {
+  const languages = fs.readdirSync(dataDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name.toLowerCase())
+    .sort();
+
+  if (!languages.includes(SOURCE_LANGUAGE)) {
+    throw new Error(`No ${SOURCE_LANGUAGE} message catalog found in ${dataDir}`);
+  }
+
+  const catalogs = {};
+  languages.forEach(language => {
+    const definition = readLocaleFile(path.join(dataDir, language, 'messages.json'), true);
+    const phrases = readLocaleFile(path.join(dataDir, language, 'phrases.json'), false) || {};
+
+    if (!definition.name || !definition.messages || typeof definition.messages !== 'object') {
+      throw new Error(`Invalid locale ${language}: messages.json needs a name and messages`);
+    }
+
+    Object.entries(phrases).forEach(([source, translation]) => {
+      if (typeof translation !== 'string') {
+        throw new Error(`Invalid locale ${language}: translation of "${source}" must be a string`);
+      }
+    });
+
+    catalogs[language] = {
+      code: language,
+      name: definition.name,
+      nativeName: definition.nativeName || definition.name,
+      messages: definition.messages,
+      phrases
+    };
+  });
+
+  const sourceMessages = catalogs[SOURCE_LANGUAGE].messages;
+  languages
+    .filter(language => language !== SOURCE_LANGUAGE)
+    .forEach(language => validateMessages(language, catalogs[language].messages, sourceMessages));
+
+  return catalogs;
+};
@@ -0,0 +1,113 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Prompt templates shipped with the API
+export const DEFAULT_PROMPT_DATA_DIR = path.resolve(__dirname, '../data/prompts');
+
+const MANIFEST_FILE = 'versions.json';
+
+// Variables each prompt can use as {{name}} placeholders (filled in by services/llmService.js)
+export const PROMPT_VARIABLES = {
+  advice: [
+    'locationName', 'lat', 'lon', 'season', 'seasonContext', 'cropType', 'additionalInfo',
+    'forecastPeriod', 'totalRainfall', 'minTemperature', 'maxTemperature', 'maxWindSpeed',
+    'rainHours', 'heavyRainHours', 'windHours', 'dailyForecast', 'responseLanguage'
+  ]
+};
+
+export const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z]\w*)\s*\}\}/g;
+
+/**
+ * Validate the versions of one prompt and read their templates
+ * Traffic shares must be whole percentages adding up to 100, and templates may only use the
+ * prompt's known variables.
+ * @param {string} name - Prompt name
+ * @param {Object} definition - Prompt entry from the manifest
+ * @param {string} dataDir - Directory containing the template files
+ * @returns {Array} Versions with their template text
+ */
+const loadPromptVersions = (name, definition, dataDir) => {
+  const variables = PROMPT_VARIABLES[name];
+  if (!variables) {
+    throw new Error(`Invalid prompt manifest: unknown prompt ${name}`);
+  }
+
+  if (!Array.isArray(definition.versions) || definition.versions.length === 0) {
+    throw new Error(`Invalid prompt manifest: ${name} versions must be a non-empty array`);
+  }
+
+  const seen = new Set();
+  const versions = definition.versions.map(entry => {
+    const { version, file, traffic } = entry;
+
+    if (typeof version !== 'string' || version.trim() === '' || !file) {
+      throw new Error(`Invalid prompt manifest: ${name} versions need a version and a file`);
+    }
+    if (seen.has(version)) {
+      throw new Error(`Invalid prompt manifest: duplicate ${name} version ${version}`);
+    }
+    seen.add(version);
+
+    if (!Number.isInteger(traffic) || traffic < 0 || traffic > 100) {
+      throw new Error(`Invalid prompt manifest: ${name} ${version} traffic must be a whole percentage`);
+    }
+
+    let template;
+    try {
+      template = fs.readFileSync(path.join(dataDir, file), 'utf8').trimEnd();
+    } catch (error) {
+      throw new Error(`Failed to read prompt template ${file}: ${error.message}`);
+    }
+
+    const unknown = [...template.matchAll(PLACEHOLDER_PATTERN)]
+      .map(match => match[1])
+      .filter(variable => !variables.includes(variable));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid prompt template ${file}: unknown variables ${[...new Set(unknown)].join(', ')}`);
+    }
+
+    return { ...entry, template };
+  });
+
+  const total = versions.reduce((sum, { traffic }) => sum + traffic, 0);
+  if (total !== 100) {
+    throw new Error(`Invalid prompt manifest: ${name} traffic adds up to ${total}%, expected 100%`);
+  }
+
+  return versions;
+};
+
+/**
+ * Load versioned prompt templates from a directory
+ * The directory holds a versions.json manifest naming each version's template file and its share of traffic.
+ * @param {string} dataDir - Directory containing the manifest and template files
+ * @returns {Object} Prompts keyed by name, each with its versions in manifest order
+ */
+export const loadPromptCatalog = (dataDir = DEFAULT_PROMPT_DATA_DIR) => {
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(path.join(dataDir, MANIFEST_FILE), 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read prompt manifest ${MANIFEST_FILE}: ${error.message}`);
+  }
+
+  const prompts = {};
+  Object.entries(manifest).forEach(([name, definition]) => {
+    prompts[name] = {
+      name,
+      description: definition.description || '',
+      versions: loadPromptVersions(name, definition, dataDir)
+    };
+  });
+
+  Object.keys(PROMPT_VARIABLES).forEach(name => {
+    if (!prompts[name]) {
+      throw new Error(`No ${name} prompt found in ${dataDir}`);
+    }
+  });
+
+  return prompts;
+};
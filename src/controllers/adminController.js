@@ -0,0 +1,77 @@
+import marketPriceService from '../services/marketPriceService.js';
+import { validateMarketPriceUpdate } from '../middlewares/validationMiddleware.js';
+import { resolveLanguage, translate } from '../utils/i18nUtils.js';
+
+/**
+ * Controller for admin endpoints (market price table)
+ */
+class AdminController {
+
+  /**
+   * Get the market price table
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getMarketPrices(req, res) {
+    const language = resolveLanguage(req.query.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+
+    try {
+      const prices = await marketPriceService.getPrices();
+
+      res.status(200).json({
+        success: true,
+        data: prices
+      });
+
+    } catch (error) {
+      console.error('Get market prices error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: translate(language, 'errors.marketPricesFailed'),
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Update market prices (RWF per kg; null restores a crop's default price)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateMarketPrices(req, res) {
+    const language = resolveLanguage(req.body?.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+
+    try {
+      const validation = validateMarketPriceUpdate(req.body, language);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.validationFailed'),
+          details: validation.errors
+        });
+      }
+
+      const prices = await marketPriceService.updatePrices(validation.value.prices);
+
+      res.status(200).json({
+        success: true,
+        data: prices,
+        message: translate(language, 'messages.marketPricesUpdated')
+      });
+
+    } catch (error) {
+      console.error('Update market prices error:', error);
+
+      res.status(500).json({
+        success: false,
+        error: translate(language, 'errors.marketPricesFailed'),
+        message: error.message
+      });
+    }
+  }
+}
+
+export default new AdminController();
@@ -1,5 +1,6 @@
 import adviceService from '../services/adviceService.js';
-import { validateAdviceRequest } from '../middlewares/validationMiddleware.js';
+import { validateAdviceRequest, validateLanguageQuery, validateSeasonQuery, validatePlantingCalendarQuery, validateGddQuery, validateIrrigationRequest, validateSprayWindowRequest, validateHarvestRequest, validateFertilizerRequest, validateRotationRequest, validateCropRecommendationRequest, validateEconomicsRequest } from '../middlewares/validationMiddleware.js';
+import { resolveLanguage, translate } from '../utils/i18nUtils.js';
 
 /**
  * Controller for handling farming advice requests
@@ -8,22 +9,28 @@ class AdviceController {
   
   /**
    * Generate farming advice based on location, crop, and weather
+   * The response language comes from the `language` field or the Accept-Language header.
+   * With `format=sms` (body field or query parameter) the advice is condensed into SMS segments.
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async generateAdvice(req, res) {
+    const language = resolveLanguage(req.body?.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+    
     try {
       // Validate request
-      const validation = validateAdviceRequest(req.body);
+      const validation = validateAdviceRequest({ format: req.query.format, ...req.body }, language);
       if (!validation.isValid) {
         return res.status(400).json({
           success: false,
-          error: 'Validation failed',
+          error: translate(language, 'errors.validationFailed'),
           details: validation.errors
         });
       }
       
-      const { lat, lon, crop, soilPh, growthState, variety, useAI } = req.body;
+      const { lat, lon, crop, soilPh, growthState, variety, plantingDate, area, soilTexture, soilTest, useAI, mode, horizon, date, region, clientId } = req.body;
+      const { format } = validation.value;
       
       // Generate advice
       const advice = await adviceService.generateAdvice({
@@ -33,13 +40,31 @@ class AdviceController {
         soilPh: soilPh ? parseFloat(soilPh) : undefined,
         growthState,
         variety,
+        plantingDate,
+        area,
+        soilTexture,
+        soilTest,
+        horizon,
+        date,
+        region,
+        mode,
+        language,
+        clientId: clientId || req.get('X-Client-Id'), // Keeps a client on the same prompt version
         useAI: useAI !== false // Default to true unless explicitly set to false
       });
       
+      if (format === 'sms') {
+        return res.status(200).json({
+          success: true,
+          data: adviceService.formatAdviceAsSms(advice),
+          message: translate(language, 'messages.adviceGenerated')
+        });
+      }
+      
       res.status(200).json({
         success: true,
         data: advice,
-        message: 'Farming advice generated successfully'
+        message: translate(language, 'messages.adviceGenerated')
       });
       
     } catch (error) {
@@ -47,7 +72,7 @@ class AdviceController {
       
       res.status(500).json({
         success: false,
-        error: 'Failed to generate farming advice',
+        error: translate(language, 'errors.adviceFailed'),
         message: error.message,
         timestamp: new Date().toISOString()
       });
@@ -60,6 +85,9 @@ class AdviceController {
    * @param {Object} res - Express response object
    */
   async getAvailableCrops(req, res) {
+    const language = resolveLanguage(req.query.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+    
     try {
       const crops = adviceService.getAvailableCrops();
       
@@ -68,7 +96,7 @@ class AdviceController {
         data: {
           crops,
           count: crops.length,
-          description: 'Supported crop types for farming advice'
+          description: translate(language, 'messages.cropsDescription')
         }
       });
       
@@ -77,7 +105,7 @@ class AdviceController {
       
       res.status(500).json({
         success: false,
-        error: 'Failed to retrieve available crops',
+        error: translate(language, 'errors.cropsFailed'),
         message: error.message
       });
     }
@@ -89,13 +117,16 @@ class AdviceController {
    * @param {Object} res - Express response object
    */
   async getCropVarieties(req, res) {
+    const language = resolveLanguage(req.query.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+    
     try {
       const { crop } = req.params;
       
       if (!crop) {
         return res.status(400).json({
           success: false,
-          error: 'Crop parameter is required'
+          error: translate(language, 'errors.cropRequired')
         });
       }
       
@@ -107,7 +138,7 @@ class AdviceController {
           crop,
           varieties,
           count: Object.keys(varieties).length,
-          description: `Available varieties for ${crop}`
+          description: translate(language, 'messages.varietiesDescription', { crop })
         }
       });
       
@@ -117,7 +148,7 @@ class AdviceController {
       if (error.message.includes('Unsupported crop type')) {
         return res.status(400).json({
           success: false,
-          error: 'Invalid crop type',
+          error: translate(language, 'errors.invalidCrop'),
           message: error.message,
           supported_crops: adviceService.getAvailableCrops()
         });
@@ -125,54 +156,83 @@ class AdviceController {
       
       res.status(500).json({
         success: false,
-        error: 'Failed to retrieve crop varieties',
+        error: translate(language, 'errors.varietiesFailed'),
         message: error.message
       });
     }
   }
   
   /**
-   * Get available growth states
+   * Get available growth states (for one crop with the `crop` query parameter)
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async getGrowthStates(req, res) {
+    const language = resolveLanguage(req.query.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+    
     try {
-      const growthStates = adviceService.getGrowthStates();
+      const { crop } = req.query;
+      const growthStates = adviceService.getGrowthStates(crop);
       
       res.status(200).json({
         success: true,
         data: {
+          ...(crop && { crop }),
           growthStates,
           count: growthStates.length,
-          description: 'Available growth states for crops'
+          description: crop
+            ? translate(language, 'messages.cropGrowthStatesDescription', { crop })
+            : translate(language, 'messages.growthStatesDescription')
         }
       });
       
     } catch (error) {
       console.error('Get growth states error:', error);
       
+      if (error.message.includes('Unsupported crop type')) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.invalidCrop'),
+          message: error.message,
+          supported_crops: adviceService.getAvailableCrops()
+        });
+      }
+      
       res.status(500).json({
         success: false,
-        error: 'Failed to retrieve growth states',
+        error: translate(language, 'errors.growthStatesFailed'),
         message: error.message
       });
     }
   }
   
   /**
-   * Get current season information
+   * Get season information for a date and region (defaults to today and the default region)
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async getCurrentSeason(req, res) {
+    const language = resolveLanguage(req.query.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+    
     try {
-      const seasonInfo = adviceService.getCurrentSeason();
+      const validation = validateSeasonQuery(req.query, language);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.validationFailed'),
+          details: validation.errors
+        });
+      }
+      
+      const { date, region } = validation.value;
+      const seasonInfo = adviceService.getCurrentSeason(date, region);
       
       res.status(200).json({
         success: true,
         data: seasonInfo,
-        message: 'Current season information retrieved successfully'
+        message: translate(language, 'messages.seasonRetrieved')
       });
       
     } catch (error) {
@@ -180,7 +240,520 @@ class AdviceController {
       
       res.status(500).json({
         success: false,
-        error: 'Failed to retrieve current season information',
+        error: translate(language, 'errors.seasonFailed'),
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Get a 12-month planting calendar for a crop as JSON or iCalendar (.ics)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getPlantingCalendar(req, res) {
+    const language = resolveLanguage(req.query.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+    
+    try {
+      const { crop } = req.params;
+      
+      const validation = validatePlantingCalendarQuery(req.query, language);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.validationFailed'),
+          details: validation.errors
+        });
+      }
+      
+      const { variety, region, lat, lon, from, format } = validation.value;
+      const plantingCalendar = adviceService.getPlantingCalendar(crop, { variety, region, lat, lon, from });
+      
+      if (format === 'ics') {
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${crop}-planting-calendar.ics"`);
+        return res.status(200).send(adviceService.formatPlantingCalendarAsICalendar(plantingCalendar));
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: plantingCalendar,
+        message: translate(language, 'messages.plantingCalendarGenerated')
+      });
+      
+    } catch (error) {
+      console.error('Planting calendar error:', error);
+      
+      if (error.message.includes('Unsupported crop type')) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.invalidCrop'),
+          message: error.message,
+          supported_crops: adviceService.getAvailableCrops()
+        });
+      }
+      
+      if (error.message.includes('Unsupported variety')) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.invalidVariety'),
+          message: error.message
+        });
+      }
+      
+      res.status(500).json({
+        success: false,
+        error: translate(language, 'errors.plantingCalendarFailed'),
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Estimate crop development from growing degree days
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getGddEstimate(req, res) {
+    const language = resolveLanguage(req.query.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+    
+    try {
+      const validation = validateGddQuery(req.query, language);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.validationFailed'),
+          details: validation.errors
+        });
+      }
+      
+      const { crop, ...options } = validation.value;
+      const estimate = await adviceService.getGddEstimate(crop, options);
+      
+      res.status(200).json({
+        success: true,
+        data: estimate,
+        message: translate(language, 'messages.gddEstimated')
+      });
+      
+    } catch (error) {
+      console.error('GDD estimate error:', error);
+      
+      if (error.message.includes('Unsupported crop type')) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.invalidCrop'),
+          message: error.message,
+          supported_crops: adviceService.getAvailableCrops()
+        });
+      }
+      
+      if (error.message.includes('Unsupported variety')) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.invalidVariety'),
+          message: error.message
+        });
+      }
+      
+      if (error.message.includes('No GDD model')) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.gddModelUnavailable'),
+          message: error.message
+        });
+      }
+      
+      res.status(500).json({
+        success: false,
+        error: translate(language, 'errors.gddFailed'),
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Build an irrigation schedule from the forecast water balance
+   * The summary's language comes from the `language` field or the Accept-Language header.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getIrrigationSchedule(req, res) {
+    const language = resolveLanguage(req.body?.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+    
+    try {
+      const validation = validateIrrigationRequest(req.body, language);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.validationFailed'),
+          details: validation.errors
+        });
+      }
+      
+      const { crop, ...options } = validation.value;
+      const schedule = await adviceService.getIrrigationSchedule(crop, { ...options, language });
+      
+      res.status(200).json({
+        success: true,
+        data: schedule,
+        message: translate(language, 'messages.irrigationScheduleGenerated')
+      });
+      
+    } catch (error) {
+      console.error('Irrigation schedule error:', error);
+      
+      if (error.message.includes('Unsupported crop type')) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.invalidCrop'),
+          message: error.message,
+          supported_crops: adviceService.getAvailableCrops()
+        });
+      }
+      
+      if (error.message.includes('Unsupported variety')) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.invalidVariety'),
+          message: error.message
+        });
+      }
+      
+      if (error.message.includes('Weather data unavailable')) {
+        return res.status(503).json({
+          success: false,
+          error: translate(language, 'errors.serviceUnavailable'),
+          message: error.message
+        });
+      }
+      
+      res.status(500).json({
+        success: false,
+        error: translate(language, 'errors.irrigationFailed'),
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Find ranked spray windows for pesticide and fungicide application
+   * The reasons' language comes from the `language` field or the Accept-Language header.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSprayWindows(req, res) {
+    const language = resolveLanguage(req.body?.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+    
+    try {
+      const validation = validateSprayWindowRequest(req.body, language);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.validationFailed'),
+          details: validation.errors
+        });
+      }
+      
+      const sprayWindows = await adviceService.getSprayWindows({ ...validation.value, language });
+      
+      res.status(200).json({
+        success: true,
+        data: sprayWindows,
+        message: translate(language, 'messages.sprayWindowsGenerated')
+      });
+      
+    } catch (error) {
+      console.error('Spray windows error:', error);
+      
+      if (error.message.includes('Unsupported crop type')) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.invalidCrop'),
+          message: error.message,
+          supported_crops: adviceService.getAvailableCrops()
+        });
+      }
+      
+      if (error.message.includes('Unsupported variety')) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.invalidVariety'),
+          message: error.message
+        });
+      }
+      
+      if (error.message.includes('Weather data unavailable')) {
+        return res.status(503).json({
+          success: false,
+          error: translate(language, 'errors.serviceUnavailable'),
+          message: error.message
+        });
+      }
+      
+      res.status(500).json({
+        success: false,
+        error: translate(language, 'errors.sprayWindowsFailed'),
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Plan the harvest day and sun drying for a crop
+   * The summary's language comes from the `language` field or the Accept-Language header.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getHarvestPlan(req, res) {
+    const language = resolveLanguage(req.body?.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+    
+    try {
+      const validation = validateHarvestRequest(req.body, language);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.validationFailed'),
+          details: validation.errors
+        });
+      }
+      
+      const { crop, ...options } = validation.value;
+      const plan = await adviceService.getHarvestPlan(crop, { ...options, language });
+      
+      res.status(200).json({
+        success: true,
+        data: plan,
+        message: translate(language, 'messages.harvestPlanGenerated')
+      });
+      
+    } catch (error) {
+      console.error('Harvest plan error:', error);
+      
+      if (error.message.includes('Unsupported variety')) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.invalidVariety'),
+          message: error.message
+        });
+      }
+      
+      if (error.message.includes('Weather data unavailable')) {
+        return res.status(503).json({
+          success: false,
+          error: translate(language, 'errors.serviceUnavailable'),
+          message: error.message
+        });
+      }
+      
+      res.status(500).json({
+        success: false,
+        error: translate(language, 'errors.harvestPlanFailed'),
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Calculate lime and fertilizer quantities for a plot
+   * The notes' language comes from the `language` field or the Accept-Language header.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getFertilizerPlan(req, res) {
+    const language = resolveLanguage(req.body?.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+    
+    try {
+      const validation = validateFertilizerRequest(req.body, language);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.validationFailed'),
+          details: validation.errors
+        });
+      }
+      
+      const { crop, ...options } = validation.value;
+      const plan = adviceService.getFertilizerPlan(crop, { ...options, language });
+      
+      res.status(200).json({
+        success: true,
+        data: plan,
+        message: translate(language, 'messages.fertilizerPlanGenerated')
+      });
+      
+    } catch (error) {
+      console.error('Fertilizer plan error:', error);
+      
+      if (error.message.includes('Unsupported crop type')) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.invalidCrop'),
+          message: error.message,
+          supported_crops: adviceService.getAvailableCrops()
+        });
+      }
+      
+      if (error.message.includes('Unsupported variety')) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.invalidVariety'),
+          message: error.message
+        });
+      }
+      
+      if (error.message.includes('No fertilizer recommendation')) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.fertilizerUnavailable'),
+          message: error.message
+        });
+      }
+      
+      res.status(500).json({
+        success: false,
+        error: translate(language, 'errors.fertilizerPlanFailed'),
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Propose crop rotation and intercropping sequences for a plot
+   * The reasons' language comes from the `language` field or the Accept-Language header.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getRotationPlan(req, res) {
+    const language = resolveLanguage(req.body?.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+    
+    try {
+      const validation = validateRotationRequest(req.body, language);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.validationFailed'),
+          details: validation.errors
+        });
+      }
+      
+      const plan = adviceService.getRotationPlan({ ...validation.value, language });
+      
+      res.status(200).json({
+        success: true,
+        data: plan,
+        message: translate(language, 'messages.rotationPlanGenerated')
+      });
+      
+    } catch (error) {
+      console.error('Rotation plan error:', error);
+      
+      if (error.message.includes('Unsupported crop type')) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.invalidCrop'),
+          message: error.message,
+          supported_crops: adviceService.getAvailableCrops()
+        });
+      }
+      
+      res.status(500).json({
+        success: false,
+        error: translate(language, 'errors.rotationPlanFailed'),
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Rank crops and varieties for a location, season and soil
+   * The notes' language comes from the `language` field or the Accept-Language header.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async recommendCrops(req, res) {
+    const language = resolveLanguage(req.body?.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+    
+    try {
+      const validation = validateCropRecommendationRequest(req.body, language);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.validationFailed'),
+          details: validation.errors
+        });
+      }
+      
+      const recommendations = await adviceService.recommendCrops({ ...validation.value, language });
+      
+      res.status(200).json({
+        success: true,
+        data: recommendations,
+        message: translate(language, 'messages.cropsRecommended')
+      });
+      
+    } catch (error) {
+      console.error('Crop recommendation error:', error);
+      
+      res.status(500).json({
+        success: false,
+        error: translate(language, 'errors.recommendationFailed'),
+        message: error.message
+      });
+    }
+  }
+  
+  /**
+   * Estimate the yield, revenue, input costs and gross margin of a plot
+   * The notes' language comes from the `language` field or the Accept-Language header.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async estimateEconomics(req, res) {
+    const language = resolveLanguage(req.body?.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+    
+    try {
+      const validation = validateEconomicsRequest(req.body, language);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.validationFailed'),
+          details: validation.errors
+        });
+      }
+      
+      const { crop, ...options } = validation.value;
+      const estimate = await adviceService.estimateEconomics(crop, { ...options, language });
+      
+      res.status(200).json({
+        success: true,
+        data: estimate,
+        message: translate(language, 'messages.economicsEstimated')
+      });
+      
+    } catch (error) {
+      console.error('Economics estimate error:', error);
+      
+      if (error.message.includes('Unsupported variety')) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.invalidVariety'),
+          message: error.message
+        });
+      }
+      
+      res.status(500).json({
+        success: false,
+        error: translate(language, 'errors.economicsFailed'),
         message: error.message
       });
     }
@@ -192,13 +765,16 @@ class AdviceController {
    * @param {Object} res - Express response object
    */
   async getServiceStatus(req, res) {
+    const language = resolveLanguage(req.query.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+    
     try {
       const status = adviceService.getServiceStatus();
       
       res.status(200).json({
         success: true,
         data: status,
-        message: 'Service status retrieved successfully'
+        message: translate(language, 'messages.serviceStatusRetrieved')
       });
       
     } catch (error) {
@@ -206,7 +782,7 @@ class AdviceController {
       
       res.status(500).json({
         success: false,
-        error: 'Failed to retrieve service status',
+        error: translate(language, 'errors.serviceStatusFailed'),
         message: error.message
       });
     }
@@ -218,6 +794,9 @@ class AdviceController {
    * @param {Object} res - Express response object
    */
   async getBasicAdvice(req, res) {
+    const language = resolveLanguage(req.query.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+    
     try {
       const { crop } = req.params;
       const { soilPh, growthState, variety } = req.query;
@@ -225,11 +804,20 @@ class AdviceController {
       if (!crop) {
         return res.status(400).json({
           success: false,
-          error: 'Crop parameter is required'
+          error: translate(language, 'errors.cropRequired')
+        });
+      }
+      
+      const validation = validateLanguageQuery(req.query, language);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: translate(language, 'errors.validationFailed'),
+          details: validation.errors
         });
       }
       
-      const additionalData = {};
+      const additionalData = { language };
       if (soilPh) additionalData.soilPh = parseFloat(soilPh);
       if (growthState) additionalData.growthState = growthState;
       if (variety) additionalData.variety = variety;
@@ -239,8 +827,8 @@ class AdviceController {
       res.status(200).json({
         success: true,
         data: advice,
-        message: 'Basic farming advice generated successfully',
-        note: 'This advice is generated without external API calls and may be less accurate'
+        message: translate(language, 'messages.basicAdviceGenerated'),
+        note: translate(language, 'messages.basicAdviceNote')
       });
       
     } catch (error) {
@@ -249,7 +837,7 @@ class AdviceController {
       if (error.message.includes('Unsupported crop type')) {
         return res.status(400).json({
           success: false,
-          error: 'Invalid crop type',
+          error: translate(language, 'errors.invalidCrop'),
           message: error.message,
           supported_crops: adviceService.getAvailableCrops()
         });
@@ -257,7 +845,7 @@ class AdviceController {
       
       res.status(500).json({
         success: false,
-        error: 'Failed to generate basic advice',
+        error: translate(language, 'errors.basicAdviceFailed'),
         message: error.message
       });
     }
@@ -269,10 +857,13 @@ class AdviceController {
    * @param {Object} res - Express response object
    */
   async healthCheck(req, res) {
+    const language = resolveLanguage(req.query.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+    
     try {
       const status = adviceService.getServiceStatus();
       
-      const isHealthy = status.weather.available || status.gemini.available;
+      const isHealthy = status.weather.available || status.llm.available;
       
       res.status(isHealthy ? 200 : 503).json({
         success: isHealthy,
@@ -280,9 +871,9 @@ class AdviceController {
         status: isHealthy ? 'healthy' : 'degraded',
         timestamp: new Date().toISOString(),
         services: status,
-        message: isHealthy 
-          ? 'All services are operational' 
-          : 'Some services are unavailable'
+        message: isHealthy
+          ? translate(language, 'messages.servicesOperational')
+          : translate(language, 'messages.servicesDegraded')
       });
       
     } catch (error) {
@@ -292,7 +883,7 @@ class AdviceController {
         success: false,
         service: 'Season-Aware Farming Advisor',
         status: 'unhealthy',
-        error: 'Health check failed',
+        error: translate(language, 'errors.healthCheckFailed'),
         message: error.message,
         timestamp: new Date().toISOString()
       });
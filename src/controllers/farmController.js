@@ -0,0 +1,323 @@
+import farmService from '../services/farmService.js';
+import adviceService from '../services/adviceService.js';
+import {
+  validateFarm,
+  validateFarmUpdate,
+  validatePlot,
+  validatePlotUpdate,
+  validatePlotAdviceRequest
+} from '../middlewares/validationMiddleware.js';
+import config from '../config/config.js';
+import { resolveLanguage, translate } from '../utils/i18nUtils.js';
+
+/**
+ * Send a validation failure response
+ * @param {Object} res - Express response object
+ * @param {Array} errors - Validation errors
+ * @param {string} language - Language of the error label (defaults to DEFAULT_LANGUAGE)
+ */
+const sendValidationError = (res, errors, language = config.defaultLanguage) => {
+  res.status(400).json({
+    success: false,
+    error: translate(language, 'errors.validationFailed'),
+    details: errors
+  });
+};
+
+/**
+ * Map registry errors to HTTP responses
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the farm service
+ * @param {string} failure - Error label for unexpected failures
+ * @param {string} language - Language of the error labels (defaults to DEFAULT_LANGUAGE)
+ */
+const sendError = (res, error, failure, language = config.defaultLanguage) => {
+  if (error.message.includes('Farm not found') || error.message.includes('Plot not found')) {
+    return res.status(404).json({
+      success: false,
+      error: translate(language, 'errors.notFound'),
+      message: error.message
+    });
+  }
+
+  if (error.message.includes('Unsupported crop type')) {
+    return res.status(400).json({
+      success: false,
+      error: translate(language, 'errors.invalidCrop'),
+      message: error.message,
+      supported_crops: adviceService.getAvailableCrops()
+    });
+  }
+
+  if (error.message.includes('Unsupported variety')) {
+    return res.status(400).json({
+      success: false,
+      error: translate(language, 'errors.invalidVariety'),
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: failure,
+    message: error.message
+  });
+};
+
+/**
+ * Controller for the farm and plot registry
+ */
+class FarmController {
+
+  /**
+   * List registered farms
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listFarms(req, res) {
+    const language = resolveLanguage(req.query.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+
+    try {
+      const farms = await farmService.listFarms();
+
+      res.status(200).json({
+        success: true,
+        data: {
+          farms,
+          count: farms.length
+        }
+      });
+
+    } catch (error) {
+      console.error('List farms error:', error);
+      sendError(res, error, translate(language, 'errors.farmsFailed'), language);
+    }
+  }
+
+  /**
+   * Register a farm
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createFarm(req, res) {
+    const language = resolveLanguage(req.query.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+
+    try {
+      const validation = validateFarm(req.body, language);
+      if (!validation.isValid) {
+        return sendValidationError(res, validation.errors, language);
+      }
+
+      const farm = await farmService.createFarm(validation.value);
+
+      res.status(201).json({
+        success: true,
+        data: farm,
+        message: translate(language, 'messages.farmCreated')
+      });
+
+    } catch (error) {
+      console.error('Create farm error:', error);
+      sendError(res, error, translate(language, 'errors.farmCreateFailed'), language);
+    }
+  }
+
+  /**
+   * Get a farm with its plots
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getFarm(req, res) {
+    const language = resolveLanguage(req.query.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+
+    try {
+      const farm = await farmService.getFarm(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: farm
+      });
+
+    } catch (error) {
+      console.error('Get farm error:', error);
+      sendError(res, error, translate(language, 'errors.farmFailed'), language);
+    }
+  }
+
+  /**
+   * Update a farm
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateFarm(req, res) {
+    const language = resolveLanguage(req.query.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+
+    try {
+      const validation = validateFarmUpdate(req.body, language);
+      if (!validation.isValid) {
+        return sendValidationError(res, validation.errors, language);
+      }
+
+      const farm = await farmService.updateFarm(req.params.id, validation.value);
+
+      res.status(200).json({
+        success: true,
+        data: farm,
+        message: translate(language, 'messages.farmUpdated')
+      });
+
+    } catch (error) {
+      console.error('Update farm error:', error);
+      sendError(res, error, translate(language, 'errors.farmUpdateFailed'), language);
+    }
+  }
+
+  /**
+   * List the plots of a farm
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async listPlots(req, res) {
+    const language = resolveLanguage(req.query.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+
+    try {
+      const plots = await farmService.listPlots(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          plots,
+          count: plots.length
+        }
+      });
+
+    } catch (error) {
+      console.error('List plots error:', error);
+      sendError(res, error, translate(language, 'errors.plotsFailed'), language);
+    }
+  }
+
+  /**
+   * Add a plot to a farm
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createPlot(req, res) {
+    const language = resolveLanguage(req.query.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+
+    try {
+      const validation = validatePlot(req.body, language);
+      if (!validation.isValid) {
+        return sendValidationError(res, validation.errors, language);
+      }
+
+      const plot = await farmService.createPlot(req.params.id, validation.value);
+
+      res.status(201).json({
+        success: true,
+        data: plot,
+        message: translate(language, 'messages.plotCreated')
+      });
+
+    } catch (error) {
+      console.error('Create plot error:', error);
+      sendError(res, error, translate(language, 'errors.plotCreateFailed'), language);
+    }
+  }
+
+  /**
+   * Get a plot
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getPlot(req, res) {
+    const language = resolveLanguage(req.query.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+
+    try {
+      const plot = await farmService.getPlot(req.params.id, req.params.plotId);
+
+      res.status(200).json({
+        success: true,
+        data: plot
+      });
+
+    } catch (error) {
+      console.error('Get plot error:', error);
+      sendError(res, error, translate(language, 'errors.plotFailed'), language);
+    }
+  }
+
+  /**
+   * Update a plot
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updatePlot(req, res) {
+    const language = resolveLanguage(req.query.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+
+    try {
+      const validation = validatePlotUpdate(req.body, language);
+      if (!validation.isValid) {
+        return sendValidationError(res, validation.errors, language);
+      }
+
+      const plot = await farmService.updatePlot(req.params.id, req.params.plotId, validation.value);
+
+      res.status(200).json({
+        success: true,
+        data: plot,
+        message: translate(language, 'messages.plotUpdated')
+      });
+
+    } catch (error) {
+      console.error('Update plot error:', error);
+      sendError(res, error, translate(language, 'errors.plotUpdateFailed'), language);
+    }
+  }
+
+  /**
+   * Generate farming advice for a stored plot
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async generatePlotAdvice(req, res) {
+    const language = resolveLanguage(req.body?.language, req.get('Accept-Language'));
+    res.set('Content-Language', language);
+
+    try {
+      const validation = validatePlotAdviceRequest(req.body, language);
+      if (!validation.isValid) {
+        return sendValidationError(res, validation.errors, language);
+      }
+
+      const { useAI, mode, horizon, date } = validation.value;
+      const advice = await farmService.generatePlotAdvice(req.params.id, req.params.plotId, {
+        useAI: useAI !== false,
+        mode,
+        horizon,
+        date,
+        language
+      });
+
+      res.status(200).json({
+        success: true,
+        data: advice,
+        message: translate(language, 'messages.adviceGenerated')
+      });
+
+    } catch (error) {
+      console.error('Plot advice error:', error);
+      sendError(res, error, translate(language, 'errors.adviceFailed'), language);
+    }
+  }
+}
+
+export default new FarmController();
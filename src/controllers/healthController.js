@@ -46,12 +46,12 @@ class HealthController {
       
       // Determine overall health status
       const weatherAvailable = serviceStatus.weather.available;
-      const geminiAvailable = serviceStatus.gemini.available;
+      const llmAvailable = serviceStatus.llm.available;
       
       let overallStatus = 'healthy';
-      if (!weatherAvailable && !geminiAvailable) {
+      if (!weatherAvailable && !llmAvailable) {
         overallStatus = 'unhealthy';
-      } else if (!weatherAvailable || !geminiAvailable) {
+      } else if (!weatherAvailable || !llmAvailable) {
         overallStatus = 'degraded';
       }
       
@@ -99,7 +99,9 @@ class HealthController {
         environment: config.nodeEnv,
         port: config.port,
         hasOpenWeatherKey: !!config.openWeatherApiKey,
-        hasGeminiKey: !!config.geminiApiKey,
+        llmProvider: config.llm.provider,
+        hasGeminiKey: !!config.llm.gemini.apiKey,
+        hasOpenAiKey: !!config.llm.openai.apiKey,
         defaultLocation: {
           lat: config.defaultLat,
           lon: config.defaultLon
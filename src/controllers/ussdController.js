@@ -0,0 +1,49 @@
+import ussdService from '../services/ussdService.js';
+import { validateUssdRequest } from '../middlewares/validationMiddleware.js';
+import { resolveLanguage, translate } from '../utils/i18nUtils.js';
+
+/**
+ * Controller for USSD gateway callbacks
+ * Gateways expect plain text: "CON <menu>" keeps the session open, "END <text>" closes it.
+ */
+class UssdController {
+
+  /**
+   * Answer one step of a USSD advice session
+   * The language comes from the `language` field or query parameter (USSD gateways send no Accept-Language).
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async handleSession(req, res) {
+    const language = resolveLanguage(req.body?.language ?? req.query.language);
+    res.set('Content-Language', language);
+
+    const validation = validateUssdRequest({ language: req.query.language, ...req.body }, language);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: translate(language, 'errors.validationFailed'),
+        details: validation.errors
+      });
+    }
+
+    res.type('text/plain');
+
+    try {
+      const { response } = await ussdService.handleSession({
+        text: validation.value.text,
+        language
+      });
+
+      res.status(200).send(response);
+
+    } catch (error) {
+      console.error(`USSD session ${validation.value.sessionId} error:`, error);
+
+      // Gateways show the text to the user, so failures still close the session with a message
+      res.status(200).send(`END ${translate(language, 'ussd.adviceFailed')}`);
+    }
+  }
+}
+
+export default new UssdController();
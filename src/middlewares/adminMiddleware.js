@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+import config from '../config/config.js';
+import { resolveLanguage, translate } from '../utils/i18nUtils.js';
+
+/**
+ * Read the admin key from an `Authorization: Bearer <key>` or `X-Admin-Key` header
+ * @param {Object} req - Express request object
+ * @returns {string} Key sent with the request (empty when there is none)
+ */
+const getRequestKey = (req) => {
+  const authorization = req.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return (req.get('X-Admin-Key') || '').trim();
+};
+
+/**
+ * Compare two keys in constant time (hashing first so different lengths do not leak)
+ * @param {string} provided - Key sent with the request
+ * @param {string} expected - Configured admin key
+ * @returns {boolean} True if the keys match
+ */
+const keysMatch = (provided, expected) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(provided).digest(),
+  crypto.createHash('sha256').update(expected).digest()
+);
+
+/**
+ * Allow a request only when it carries the ADMIN_API_KEY
+ * Admin endpoints answer 503 while no key is configured.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const requireAdmin = (req, res, next) => {
+  const language = resolveLanguage(req.body?.language ?? req.query.language, req.get('Accept-Language'));
+
+  if (!config.admin.apiKey) {
+    res.set('Content-Language', language);
+    return res.status(503).json({
+      success: false,
+      error: translate(language, 'errors.adminDisabled')
+    });
+  }
+
+  const provided = getRequestKey(req);
+  if (!provided || !keysMatch(provided, config.admin.apiKey)) {
+    res.set('Content-Language', language);
+    return res.status(401).json({
+      success: false,
+      error: translate(language, 'errors.unauthorized')
+    });
+  }
+
+  next();
+};
@@ -88,7 +88,19 @@ export const notFoundHandler = (req, res) => {
       crops: 'GET /api/advice/crops',
       season: 'GET /api/advice/season',
       status: 'GET /api/advice/status',
-      basicAdvice: 'GET /api/advice/basic/:crop'
+      basicAdvice: 'GET /api/advice/basic/:crop',
+      plantingCalendar: 'GET /api/advice/planting-calendar/:crop',
+      gdd: 'GET /api/advice/gdd',
+      irrigation: 'POST /api/advice/irrigation',
+      sprayWindows: 'POST /api/advice/spray-windows',
+      harvest: 'POST /api/advice/harvest',
+      fertilizer: 'POST /api/advice/fertilizer',
+      rotation: 'POST /api/advice/rotation',
+      recommendCrops: 'POST /api/advice/recommend-crops',
+      economics: 'POST /api/advice/economics',
+      farms: 'GET|POST /api/farms',
+      ussd: 'POST /api/ussd',
+      marketPrices: 'GET|PUT /api/admin/market-prices'
     }
   });
 };
@@ -1,5 +1,84 @@
 import Joi from 'joi';
 import config from '../config/config.js';
+import { SOURCE_LANGUAGE } from '../config/localeCatalog.js';
+import { hasMessage, translate } from '../utils/i18nUtils.js';
+import { getCropGrowthStates } from '../utils/cropUtils.js';
+
+// Crop types come from the crop catalog so new definition files are accepted automatically
+const supportedCrops = Object.keys(config.crops);
+const harvestCrops = supportedCrops.filter(crop => config.crops[crop].drying);
+const rotationCrops = supportedCrops.filter(crop => config.crops[crop].rotation);
+const yieldCrops = supportedCrops.filter(crop => config.crops[crop].yield);
+const seasonRegions = Object.keys(config.seasonCalendars);
+const growthStates = [...new Set(supportedCrops.flatMap(crop => getCropGrowthStates(crop)))];
+
+/**
+ * Shared rules for season detection parameters
+ */
+const seasonDateRule = Joi.date().iso().optional()
+  .messages({
+    'date.base': 'Date must be a valid date',
+    'date.format': 'Date must be in ISO format (YYYY-MM-DD)'
+  });
+
+const seasonRegionRule = Joi.string().valid(...seasonRegions).optional()
+  .messages({
+    'any.only': `Region must be one of: ${seasonRegions.join(', ')}`
+  });
+
+/**
+ * Shared rules for fertilizer calculation parameters
+ */
+const soilTextures = Object.keys(config.fertilizer.limeRatePerPhUnit);
+
+const soilTextureRule = Joi.string().valid(...soilTextures).optional()
+  .messages({
+    'any.only': `Soil texture must be one of: ${soilTextures.join(', ')}`
+  });
+
+const soilTestRule = Joi.object({
+  n: Joi.number().min(0),
+  p2o5: Joi.number().min(0),
+  k2o: Joi.number().min(0)
+}).min(1).optional()
+  .messages({
+    'number.base': 'Soil test values must be numbers (kg per hectare)',
+    'number.min': 'Soil test values cannot be negative',
+    'object.min': 'Soil test must include at least one of n, p2o5, k2o',
+    'object.unknown': 'Soil test values must be n, p2o5 or k2o'
+  });
+
+/**
+ * Shared rule for the advice mode
+ */
+const adviceModeRule = Joi.string().valid(...config.adviceModes).optional()
+  .messages({
+    'any.only': `Mode must be one of: ${config.adviceModes.join(', ')}`
+  });
+
+/**
+ * Shared rule for the response language
+ */
+const languageRule = Joi.string().lowercase().valid(...config.languages).optional()
+  .messages({
+    'any.only': `Language must be one of: ${config.languages.join(', ')}`
+  });
+
+/**
+ * Shared rule for the growth state
+ * Checked against the crop's growthStates when the request names a crop, otherwise against the
+ * growth states of every crop in the catalog.
+ */
+const growthStateValues = (states) => Joi.string().valid(...states)
+  .messages({
+    'string.empty': 'Growth state cannot be empty',
+    'any.only': `Growth state must be one of: ${states.join(', ')}`
+  });
+
+const growthStateRule = Joi.when('crop', {
+  switch: supportedCrops.map(crop => ({ is: crop, then: growthStateValues(getCropGrowthStates(crop)) })),
+  otherwise: growthStateValues(growthStates)
+});
 
 /**
  * Validation schema for advice request
@@ -20,11 +99,11 @@ const adviceRequestSchema = Joi.object({
     }),
   
   crop: Joi.string().required()
-    .valid('maize', 'beans', 'potatoes', 'bananas')
+    .valid(...supportedCrops)
     .messages({
       'string.empty': 'Crop type is required',
       'any.required': 'Crop type is required',
-      'any.only': 'Crop type must be one of: maize, beans, potatoes, bananas'
+      'any.only': `Crop type must be one of: ${supportedCrops.join(', ')}`
     }),
   
   soilPh: Joi.number().min(4.0).max(8.5).optional()
@@ -34,30 +113,99 @@ const adviceRequestSchema = Joi.object({
       'number.max': 'Soil pH must be between 4.0 and 8.5'
     }),
   
-  growthState: Joi.string().valid('germination', 'vegetative', 'flowering', 'fruiting').optional()
-    .messages({
-      'string.empty': 'Growth state cannot be empty',
-      'any.only': 'Growth state must be one of: germination, vegetative, flowering, fruiting'
-    }),
+  growthState: growthStateRule,
   
   variety: Joi.string().optional()
     .messages({
       'string.empty': 'Variety cannot be empty'
     }),
   
+  plantingDate: Joi.date().iso().optional()
+    .messages({
+      'date.base': 'Planting date must be a valid date',
+      'date.format': 'Planting date must be in ISO format (YYYY-MM-DD)'
+    }),
+  
+  area: Joi.number().positive().optional()
+    .messages({
+      'number.base': 'Area must be a number (hectares)',
+      'number.positive': 'Area must be greater than 0'
+    }),
+  
+  soilTexture: soilTextureRule,
+  
+  soilTest: soilTestRule,
+  
   useAI: Joi.boolean().optional()
     .messages({
       'boolean.base': 'useAI must be a boolean value'
+    }),
+  
+  mode: adviceModeRule,
+  
+  horizon: Joi.string().valid(...Object.keys(config.forecastHorizons)).optional()
+    .messages({
+      'any.only': `Forecast horizon must be one of: ${Object.keys(config.forecastHorizons).join(', ')}`
+    }),
+  
+  date: seasonDateRule,
+  
+  region: seasonRegionRule,
+  
+  clientId: Joi.string().trim().max(100).optional()
+    .messages({
+      'string.base': 'clientId must be a string',
+      'string.max': 'clientId must be at most 100 characters'
+    }),
+  
+  language: languageRule,
+  
+  format: Joi.string().lowercase().valid('json', 'sms').optional()
+    .messages({
+      'any.only': 'Format must be one of: json, sms'
     })
 });
 
 /**
  * Validate advice request
  * @param {Object} data - Request data to validate
+ * @param {string} language - Language of the error messages (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Validation result
+ */
+export const validateAdviceRequest = (data, language) => validateWithSchema(adviceRequestSchema, data, language);
+
+/**
+ * Validation schema for the language of basic advice queries
+ */
+const languageQuerySchema = Joi.object({
+  language: languageRule
+}).unknown(true);
+
+/**
+ * Validate the language parameter of a query
+ * @param {Object} data - Query parameters to validate
+ * @param {string} language - Language of the error messages (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Validation result
+ */
+export const validateLanguageQuery = (data, language) => validateWithSchema(languageQuerySchema, data ?? {}, language);
+
+/**
+ * Validation schema for season queries
+ */
+const seasonQuerySchema = Joi.object({
+  date: seasonDateRule,
+  region: seasonRegionRule,
+  language: languageRule
+});
+
+/**
+ * Validate season query parameters
+ * @param {Object} data - Query parameters to validate
+ * @param {string} language - Language of the error messages (defaults to DEFAULT_LANGUAGE)
  * @returns {Object} Validation result
  */
-export const validateAdviceRequest = (data) => {
-  const { error, value } = adviceRequestSchema.validate(data, {
+export const validateSeasonQuery = (data, language = config.defaultLanguage) => {
+  const { error, value } = seasonQuerySchema.validate(data, {
     abortEarly: false,
     stripUnknown: true
   });
@@ -65,7 +213,79 @@ export const validateAdviceRequest = (data) => {
   if (error) {
     const errors = error.details.map(detail => ({
       field: detail.path.join('.'),
-      message: detail.message,
+      message: localizeErrorMessage(detail, language),
+      value: detail.context?.value
+    }));
+    
+    return {
+      isValid: false,
+      errors,
+      value: null
+    };
+  }
+  
+  return {
+    isValid: true,
+    errors: [],
+    value
+  };
+};
+
+/**
+ * Validation schema for planting calendar queries
+ */
+const plantingCalendarQuerySchema = Joi.object({
+  variety: Joi.string().optional()
+    .messages({
+      'string.empty': 'Variety cannot be empty'
+    }),
+  
+  region: seasonRegionRule,
+  
+  lat: Joi.number().min(-90).max(90).optional()
+    .messages({
+      'number.base': 'Latitude must be a number',
+      'number.min': 'Latitude must be between -90 and 90',
+      'number.max': 'Latitude must be between -90 and 90'
+    }),
+  
+  lon: Joi.number().min(-180).max(180).optional()
+    .messages({
+      'number.base': 'Longitude must be a number',
+      'number.min': 'Longitude must be between -180 and 180',
+      'number.max': 'Longitude must be between -180 and 180'
+    }),
+  
+  from: Joi.date().iso().optional()
+    .messages({
+      'date.base': 'From must be a valid date',
+      'date.format': 'From must be in ISO format (YYYY-MM-DD)'
+    }),
+  
+  format: Joi.string().valid('json', 'ics').default('json')
+    .messages({
+      'any.only': 'Format must be one of: json, ics'
+    }),
+  
+  language: languageRule
+});
+
+/**
+ * Validate planting calendar query parameters
+ * @param {Object} data - Query parameters to validate
+ * @param {string} language - Language of the error messages (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Validation result
+ */
+export const validatePlantingCalendarQuery = (data, language = config.defaultLanguage) => {
+  const { error, value } = plantingCalendarQuerySchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+  
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: localizeErrorMessage(detail, language),
       value: detail.context?.value
     }));
     
@@ -140,11 +360,11 @@ export const validateCoordinates = (data) => {
  * Validation schema for crop type
  */
 const cropTypeSchema = Joi.string().required()
-  .valid('maize', 'beans', 'potatoes', 'bananas')
+  .valid(...supportedCrops)
   .messages({
     'string.empty': 'Crop type is required',
     'any.required': 'Crop type is required',
-    'any.only': 'Crop type must be one of: maize, beans, potatoes, bananas'
+    'any.only': `Crop type must be one of: ${supportedCrops.join(', ')}`
   });
 
 /**
@@ -210,21 +430,23 @@ export const validateSoilPh = (soilPh) => {
 /**
  * Validate growth state
  * @param {string} growthState - Growth state to validate
+ * @param {string} cropType - Crop whose growth states are accepted (optional; any crop's when omitted)
  * @returns {Object} Validation result
  */
-export const validateGrowthState = (growthState) => {
+export const validateGrowthState = (growthState, cropType) => {
   if (growthState === undefined || growthState === null) {
     return { isValid: true, errors: [], value: null };
   }
   
-  const { error, value } = Joi.string().valid('germination', 'vegetative', 'flowering', 'fruiting').validate(growthState);
+  const states = cropType && supportedCrops.includes(cropType) ? getCropGrowthStates(cropType) : growthStates;
+  const { error, value } = Joi.string().valid(...states).validate(growthState);
   
   if (error) {
     return {
       isValid: false,
       errors: [{
         field: 'growthState',
-        message: 'Growth state must be one of: germination, vegetative, flowering, fruiting',
+        message: `Growth state must be one of: ${states.join(', ')}`,
         value: growthState
       }],
       value: null
@@ -237,3 +459,710 @@ export const validateGrowthState = (growthState) => {
     value
   };
 };
+
+/**
+ * Message of a validation error in the requested language
+ * The English messages above are kept as written; other languages use the catalog message for the
+ * Joi error type (e.g. validation.number.min) when there is one.
+ * @param {Object} detail - Joi error detail
+ * @param {string} language - Language code
+ * @returns {string} Error message
+ */
+const localizeErrorMessage = (detail, language) => {
+  const key = `validation.${detail.type}`;
+  if (language === SOURCE_LANGUAGE || !hasMessage(language, key)) {
+    return detail.message;
+  }
+  
+  const { label, limit, valids } = detail.context || {};
+  return translate(language, key, {
+    label,
+    limit: limit instanceof Date ? limit.toISOString().slice(0, 10) : limit,
+    valids: Array.isArray(valids) ? valids.join(', ') : valids
+  });
+};
+
+/**
+ * Run a Joi schema and shape the result like the other validators
+ * @param {Object} schema - Joi schema
+ * @param {Object} data - Data to validate
+ * @param {string} language - Language of the error messages (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Validation result
+ */
+const validateWithSchema = (schema, data, language = config.defaultLanguage) => {
+  const { error, value } = schema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+  
+  if (error) {
+    const errors = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: localizeErrorMessage(detail, language),
+      value: detail.context?.value
+    }));
+    
+    return {
+      isValid: false,
+      errors,
+      value: null
+    };
+  }
+  
+  return {
+    isValid: true,
+    errors: [],
+    value
+  };
+};
+
+/**
+ * Shared rules for optional coordinates
+ */
+const latitudeRule = Joi.number().min(-90).max(90).optional()
+  .messages({
+    'number.base': 'Latitude must be a number',
+    'number.min': 'Latitude must be between -90 and 90',
+    'number.max': 'Latitude must be between -90 and 90'
+  });
+
+const longitudeRule = Joi.number().min(-180).max(180).optional()
+  .messages({
+    'number.base': 'Longitude must be a number',
+    'number.min': 'Longitude must be between -180 and 180',
+    'number.max': 'Longitude must be between -180 and 180'
+  });
+
+/**
+ * Validation schema for farms
+ */
+const farmSchema = Joi.object({
+  name: Joi.string().trim().max(100).required()
+    .messages({
+      'string.empty': 'Farm name is required',
+      'any.required': 'Farm name is required',
+      'string.max': 'Farm name must be at most 100 characters'
+    }),
+  
+  owner: Joi.string().trim().max(100).optional()
+    .messages({
+      'string.empty': 'Owner cannot be empty',
+      'string.max': 'Owner must be at most 100 characters'
+    }),
+  
+  lat: latitudeRule,
+  
+  lon: longitudeRule,
+  
+  region: seasonRegionRule
+}).and('lat', 'lon')
+  .messages({
+    'object.and': 'Latitude and longitude must be provided together'
+  });
+
+const farmUpdateSchema = farmSchema
+  .fork(['name'], rule => rule.optional())
+  .fork(['owner', 'region'], rule => rule.allow(null))
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided'
+  });
+
+/**
+ * Validation schema for plots
+ */
+const plotSchema = Joi.object({
+  name: Joi.string().trim().max(100).required()
+    .messages({
+      'string.empty': 'Plot name is required',
+      'any.required': 'Plot name is required',
+      'string.max': 'Plot name must be at most 100 characters'
+    }),
+  
+  lat: latitudeRule,
+  
+  lon: longitudeRule,
+  
+  area: Joi.number().positive().optional()
+    .messages({
+      'number.base': 'Area must be a number (hectares)',
+      'number.positive': 'Area must be greater than 0'
+    }),
+  
+  soilPh: Joi.number().min(4.0).max(8.5).optional()
+    .messages({
+      'number.base': 'Soil pH must be a number',
+      'number.min': 'Soil pH must be between 4.0 and 8.5',
+      'number.max': 'Soil pH must be between 4.0 and 8.5'
+    }),
+  
+  soilTexture: soilTextureRule,
+  
+  crop: Joi.string().valid(...supportedCrops).required()
+    .messages({
+      'string.empty': 'Crop type is required',
+      'any.required': 'Crop type is required',
+      'any.only': `Crop type must be one of: ${supportedCrops.join(', ')}`
+    }),
+  
+  variety: Joi.string().optional()
+    .messages({
+      'string.empty': 'Variety cannot be empty'
+    }),
+  
+  plantingDate: Joi.date().iso().optional()
+    .messages({
+      'date.base': 'Planting date must be a valid date',
+      'date.format': 'Planting date must be in ISO format (YYYY-MM-DD)'
+    })
+}).and('lat', 'lon')
+  .messages({
+    'object.and': 'Latitude and longitude must be provided together'
+  });
+
+const plotUpdateSchema = plotSchema
+  .fork(['name', 'crop'], rule => rule.optional())
+  .fork(['lat', 'lon', 'area', 'soilPh', 'soilTexture', 'variety', 'plantingDate'], rule => rule.allow(null))
+  .min(1)
+  .messages({
+    'object.min': 'At least one field must be provided'
+  });
+
+/**
+ * Validation schema for plot advice requests
+ */
+const plotAdviceSchema = Joi.object({
+  useAI: Joi.boolean().optional()
+    .messages({
+      'boolean.base': 'useAI must be a boolean value'
+    }),
+  
+  mode: adviceModeRule,
+  
+  horizon: Joi.string().valid(...Object.keys(config.forecastHorizons)).optional()
+    .messages({
+      'any.only': `Forecast horizon must be one of: ${Object.keys(config.forecastHorizons).join(', ')}`
+    }),
+  
+  date: seasonDateRule,
+  
+  language: languageRule
+});
+
+/**
+ * Validate a new farm
+ * @param {Object} data - Farm fields to validate
+ * @param {string} language - Language of the error messages (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Validation result
+ */
+export const validateFarm = (data, language) => validateWithSchema(farmSchema, data, language);
+
+/**
+ * Validate farm changes
+ * @param {Object} data - Farm fields to validate
+ * @param {string} language - Language of the error messages (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Validation result
+ */
+export const validateFarmUpdate = (data, language) => validateWithSchema(farmUpdateSchema, data, language);
+
+/**
+ * Validate a new plot
+ * @param {Object} data - Plot fields to validate
+ * @param {string} language - Language of the error messages (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Validation result
+ */
+export const validatePlot = (data, language) => validateWithSchema(plotSchema, data, language);
+
+/**
+ * Validate plot changes
+ * @param {Object} data - Plot fields to validate
+ * @param {string} language - Language of the error messages (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Validation result
+ */
+export const validatePlotUpdate = (data, language) => validateWithSchema(plotUpdateSchema, data, language);
+
+/**
+ * Validate a plot advice request
+ * @param {Object} data - Request data to validate
+ * @param {string} language - Language of the error messages (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Validation result
+ */
+export const validatePlotAdviceRequest = (data, language) => validateWithSchema(plotAdviceSchema, data ?? {}, language);
+
+/**
+ * Validation schema for GDD queries
+ */
+const gddQuerySchema = Joi.object({
+  crop: Joi.string().valid(...supportedCrops).required()
+    .messages({
+      'string.empty': 'Crop type is required',
+      'any.required': 'Crop type is required',
+      'any.only': `Crop type must be one of: ${supportedCrops.join(', ')}`
+    }),
+  
+  plantingDate: Joi.date().iso().required()
+    .messages({
+      'any.required': 'Planting date is required',
+      'date.base': 'Planting date must be a valid date',
+      'date.format': 'Planting date must be in ISO format (YYYY-MM-DD)'
+    }),
+  
+  variety: Joi.string().optional()
+    .messages({
+      'string.empty': 'Variety cannot be empty'
+    }),
+  
+  lat: latitudeRule,
+  
+  lon: longitudeRule,
+  
+  date: seasonDateRule,
+  
+  language: languageRule
+}).and('lat', 'lon')
+  .messages({
+    'object.and': 'Latitude and longitude must be provided together'
+  });
+
+/**
+ * Validate GDD query parameters
+ * @param {Object} data - Query parameters to validate
+ * @param {string} language - Language of the error messages (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Validation result
+ */
+export const validateGddQuery = (data, language) => validateWithSchema(gddQuerySchema, data, language);
+
+/**
+ * Validation schema for irrigation schedule requests
+ */
+const irrigationRequestSchema = Joi.object({
+  crop: Joi.string().valid(...supportedCrops).required()
+    .messages({
+      'string.empty': 'Crop type is required',
+      'any.required': 'Crop type is required',
+      'any.only': `Crop type must be one of: ${supportedCrops.join(', ')}`
+    }),
+  
+  lat: latitudeRule,
+  
+  lon: longitudeRule,
+  
+  area: Joi.number().positive().optional()
+    .messages({
+      'number.base': 'Area must be a number (hectares)',
+      'number.positive': 'Area must be greater than 0'
+    }),
+  
+  growthState: growthStateRule,
+  
+  variety: Joi.string().optional()
+    .messages({
+      'string.empty': 'Variety cannot be empty'
+    }),
+  
+  plantingDate: Joi.date().iso().optional()
+    .messages({
+      'date.base': 'Planting date must be a valid date',
+      'date.format': 'Planting date must be in ISO format (YYYY-MM-DD)'
+    }),
+  
+  horizon: Joi.string().valid(...Object.keys(config.forecastHorizons)).optional()
+    .messages({
+      'any.only': `Forecast horizon must be one of: ${Object.keys(config.forecastHorizons).join(', ')}`
+    }),
+  
+  language: languageRule
+}).and('lat', 'lon')
+  .messages({
+    'object.and': 'Latitude and longitude must be provided together'
+  });
+
+/**
+ * Validate an irrigation schedule request
+ * @param {Object} data - Request data to validate
+ * @param {string} language - Language of the error messages (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Validation result
+ */
+export const validateIrrigationRequest = (data, language) => validateWithSchema(irrigationRequestSchema, data ?? {}, language);
+
+/**
+ * Validation schema for spray window requests
+ */
+const sprayWindowRequestSchema = Joi.object({
+  crop: Joi.string().valid(...supportedCrops).optional()
+    .messages({
+      'any.only': `Crop type must be one of: ${supportedCrops.join(', ')}`
+    }),
+  
+  lat: latitudeRule,
+  
+  lon: longitudeRule,
+  
+  growthState: growthStateRule,
+  
+  variety: Joi.string().optional()
+    .messages({
+      'string.empty': 'Variety cannot be empty'
+    }),
+  
+  plantingDate: Joi.date().iso().optional()
+    .messages({
+      'date.base': 'Planting date must be a valid date',
+      'date.format': 'Planting date must be in ISO format (YYYY-MM-DD)'
+    }),
+  
+  product: Joi.string().valid(...Object.keys(config.sprayWindow.products)).optional()
+    .messages({
+      'any.only': `Product must be one of: ${Object.keys(config.sprayWindow.products).join(', ')}`
+    }),
+  
+  rainFreeHours: Joi.number().integer().min(0).max(24).optional()
+    .messages({
+      'number.base': 'Rain-free hours must be a number',
+      'number.integer': 'Rain-free hours must be a whole number',
+      'number.min': 'Rain-free hours must be between 0 and 24',
+      'number.max': 'Rain-free hours must be between 0 and 24'
+    }),
+  
+  horizon: Joi.string().valid(...Object.keys(config.forecastHorizons)).optional()
+    .messages({
+      'any.only': `Forecast horizon must be one of: ${Object.keys(config.forecastHorizons).join(', ')}`
+    }),
+  
+  language: languageRule
+}).and('lat', 'lon')
+  .with('plantingDate', 'crop')
+  .with('variety', 'crop')
+  .messages({
+    'object.and': 'Latitude and longitude must be provided together',
+    'object.with': '{{#main}} requires crop'
+  });
+
+/**
+ * Validate a spray window request
+ * @param {Object} data - Request data to validate
+ * @param {string} language - Language of the error messages (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Validation result
+ */
+export const validateSprayWindowRequest = (data, language) => validateWithSchema(sprayWindowRequestSchema, data ?? {}, language);
+
+/**
+ * Validation schema for harvest plan requests
+ */
+const harvestRequestSchema = Joi.object({
+  crop: Joi.string().valid(...harvestCrops).required()
+    .messages({
+      'string.empty': 'Crop type is required',
+      'any.required': 'Crop type is required',
+      'any.only': `Harvest planning is available for: ${harvestCrops.join(', ')}`
+    }),
+  
+  plantingDate: Joi.date().iso().required()
+    .messages({
+      'any.required': 'Planting date is required',
+      'date.base': 'Planting date must be a valid date',
+      'date.format': 'Planting date must be in ISO format (YYYY-MM-DD)'
+    }),
+  
+  variety: Joi.string().optional()
+    .messages({
+      'string.empty': 'Variety cannot be empty'
+    }),
+  
+  lat: latitudeRule,
+  
+  lon: longitudeRule,
+  
+  horizon: Joi.string().valid(...Object.keys(config.forecastHorizons)).optional()
+    .messages({
+      'any.only': `Forecast horizon must be one of: ${Object.keys(config.forecastHorizons).join(', ')}`
+    }),
+  
+  date: seasonDateRule,
+  
+  language: languageRule
+}).and('lat', 'lon')
+  .messages({
+    'object.and': 'Latitude and longitude must be provided together'
+  });
+
+/**
+ * Validate a harvest plan request
+ * @param {Object} data - Request data to validate
+ * @param {string} language - Language of the error messages (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Validation result
+ */
+export const validateHarvestRequest = (data, language) => validateWithSchema(harvestRequestSchema, data ?? {}, language);
+
+/**
+ * Validation schema for fertilizer plan requests
+ */
+const fertilizerRequestSchema = Joi.object({
+  crop: Joi.string().valid(...supportedCrops).required()
+    .messages({
+      'string.empty': 'Crop type is required',
+      'any.required': 'Crop type is required',
+      'any.only': `Crop type must be one of: ${supportedCrops.join(', ')}`
+    }),
+  
+  soilPh: Joi.number().min(4.0).max(8.5).optional()
+    .messages({
+      'number.base': 'Soil pH must be a number',
+      'number.min': 'Soil pH must be between 4.0 and 8.5',
+      'number.max': 'Soil pH must be between 4.0 and 8.5'
+    }),
+  
+  soilTexture: soilTextureRule,
+  
+  area: Joi.number().positive().optional()
+    .messages({
+      'number.base': 'Area must be a number (hectares)',
+      'number.positive': 'Area must be greater than 0'
+    }),
+  
+  soilTest: soilTestRule,
+  
+  variety: Joi.string().optional()
+    .messages({
+      'string.empty': 'Variety cannot be empty'
+    }),
+  
+  plantingDate: Joi.date().iso().optional()
+    .messages({
+      'date.base': 'Planting date must be a valid date',
+      'date.format': 'Planting date must be in ISO format (YYYY-MM-DD)'
+    }),
+  
+  language: languageRule
+});
+
+/**
+ * Validate a fertilizer plan request
+ * @param {Object} data - Request data to validate
+ * @param {string} language - Language of the error messages (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Validation result
+ */
+export const validateFertilizerRequest = (data, language) => validateWithSchema(fertilizerRequestSchema, data ?? {}, language);
+
+/**
+ * Validation schema for crop rotation requests
+ */
+const rotationHistoryRule = Joi.array().items(Joi.object({
+  crop: Joi.string().valid(...rotationCrops).required()
+    .messages({
+      'any.required': 'Each history entry needs a crop',
+      'any.only': `History crops must be one of: ${rotationCrops.join(', ')}`
+    }),
+  
+  intercrop: Joi.array().items(Joi.string().valid(...rotationCrops)).optional()
+    .messages({
+      'array.base': 'Intercrop must be a list of crops',
+      'any.only': `Intercrop crops must be one of: ${rotationCrops.join(', ')}`
+    })
+})).max(config.rotation.maxSeasons).default([])
+  .messages({
+    'array.base': 'History must be a list of crops grown on the plot, oldest first',
+    'array.max': `History can include at most ${config.rotation.maxSeasons} seasons`
+  });
+
+const rotationRequestSchema = Joi.object({
+  history: rotationHistoryRule,
+  
+  seasons: Joi.number().integer().min(1).max(config.rotation.maxSeasons).optional()
+    .messages({
+      'number.base': 'Seasons must be a number',
+      'number.integer': 'Seasons must be a whole number',
+      'number.min': `Seasons must be between 1 and ${config.rotation.maxSeasons}`,
+      'number.max': `Seasons must be between 1 and ${config.rotation.maxSeasons}`
+    }),
+  
+  from: Joi.date().iso().optional()
+    .messages({
+      'date.base': 'Start date must be a valid date',
+      'date.format': 'Start date must be in ISO format (YYYY-MM-DD)'
+    }),
+  
+  region: seasonRegionRule,
+  
+  lat: latitudeRule,
+  
+  lon: longitudeRule,
+  
+  language: languageRule
+}).and('lat', 'lon')
+  .messages({
+    'object.and': 'Latitude and longitude must be provided together'
+  });
+
+/**
+ * Validate a crop rotation request
+ * @param {Object} data - Request data to validate
+ * @param {string} language - Language of the error messages (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Validation result
+ */
+export const validateRotationRequest = (data, language) => validateWithSchema(rotationRequestSchema, data ?? {}, language);
+
+/**
+ * Validation schema for crop recommendation requests
+ */
+const cropRecommendationRequestSchema = Joi.object({
+  lat: latitudeRule,
+  
+  lon: longitudeRule,
+  
+  region: seasonRegionRule,
+  
+  date: seasonDateRule,
+  
+  soilPh: Joi.number().min(4.0).max(8.5).optional()
+    .messages({
+      'number.base': 'Soil pH must be a number',
+      'number.min': 'Soil pH must be between 4.0 and 8.5',
+      'number.max': 'Soil pH must be between 4.0 and 8.5'
+    }),
+  
+  altitude: Joi.number().min(0).max(5000).optional()
+    .messages({
+      'number.base': 'Altitude must be a number (metres)',
+      'number.min': 'Altitude must be between 0 and 5000 metres',
+      'number.max': 'Altitude must be between 0 and 5000 metres'
+    }),
+  
+  horizon: Joi.string().valid(...Object.keys(config.forecastHorizons)).optional()
+    .messages({
+      'any.only': `Forecast horizon must be one of: ${Object.keys(config.forecastHorizons).join(', ')}`
+    }),
+  
+  language: languageRule
+}).and('lat', 'lon')
+  .messages({
+    'object.and': 'Latitude and longitude must be provided together'
+  });
+
+/**
+ * Validate a crop recommendation request
+ * @param {Object} data - Request data to validate
+ * @param {string} language - Language of the error messages (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Validation result
+ */
+export const validateCropRecommendationRequest = (data, language) => validateWithSchema(cropRecommendationRequestSchema, data ?? {}, language);
+
+/**
+ * Validation schema for yield and profit estimate requests
+ */
+const economicsRequestSchema = Joi.object({
+  crop: Joi.string().valid(...yieldCrops).required()
+    .messages({
+      'string.empty': 'Crop type is required',
+      'any.required': 'Crop type is required',
+      'any.only': `Yield estimates are available for: ${yieldCrops.join(', ')}`
+    }),
+  
+  variety: Joi.string().optional()
+    .messages({
+      'string.empty': 'Variety cannot be empty'
+    }),
+  
+  area: Joi.number().positive().optional()
+    .messages({
+      'number.base': 'Area must be a number (hectares)',
+      'number.positive': 'Area must be greater than 0'
+    }),
+  
+  soilPh: Joi.number().min(4.0).max(8.5).optional()
+    .messages({
+      'number.base': 'Soil pH must be a number',
+      'number.min': 'Soil pH must be between 4.0 and 8.5',
+      'number.max': 'Soil pH must be between 4.0 and 8.5'
+    }),
+  
+  soilTexture: soilTextureRule,
+  
+  lat: latitudeRule,
+  
+  lon: longitudeRule,
+  
+  region: seasonRegionRule,
+  
+  date: seasonDateRule,
+  
+  horizon: Joi.string().valid(...Object.keys(config.forecastHorizons)).optional()
+    .messages({
+      'any.only': `Forecast horizon must be one of: ${Object.keys(config.forecastHorizons).join(', ')}`
+    }),
+  
+  language: languageRule
+}).and('lat', 'lon')
+  .messages({
+    'object.and': 'Latitude and longitude must be provided together'
+  });
+
+/**
+ * Validate a yield and profit estimate request
+ * @param {Object} data - Request data to validate
+ * @param {string} language - Language of the error messages (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Validation result
+ */
+export const validateEconomicsRequest = (data, language) => validateWithSchema(economicsRequestSchema, data ?? {}, language);
+
+/**
+ * Validation schema for market price updates (RWF per kg; null restores the default price)
+ */
+const marketPriceUpdateSchema = Joi.object({
+  prices: Joi.object(Object.fromEntries(supportedCrops.map(crop => [
+    crop,
+    Joi.number().positive().allow(null)
+      .messages({
+        'number.base': `Price for ${crop} must be a number (RWF per kg) or null`,
+        'number.positive': `Price for ${crop} must be greater than 0`
+      })
+  ]))).min(1).required()
+    // Unknown crops are rejected rather than stripped so a typo does not look like a successful update
+    .prefs({ stripUnknown: false })
+    .messages({
+      'any.required': 'prices is required',
+      'object.base': 'prices must map crops to prices in RWF per kg',
+      'object.min': 'prices must include at least one crop',
+      'object.unknown': `Prices can be set for: ${supportedCrops.join(', ')}`
+    }),
+  
+  language: languageRule
+});
+
+/**
+ * Validate a market price update
+ * @param {Object} data - Request data to validate
+ * @param {string} language - Language of the error messages (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Validation result
+ */
+export const validateMarketPriceUpdate = (data, language) => validateWithSchema(marketPriceUpdateSchema, data ?? {}, language);
+
+/**
+ * Validation schema for USSD gateway callbacks (menu choices arrive joined by "*")
+ */
+const ussdRequestSchema = Joi.object({
+  sessionId: Joi.string().trim().max(100).required()
+    .messages({
+      'any.required': 'sessionId is required',
+      'string.empty': 'sessionId is required'
+    }),
+  
+  serviceCode: Joi.string().trim().max(50).optional(),
+  
+  phoneNumber: Joi.string().trim().max(20).optional(),
+  
+  text: Joi.string().trim().allow('').max(200).default('')
+    .messages({
+      'string.max': 'text must be at most 200 characters'
+    }),
+  
+  language: languageRule
+});
+
+/**
+ * Validate a USSD gateway callback
+ * @param {Object} data - Request data to validate
+ * @param {string} language - Language of the error messages (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Validation result
+ */
+export const validateUssdRequest = (data, language) => validateWithSchema(ussdRequestSchema, data ?? {}, language);
\ No newline at end of file
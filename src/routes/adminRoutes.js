@@ -0,0 +1,23 @@
+import express from 'express';
+import adminController from '../controllers/adminController.js';
+import { requireAdmin } from '../middlewares/adminMiddleware.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * @route GET /api/admin/market-prices
+ * @desc Market price table used by the yield and profit estimator (RWF per kg)
+ * @access Admin (ADMIN_API_KEY as a Bearer token or X-Admin-Key)
+ */
+router.get('/market-prices', adminController.getMarketPrices);
+
+/**
+ * @route PUT /api/admin/market-prices
+ * @desc Update market prices; a null price restores the crop's default
+ * @access Admin (ADMIN_API_KEY as a Bearer token or X-Admin-Key)
+ */
+router.put('/market-prices', adminController.updateMarketPrices);
+
+export default router;
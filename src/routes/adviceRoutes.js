@@ -26,7 +26,7 @@ router.get('/varieties/:crop', adviceController.getCropVarieties);
 
 /**
  * @route GET /api/advice/growth-states
- * @desc Get available growth states
+ * @desc Get available growth states (for one crop with ?crop=)
  * @access Public
  */
 router.get('/growth-states', adviceController.getGrowthStates);
@@ -38,6 +38,69 @@ router.get('/growth-states', adviceController.getGrowthStates);
  */
 router.get('/season', adviceController.getCurrentSeason);
 
+/**
+ * @route GET /api/advice/planting-calendar/:crop
+ * @desc Get a 12-month planting calendar for a crop (JSON or .ics)
+ * @access Public
+ */
+router.get('/planting-calendar/:crop', adviceController.getPlantingCalendar);
+
+/**
+ * @route GET /api/advice/gdd
+ * @desc Estimate growth stage and maturity date from growing degree days
+ * @access Public
+ */
+router.get('/gdd', adviceController.getGddEstimate);
+
+/**
+ * @route POST /api/advice/irrigation
+ * @desc Day-by-day irrigation schedule from the forecast crop water balance
+ * @access Public
+ */
+router.post('/irrigation', adviceController.getIrrigationSchedule);
+
+/**
+ * @route POST /api/advice/spray-windows
+ * @desc Ranked spray windows from forecast wind, temperature and rain
+ * @access Public
+ */
+router.post('/spray-windows', adviceController.getSprayWindows);
+
+/**
+ * @route POST /api/advice/harvest
+ * @desc Harvest day and sun-drying windows from expected maturity and forecast dry spells
+ * @access Public
+ */
+router.post('/harvest', adviceController.getHarvestPlan);
+
+/**
+ * @route POST /api/advice/fertilizer
+ * @desc Lime and fertilizer quantities, split-application timing and costs for a plot
+ * @access Public
+ */
+router.post('/fertilizer', adviceController.getFertilizerPlan);
+
+/**
+ * @route POST /api/advice/rotation
+ * @desc Crop rotation and intercropping sequences across the coming seasons from a plot's crop history
+ * @access Public
+ */
+router.post('/rotation', adviceController.getRotationPlan);
+
+/**
+ * @route POST /api/advice/recommend-crops
+ * @desc Crops and varieties ranked by season, soil pH, forecast rainfall, temperature and altitude
+ * @access Public
+ */
+router.post('/recommend-crops', adviceController.recommendCrops);
+
+/**
+ * @route POST /api/advice/economics
+ * @desc Expected yield, revenue at market prices, input costs and gross margin for a plot
+ * @access Public
+ */
+router.post('/economics', adviceController.estimateEconomics);
+
 /**
  * @route GET /api/advice/status
  * @desc Get service status information
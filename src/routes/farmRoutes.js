@@ -0,0 +1,69 @@
+import express from 'express';
+import farmController from '../controllers/farmController.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/farms
+ * @desc List registered farms
+ * @access Public
+ */
+router.get('/', farmController.listFarms);
+
+/**
+ * @route POST /api/farms
+ * @desc Register a farm
+ * @access Public
+ */
+router.post('/', farmController.createFarm);
+
+/**
+ * @route GET /api/farms/:id
+ * @desc Get a farm with its plots
+ * @access Public
+ */
+router.get('/:id', farmController.getFarm);
+
+/**
+ * @route PATCH /api/farms/:id
+ * @desc Update a farm
+ * @access Public
+ */
+router.patch('/:id', farmController.updateFarm);
+
+/**
+ * @route GET /api/farms/:id/plots
+ * @desc List the plots of a farm
+ * @access Public
+ */
+router.get('/:id/plots', farmController.listPlots);
+
+/**
+ * @route POST /api/farms/:id/plots
+ * @desc Add a plot to a farm
+ * @access Public
+ */
+router.post('/:id/plots', farmController.createPlot);
+
+/**
+ * @route GET /api/farms/:id/plots/:plotId
+ * @desc Get a plot
+ * @access Public
+ */
+router.get('/:id/plots/:plotId', farmController.getPlot);
+
+/**
+ * @route PATCH /api/farms/:id/plots/:plotId
+ * @desc Update a plot
+ * @access Public
+ */
+router.patch('/:id/plots/:plotId', farmController.updatePlot);
+
+/**
+ * @route POST /api/farms/:id/plots/:plotId/advice
+ * @desc Generate farming advice for a plot (growth stage estimated from the planting date)
+ * @access Public
+ */
+router.post('/:id/plots/:plotId/advice', farmController.generatePlotAdvice);
+
+export default router;
@@ -0,0 +1,13 @@
+import express from 'express';
+import ussdController from '../controllers/ussdController.js';
+
+const router = express.Router();
+
+/**
+ * @route POST /api/ussd
+ * @desc USSD gateway callback: crop, variety, growth stage and location menus, then compact advice
+ * @access Public
+ */
+router.post('/', ussdController.handleSession);
+
+export default router;
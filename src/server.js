@@ -7,6 +7,9 @@ import { rateLimit } from 'express-rate-limit';
 
 // Import routes
 import adviceRoutes from './routes/adviceRoutes.js';
+import farmRoutes from './routes/farmRoutes.js';
+import ussdRoutes from './routes/ussdRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
 import healthRoutes from './routes/healthRoutes.js';
 
 // Import error handling middleware
@@ -62,6 +65,9 @@ app.use('/health', healthRoutes);
 
 // API routes
 app.use('/api/advice', adviceRoutes);
+app.use('/api/farms', farmRoutes);
+app.use('/api/ussd', ussdRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -72,6 +78,9 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       advice: '/api/advice',
+      farms: '/api/farms',
+      ussd: '/api/ussd',
+      admin: '/api/admin',
       documentation: '/api/docs'
     }
   });
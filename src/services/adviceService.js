@@ -1,16 +1,73 @@
+import config from '../config/config.js';
 import weatherService from './weatherService.js';
-import geminiService from './geminiService.js';
+import llmService from './llmService.js';
+import gddService from './gddService.js';
+import marketPriceService from './marketPriceService.js';
 import { 
-  detectCurrentSeason, 
+  getForecastHorizon,
   summarizeForecast, 
   generateWeatherWarnings,
   validateCoordinates,
   getDefaultCoordinates
 } from '../utils/weatherUtils.js';
+import { 
+  detectCurrentSeason, 
+  detectRegion,
+  assessSeasonOnset,
+  toUtcDate,
+  daysBetween
+} from '../utils/seasonUtils.js';
 import { 
   validateCropType, 
+  getSupportedCrops,
+  getCropInfo,
+  getCropGrowthStates,
+  getVarietyInfo,
+  formatPest,
+  formatDisease,
   generateBasicSeasonalAdvice 
 } from '../utils/cropUtils.js';
+import { 
+  buildPlantingCalendar, 
+  plantingCalendarToICalendar,
+  estimateGrowthStage
+} from '../utils/plantingUtils.js';
+import { 
+  buildIrrigationSchedule,
+  summarizeIrrigationSchedule
+} from '../utils/irrigationUtils.js';
+import { 
+  buildFertilizerPlan,
+  describeLimeApplication,
+  replaceFertilizerResources
+} from '../utils/fertilizerUtils.js';
+import { 
+  assessDiseaseRisks,
+  attachDiseaseRisks,
+  describeDiseaseRisk
+} from '../utils/diseaseRiskUtils.js';
+import { 
+  assessPestRisks,
+  attachPestRisks,
+  describePestRisk
+} from '../utils/pestRiskUtils.js';
+import { mergeAdvice, tagRuleItems } from '../utils/adviceMergeUtils.js';
+import { renderSmsSegments } from '../utils/smsUtils.js';
+import { findSprayWindows, describeSprayWindow } from '../utils/sprayWindowUtils.js';
+import { 
+  buildHarvestPlan,
+  describeHarvestPlan,
+  describeAflatoxinRisk,
+  replaceHarvestActions
+} from '../utils/harvestUtils.js';
+import { buildRotationPlan } from '../utils/rotationUtils.js';
+import { rankCrops, describeCropRanking } from '../utils/recommendationUtils.js';
+import { 
+  estimateYield,
+  estimateInputCosts,
+  describeEconomics
+} from '../utils/economicsUtils.js';
+import { SOURCE_LANGUAGE } from '../config/localeCatalog.js';
 
 /**
  * Main service for generating farming advice
@@ -18,7 +75,7 @@ import {
 class AdviceService {
   constructor() {
     this.weatherService = weatherService;
-    this.geminiService = geminiService;
+    this.llmService = llmService;
   }
   
   /**
@@ -28,9 +85,19 @@ class AdviceService {
    * @param {number} options.lon - Longitude (optional, defaults to Kigali)
    * @param {string} options.crop - Crop type (required)
    * @param {number} options.soilPh - Soil pH (optional)
-   * @param {string} options.growthState - Growth state (optional)
+   * @param {string} options.growthState - Growth state (optional, overrides the estimate from plantingDate)
    * @param {string} options.variety - Crop variety (optional)
-   * @param {boolean} options.useAI - Whether to use AI (defaults to true)
+   * @param {Date|string} options.plantingDate - Planting date used to estimate the growth stage (optional)
+   * @param {number} options.area - Plot area in hectares used for irrigation and fertilizer quantities (optional)
+   * @param {string} options.soilTexture - Soil texture used for lime quantities (optional)
+   * @param {Object} options.soilTest - Available n, p2o5 and k2o in kg per hectare (optional)
+   * @param {boolean} options.useAI - Whether to use AI (defaults to true; false is the same as mode 'rules')
+   * @param {string} options.mode - Advice mode: ai, rules or hybrid (defaults to ADVICE_MODE)
+   * @param {string} options.horizon - Forecast horizon: 24h, 48h or 5d (defaults to 48h)
+   * @param {Date|string} options.date - Target date for season detection (defaults to today)
+   * @param {string} options.region - Season calendar region (defaults to the region containing lat/lon)
+   * @param {string} options.farmId - Farm the advice is for; keeps the farm on one prompt version (optional)
+   * @param {string} options.clientId - Client identifier used for prompt assignment when there is no farm (optional)
    * @returns {Promise<Object>} Comprehensive farming advice
    */
   async generateAdvice(options = {}) {
@@ -45,70 +112,217 @@ class AdviceService {
       
       const cropType = options.crop.toLowerCase();
       if (!validateCropType(cropType)) {
-        throw new Error(`Unsupported crop type: ${cropType}. Supported crops: maize, beans, potatoes, bananas`);
+        throw new Error(`Unsupported crop type: ${cropType}. Supported crops: ${getSupportedCrops().join(', ')}`);
       }
       
       // Validate additional fields
-      const additionalData = this.validateAdditionalData(options);
+      const additionalData = this.validateAdditionalData(options, cropType);
       
-      // Detect current season
-      const seasonInfo = detectCurrentSeason();
+      // Estimate the growth stage from the planting date
+      if (options.plantingDate) {
+        additionalData.growthEstimate = estimateGrowthStage(cropType, options.plantingDate, {
+          date: options.date || new Date(),
+          variety: additionalData.variety
+        });
+        if (!additionalData.growthState && additionalData.growthEstimate.stage) {
+          additionalData.growthState = additionalData.growthEstimate.stage;
+        }
+      }
+      
+      // Resolve forecast horizon
+      const horizon = getForecastHorizon(options.horizon || undefined);
+      
+      // Detect season for the target date and region
+      const region = options.region || detectRegion(lat, lon);
+      const seasonInfo = detectCurrentSeason(options.date || new Date(), region);
       
       // Fetch weather forecast
       let forecastData;
       let forecastSummary;
       let weatherWarnings = [];
+      let forecastAvailable = true;
       
       try {
-        forecastData = await this.weatherService.getForecast(lat, lon);
-        forecastSummary = summarizeForecast(forecastData);
-        weatherWarnings = generateWeatherWarnings(forecastSummary);
+        forecastData = await this.weatherService.getForecast(lat, lon, horizon.hours);
+        forecastSummary = summarizeForecast(forecastData, horizon.key);
+        weatherWarnings = generateWeatherWarnings(forecastSummary, additionalData.language);
       } catch (weatherError) {
         console.warn(`Weather service error: ${weatherError.message}`);
+        forecastAvailable = false;
         // Create a basic forecast summary if weather service fails
-        forecastSummary = {
-          totalRainfall: 0,
-          maxTemperature: 25,
-          minTemperature: 15,
-          maxWindSpeed: 10,
-          rainHours: 0,
-          heavyRainHours: 0,
-          windHours: 0,
-          conditions: ['unknown'],
-          forecastPeriod: '48 hours',
-          location: { lat, lon, name: 'Unknown' }
-        };
+        forecastSummary = this.getFallbackForecastSummary(horizon, lat, lon);
       }
       
       // Add weather warnings to forecast summary
       forecastSummary.warnings = weatherWarnings;
       
+      // Check the calendar season against forecast rainfall (only meaningful when the forecast covers the target date)
+      const daysToTarget = daysBetween(toUtcDate(new Date()), toUtcDate(seasonInfo.date));
+      const forecastCoversTarget = daysToTarget >= 0 && daysToTarget * 24 < horizon.hours;
+      seasonInfo.onset = assessSeasonOnset(seasonInfo, forecastSummary, forecastAvailable && forecastCoversTarget);
+      
+      // Estimate development from growing degree days
+      let gddEstimate = null;
+      if (options.plantingDate) {
+        try {
+          gddEstimate = await gddService.estimate({
+            crop: cropType,
+            variety: additionalData.variety,
+            plantingDate: options.plantingDate,
+            date: options.date,
+            lat,
+            lon,
+            forecastSummary: forecastAvailable ? forecastSummary : null
+          });
+        } catch (gddError) {
+          console.warn(`GDD estimate error: ${gddError.message}`);
+        }
+      }
+      
       // Generate advice using AI or fallback
       let advice;
-      const useAI = options.useAI !== false && this.geminiService.isAvailable();
+      const mode = options.useAI === false ? 'rules' : (options.mode || config.defaultAdviceMode);
+      const useAI = mode !== 'rules' && this.llmService.isAvailable();
+      let adviceSource = 'basic_seasonal';
+      let aiAdvice = null;
       
       if (useAI) {
         try {
-          advice = await this.geminiService.generateAdvice(
+          aiAdvice = await this.llmService.generateAdvice(
             forecastSummary, 
             seasonInfo.season, 
             cropType,
-            additionalData
+            additionalData,
+            seasonInfo,
+            this.getPromptSubject(options)
           );
           
-          // Add weather warnings to AI advice
+          // Add weather warnings to AI advice (warnings filled from the basic advice already carry them)
           if (weatherWarnings.length > 0) {
-            advice.warnings = [...weatherWarnings, ...advice.warnings];
+            aiAdvice.warnings = [...new Set([...weatherWarnings, ...aiAdvice.warnings])];
           }
           
         } catch (aiError) {
           console.warn(`AI service error: ${aiError.message}`);
-          // Fallback to basic advice
-          advice = generateBasicSeasonalAdvice(cropType, seasonInfo.season, forecastSummary, additionalData);
         }
+      }
+      
+      if (mode === 'hybrid') {
+        // Rule-based advice is always generated and the AI advice merged into it
+        const rulesAdvice = generateBasicSeasonalAdvice(cropType, seasonInfo.season, forecastSummary, additionalData, seasonInfo);
+        advice = mergeAdvice(rulesAdvice, aiAdvice);
+        adviceSource = aiAdvice ? 'hybrid' : 'basic_seasonal';
+      } else if (aiAdvice) {
+        advice = aiAdvice;
+        adviceSource = 'ai';
       } else {
-        // Use basic seasonal advice
-        advice = generateBasicSeasonalAdvice(cropType, seasonInfo.season, forecastSummary, additionalData);
+        // Basic seasonal advice (rules mode, or fallback when the AI is unavailable or fails)
+        advice = generateBasicSeasonalAdvice(cropType, seasonInfo.season, forecastSummary, additionalData, seasonInfo);
+      }
+      
+      // Score diseases against the 3-hourly forecast; AI advice without diseases gets the catalog entries
+      if (!Array.isArray(advice.possible_diseases) || advice.possible_diseases.length === 0) {
+        advice.possible_diseases = getCropInfo(cropType).diseases.map(disease => formatDisease(disease, seasonInfo.season, additionalData.language));
+      }
+      const diseaseRisks = assessDiseaseRisks(cropType, forecastAvailable ? forecastSummary : null, seasonInfo.season, additionalData.language);
+      advice.possible_diseases = attachDiseaseRisks(advice.possible_diseases, diseaseRisks, additionalData.language);
+      const diseaseWarnings = diseaseRisks.map(risk => describeDiseaseRisk(risk, additionalData.language)).filter(Boolean);
+      if (diseaseWarnings.length > 0) {
+        advice.warnings = [...(advice.warnings || []), ...diseaseWarnings];
+      }
+      
+      // Check pest outbreak triggers against the daily forecast; AI advice without pests gets the catalog entries
+      if (!Array.isArray(advice.possible_pests) || advice.possible_pests.length === 0) {
+        advice.possible_pests = getCropInfo(cropType).pests.map(pest => formatPest(pest, seasonInfo.season, additionalData.language));
+      }
+      const pestRisks = assessPestRisks(cropType, forecastAvailable ? forecastSummary : null, seasonInfo.season, additionalData.language);
+      advice.possible_pests = attachPestRisks(advice.possible_pests, pestRisks, additionalData.language);
+      const pestWarnings = pestRisks.map(risk => describePestRisk(risk, additionalData.language)).filter(Boolean);
+      if (pestWarnings.length > 0) {
+        advice.warnings = [...(advice.warnings || []), ...pestWarnings];
+      }
+      
+      // Fold the forecast water balance into the actions
+      let irrigationSchedule = null;
+      if (forecastAvailable) {
+        try {
+          irrigationSchedule = buildIrrigationSchedule(cropType, forecastSummary, {
+            lat,
+            area: options.area,
+            growthState: options.growthState ? additionalData.growthState : undefined,
+            plantingDate: options.plantingDate,
+            variety: additionalData.variety
+          });
+          const irrigationAction = summarizeIrrigationSchedule(irrigationSchedule, additionalData.language);
+          if (irrigationAction) {
+            advice.actions = [...(advice.actions || []), irrigationAction];
+          }
+        } catch (irrigationError) {
+          console.warn(`Irrigation schedule error: ${irrigationError.message}`);
+        }
+      }
+      
+      // Point spraying at the best calm, dry window in the forecast
+      let sprayWindows = null;
+      if (forecastAvailable) {
+        sprayWindows = findSprayWindows(forecastSummary, {
+          growthState: options.growthState ? additionalData.growthState : null,
+          crop: cropType,
+          plantingDate: options.plantingDate,
+          variety: additionalData.variety,
+          language: additionalData.language
+        });
+        const sprayAction = describeSprayWindow(sprayWindows, additionalData.language);
+        if (sprayAction) {
+          advice.actions = [...(advice.actions || []), sprayAction];
+        }
+      }
+      
+      // Time the harvest and sun drying around forecast dry spells once maturity is near
+      let harvestPlan = null;
+      if (forecastAvailable && options.plantingDate && getCropInfo(cropType).drying) {
+        harvestPlan = buildHarvestPlan(cropType, forecastSummary, {
+          plantingDate: options.plantingDate,
+          variety: additionalData.variety,
+          date: options.date
+        });
+        if (harvestPlan.maturity.daysToMaturity <= config.harvest.adviceDays) {
+          advice.actions = [
+            ...replaceHarvestActions(advice.actions, harvestPlan, additionalData.language),
+            describeHarvestPlan(harvestPlan, additionalData.language)
+          ];
+          const aflatoxinWarning = describeAflatoxinRisk(harvestPlan, additionalData.language);
+          if (aflatoxinWarning) {
+            advice.warnings = [...(advice.warnings || []), aflatoxinWarning];
+          }
+        }
+      }
+      
+      // Replace generic fertilizer resources with quantities for this plot
+      let fertilizerPlan = null;
+      try {
+        fertilizerPlan = buildFertilizerPlan(cropType, {
+          soilPh: additionalData.soilPh,
+          soilTexture: options.soilTexture,
+          area: options.area,
+          soilTest: options.soilTest,
+          plantingDate: options.plantingDate,
+          variety: additionalData.variety,
+          language: additionalData.language
+        });
+        advice.resources_needed = replaceFertilizerResources(advice.resources_needed, fertilizerPlan, additionalData.language);
+        
+        const limeAction = describeLimeApplication(fertilizerPlan, additionalData.language);
+        if (limeAction) {
+          advice.actions = [...(advice.actions || []), limeAction];
+        }
+      } catch (fertilizerError) {
+        console.warn(`Fertilizer plan error: ${fertilizerError.message}`);
+      }
+      
+      // Everything added after the merge is rule-based
+      if (mode === 'hybrid') {
+        tagRuleItems(advice);
       }
       
       // Add metadata
@@ -117,10 +331,18 @@ class AdviceService {
         generated_at: new Date().toISOString(),
         location: { lat, lon },
         season_info: seasonInfo,
+        forecast_horizon: horizon.key,
         weather_service_available: this.weatherService.isAvailable(),
-        ai_service_available: this.geminiService.isAvailable(),
-        advice_source: useAI ? 'gemini_ai' : 'basic_seasonal',
+        ai_service_available: this.llmService.isAvailable(),
+        advice_mode: mode,
+        advice_source: adviceSource,
+        language: additionalData.language,
         additional_data: additionalData,
+        ...(gddEstimate && { gdd_estimate: gddEstimate }),
+        ...(irrigationSchedule && { irrigation: irrigationSchedule }),
+        ...(sprayWindows && { spray_windows: sprayWindows }),
+        ...(harvestPlan && { harvest_plan: harvestPlan }),
+        ...(fertilizerPlan && { fertilizer_plan: fertilizerPlan }),
         api_version: '1.0.0'
       };
       
@@ -131,12 +353,24 @@ class AdviceService {
     }
   }
   
+  /**
+   * Subject used to keep a farm or client on the same prompt version
+   * @param {Object} options - Request options (farmId, clientId)
+   * @returns {string|null} Subject identifier, or null to assign at random
+   */
+  getPromptSubject(options) {
+    if (options.farmId) return `farm:${options.farmId}`;
+    if (options.clientId) return `client:${options.clientId}`;
+    return null;
+  }
+  
   /**
    * Validate additional data fields
    * @param {Object} options - Request options
+   * @param {string} cropType - Validated, lowercased crop type
    * @returns {Object} Validated additional data
    */
-  validateAdditionalData(options) {
+  validateAdditionalData(options, cropType) {
     const additionalData = {};
     
     // Validate soil pH
@@ -147,11 +381,11 @@ class AdviceService {
       additionalData.soilPh = options.soilPh;
     }
     
-    // Validate growth state
+    // Validate growth state against the crop's stages
     if (options.growthState) {
-      const validGrowthStates = ['germination', 'vegetative', 'flowering', 'fruiting'];
+      const validGrowthStates = getCropGrowthStates(cropType);
       if (!validGrowthStates.includes(options.growthState.toLowerCase())) {
-        throw new Error(`Invalid growth state. Must be one of: ${validGrowthStates.join(', ')}`);
+        throw new Error(`Growth state must be one of: ${validGrowthStates.join(', ')}`);
       }
       additionalData.growthState = options.growthState.toLowerCase();
     }
@@ -164,6 +398,13 @@ class AdviceService {
       additionalData.variety = options.variety.trim();
     }
     
+    // Validate response language
+    const language = options.language ? options.language.toLowerCase() : config.defaultLanguage;
+    if (!config.languages.includes(language)) {
+      throw new Error(`Unsupported language: ${language}. Supported languages: ${config.languages.join(', ')}`);
+    }
+    additionalData.language = language;
+    
     return additionalData;
   }
   
@@ -172,7 +413,7 @@ class AdviceService {
    * @returns {Array} List of supported crops
    */
   getAvailableCrops() {
-    return ['maize', 'beans', 'potatoes', 'bananas'];
+    return getSupportedCrops();
   }
   
   /**
@@ -190,19 +431,465 @@ class AdviceService {
   }
   
   /**
-   * Get crop growth states
+   * Get crop growth states from the crop catalog
+   * @param {string} cropType - The type of crop (optional; the growth states of every crop when omitted)
    * @returns {Array} Available growth states
    */
-  getGrowthStates() {
-    return ['germination', 'vegetative', 'flowering', 'fruiting'];
+  getGrowthStates(cropType) {
+    if (cropType) {
+      return getCropGrowthStates(cropType);
+    }
+    return [...new Set(getSupportedCrops().flatMap(crop => getCropGrowthStates(crop)))];
   }
   
   /**
-   * Get current season information
-   * @returns {Object} Current season details
+   * Get season information for a date and region
+   * @param {Date|string} date - Target date (defaults to today)
+   * @param {string} region - Season calendar region (defaults to the configured default)
+   * @returns {Object} Season details
    */
-  getCurrentSeason() {
-    return detectCurrentSeason();
+  getCurrentSeason(date, region) {
+    return detectCurrentSeason(date || new Date(), region || undefined);
+  }
+  
+  /**
+   * Get a 12-month planting calendar for a crop
+   * @param {string} cropType - The type of crop
+   * @param {Object} options - Calendar options
+   * @param {string} options.variety - Crop variety (optional)
+   * @param {string} options.region - Season calendar region (optional)
+   * @param {number} options.lat - Latitude used to detect the region when none is given
+   * @param {number} options.lon - Longitude used to detect the region when none is given
+   * @param {Date|string} options.from - Calendar start date (defaults to today)
+   * @returns {Object} Planting windows with stage and harvest dates
+   */
+  getPlantingCalendar(cropType, options = {}) {
+    if (!validateCropType(cropType)) {
+      throw new Error(`Unsupported crop type: ${cropType}`);
+    }
+    
+    const { variety, lat, lon, from } = options;
+    const region = options.region || detectRegion(lat, lon);
+    
+    return buildPlantingCalendar(cropType, { variety, region, from });
+  }
+  
+  /**
+   * Estimate growth stage and maturity date from growing degree days
+   * @param {string} cropType - The type of crop
+   * @param {Object} options - Estimate options
+   * @param {Date|string} options.plantingDate - Planting date
+   * @param {string} options.variety - Crop variety (optional)
+   * @param {number} options.lat - Latitude (optional, defaults to Kigali)
+   * @param {number} options.lon - Longitude (optional, defaults to Kigali)
+   * @param {Date|string} options.date - Date to estimate the stage for (defaults to today)
+   * @returns {Promise<Object>} GDD stage estimate
+   */
+  async getGddEstimate(cropType, options = {}) {
+    if (!validateCropType(cropType)) {
+      throw new Error(`Unsupported crop type: ${cropType}`);
+    }
+    
+    if (options.variety) {
+      getVarietyInfo(cropType, options.variety);
+    }
+    
+    const { lat, lon } = this.validateAndSetCoordinates(options.lat, options.lon);
+    
+    return gddService.estimate({
+      crop: cropType,
+      variety: options.variety,
+      plantingDate: options.plantingDate,
+      date: options.date,
+      lat,
+      lon
+    });
+  }
+  
+  /**
+   * Build a day-by-day irrigation schedule from the forecast water balance
+   * @param {string} cropType - The type of crop
+   * @param {Object} options - Schedule options
+   * @param {number} options.lat - Latitude (optional, defaults to Kigali)
+   * @param {number} options.lon - Longitude (optional, defaults to Kigali)
+   * @param {number} options.area - Plot area in hectares (optional)
+   * @param {string} options.growthState - Growth stage (optional, overrides the estimate from plantingDate)
+   * @param {Date|string} options.plantingDate - Planting date used to estimate the stage of each day (optional)
+   * @param {string} options.variety - Crop variety (optional)
+   * @param {string} options.horizon - Forecast horizon: 24h, 48h or 5d (defaults to 5d)
+   * @param {string} options.language - Language of the summary (defaults to DEFAULT_LANGUAGE)
+   * @returns {Promise<Object>} Irrigation schedule
+   */
+  async getIrrigationSchedule(cropType, options = {}) {
+    if (!validateCropType(cropType)) {
+      throw new Error(`Unsupported crop type: ${cropType}`);
+    }
+    
+    if (options.variety) {
+      getVarietyInfo(cropType, options.variety);
+    }
+    
+    const { lat, lon } = this.validateAndSetCoordinates(options.lat, options.lon);
+    const horizon = getForecastHorizon(options.horizon || '5d');
+    
+    let forecastSummary;
+    try {
+      const forecastData = await this.weatherService.getForecast(lat, lon, horizon.hours);
+      forecastSummary = summarizeForecast(forecastData, horizon.key);
+    } catch (weatherError) {
+      throw new Error(`Weather data unavailable: ${weatherError.message}`);
+    }
+    
+    const schedule = buildIrrigationSchedule(cropType, forecastSummary, {
+      lat,
+      area: options.area,
+      growthState: options.growthState,
+      plantingDate: options.plantingDate,
+      variety: options.variety
+    });
+    
+    return {
+      ...schedule,
+      location: { lat, lon },
+      forecastHorizon: horizon.key,
+      summary: summarizeIrrigationSchedule(schedule, options.language)
+    };
+  }
+  
+  /**
+   * Find ranked spray windows in the 3-hourly forecast
+   * @param {Object} options - Search options
+   * @param {number} options.lat - Latitude (optional, defaults to Kigali)
+   * @param {number} options.lon - Longitude (optional, defaults to Kigali)
+   * @param {string} options.crop - Crop type (optional, needed to estimate the stage from plantingDate)
+   * @param {string} options.growthState - Growth stage (optional, overrides the estimate from plantingDate)
+   * @param {Date|string} options.plantingDate - Planting date used to estimate the stage of each forecast day (optional)
+   * @param {string} options.variety - Crop variety (optional)
+   * @param {string} options.product - fungicide, herbicide or insecticide (defaults to the configured product)
+   * @param {number} options.rainFreeHours - Hours without rain needed before and after spraying (optional)
+   * @param {string} options.horizon - Forecast horizon: 24h, 48h or 5d (defaults to 5d)
+   * @param {string} options.language - Language of the reasons (defaults to DEFAULT_LANGUAGE)
+   * @returns {Promise<Object>} Ranked spray windows
+   */
+  async getSprayWindows(options = {}) {
+    const cropType = options.crop ? options.crop.toLowerCase() : null;
+    if (cropType && !validateCropType(cropType)) {
+      throw new Error(`Unsupported crop type: ${cropType}`);
+    }
+    
+    if (cropType && options.variety) {
+      getVarietyInfo(cropType, options.variety);
+    }
+    
+    const { lat, lon } = this.validateAndSetCoordinates(options.lat, options.lon);
+    const horizon = getForecastHorizon(options.horizon || '5d');
+    
+    let forecastSummary;
+    try {
+      const forecastData = await this.weatherService.getForecast(lat, lon, horizon.hours);
+      forecastSummary = summarizeForecast(forecastData, horizon.key);
+    } catch (weatherError) {
+      throw new Error(`Weather data unavailable: ${weatherError.message}`);
+    }
+    
+    // The flowering rule needs the stage: given, or estimated for each forecast day from the planting date
+    const sprayWindows = findSprayWindows(forecastSummary, {
+      product: options.product,
+      growthState: options.growthState || null,
+      crop: cropType,
+      plantingDate: options.plantingDate,
+      variety: options.variety,
+      rainFreeHours: options.rainFreeHours,
+      language: options.language
+    });
+    
+    return {
+      ...sprayWindows,
+      crop: cropType,
+      location: { lat, lon },
+      summary: describeSprayWindow(sprayWindows, options.language) || sprayWindows.blocked.message
+    };
+  }
+  
+  /**
+   * Plan the harvest day and sun drying from the expected maturity date and the forecast
+   * @param {string} cropType - Crop with drying parameters (maize, beans)
+   * @param {Object} options - Plan options
+   * @param {Date|string} options.plantingDate - Planting date (required)
+   * @param {string} options.variety - Crop variety (optional)
+   * @param {number} options.lat - Latitude (optional, defaults to Kigali)
+   * @param {number} options.lon - Longitude (optional, defaults to Kigali)
+   * @param {string} options.horizon - Forecast horizon: 24h, 48h or 5d (defaults to 5d)
+   * @param {Date|string} options.date - Date the plan is made on (defaults to today)
+   * @param {string} options.language - Language of the summary and warning (defaults to DEFAULT_LANGUAGE)
+   * @returns {Promise<Object>} Harvest plan
+   */
+  async getHarvestPlan(cropType, options = {}) {
+    if (!validateCropType(cropType)) {
+      throw new Error(`Unsupported crop type: ${cropType}`);
+    }
+    
+    if (options.variety) {
+      getVarietyInfo(cropType, options.variety);
+    }
+    
+    const { lat, lon } = this.validateAndSetCoordinates(options.lat, options.lon);
+    const horizon = getForecastHorizon(options.horizon || '5d');
+    
+    let forecastSummary;
+    try {
+      const forecastData = await this.weatherService.getForecast(lat, lon, horizon.hours);
+      forecastSummary = summarizeForecast(forecastData, horizon.key);
+    } catch (weatherError) {
+      throw new Error(`Weather data unavailable: ${weatherError.message}`);
+    }
+    
+    const plan = buildHarvestPlan(cropType, forecastSummary, {
+      plantingDate: options.plantingDate,
+      variety: options.variety,
+      date: options.date
+    });
+    
+    return {
+      ...plan,
+      location: { lat, lon },
+      summary: describeHarvestPlan(plan, options.language),
+      warning: describeAflatoxinRisk(plan, options.language)
+    };
+  }
+  
+  /**
+   * Calculate lime and fertilizer quantities, timing and costs for a plot
+   * @param {string} cropType - The type of crop
+   * @param {Object} options - Plan options (soilPh, soilTexture, area, soilTest, plantingDate, variety, language of the notes)
+   * @returns {Object} Fertilizer plan
+   */
+  getFertilizerPlan(cropType, options = {}) {
+    if (!validateCropType(cropType)) {
+      throw new Error(`Unsupported crop type: ${cropType}`);
+    }
+    
+    if (options.variety) {
+      getVarietyInfo(cropType, options.variety);
+    }
+    
+    return buildFertilizerPlan(cropType, options);
+  }
+  
+  /**
+   * Propose crop rotation sequences for a plot from its crop history
+   * @param {Object} options - Plan options
+   * @param {Array} options.history - Crops grown on the plot, oldest first ({ crop, intercrop })
+   * @param {number} options.seasons - Number of seasons to plan (defaults to 4)
+   * @param {Date|string} options.from - Planning start date (defaults to today)
+   * @param {string} options.region - Season calendar region (optional)
+   * @param {number} options.lat - Latitude used to detect the region when none is given
+   * @param {number} options.lon - Longitude used to detect the region when none is given
+   * @param {string} options.language - Language of the reasons and summary (defaults to DEFAULT_LANGUAGE)
+   * @returns {Object} Rotation plan
+   */
+  getRotationPlan(options = {}) {
+    const { history = [], seasons, from, lat, lon, language } = options;
+    
+    history.forEach(entry => {
+      [entry.crop, ...(entry.intercrop || [])].forEach(cropType => {
+        if (!validateCropType(cropType)) {
+          throw new Error(`Unsupported crop type: ${cropType}`);
+        }
+      });
+    });
+    
+    const region = options.region || detectRegion(lat, lon);
+    
+    return buildRotationPlan({ history, seasons, from, region, language });
+  }
+  
+  /**
+   * Rank every crop and variety for a location, season and soil
+   * Without a forecast, rainfall and temperature are left out of the scores.
+   * @param {Object} options - Ranking options
+   * @param {number} options.lat - Latitude (optional, defaults to Kigali)
+   * @param {number} options.lon - Longitude (optional, defaults to Kigali)
+   * @param {string} options.region - Season calendar region (optional, detected from the coordinates)
+   * @param {Date|string} options.date - Date to rank for (defaults to today)
+   * @param {number} options.soilPh - Soil pH (optional)
+   * @param {number} options.altitude - Plot altitude in metres (defaults to the middle of the region's range)
+   * @param {string} options.horizon - Forecast horizon: 24h, 48h or 5d (defaults to 5d)
+   * @param {string} options.language - Language of the notes and summary (defaults to DEFAULT_LANGUAGE)
+   * @returns {Promise<Object>} Growing conditions and ranked crops with factor breakdowns
+   */
+  async recommendCrops(options = {}) {
+    const { lat, lon } = this.validateAndSetCoordinates(options.lat, options.lon);
+    const region = options.region || detectRegion(lat, lon);
+    const seasonInfo = detectCurrentSeason(options.date || new Date(), region);
+    const horizon = getForecastHorizon(options.horizon || '5d');
+    
+    const regionAltitude = config.seasonCalendars[seasonInfo.region.id].altitude;
+    let altitude = options.altitude ?? null;
+    if (altitude === null && regionAltitude) {
+      altitude = Math.round((regionAltitude.min + regionAltitude.max) / 2);
+    }
+    
+    let forecastSummary = null;
+    try {
+      const forecastData = await this.weatherService.getForecast(lat, lon, horizon.hours);
+      forecastSummary = summarizeForecast(forecastData, horizon.key);
+    } catch (weatherError) {
+      console.warn(`Weather service error: ${weatherError.message}`);
+    }
+    
+    const { conditions, ranked } = rankCrops({
+      seasons: { current: seasonInfo.season, upcoming: seasonInfo.nextSeason.season },
+      soilPh: options.soilPh,
+      altitude,
+      forecastSummary,
+      language: options.language
+    });
+    
+    return {
+      location: { lat, lon },
+      region: seasonInfo.region,
+      season: {
+        current: seasonInfo.season,
+        upcoming: seasonInfo.nextSeason.season,
+        upcomingStartDate: seasonInfo.nextSeason.startDate
+      },
+      conditions: {
+        soilPh: options.soilPh ?? null,
+        altitude,
+        altitudeSource: options.altitude !== undefined ? 'request' : 'region',
+        forecastAvailable: Boolean(conditions),
+        forecastHorizon: conditions?.forecastHorizon ?? null,
+        averageTemperature: conditions?.averageTemperature ?? null,
+        rainfallPerDay: conditions?.rainfallPerDay ?? null
+      },
+      recommendations: ranked,
+      summary: describeCropRanking(ranked, options.language)
+    };
+  }
+  
+  /**
+   * Estimate the yield, revenue, input costs and gross margin of a plot
+   * Input costs are parsed from the rule-based `resources_needed` for the season, with fertilizer
+   * and lime costed for the plot; revenue uses the market price table. Without a forecast, rainfall
+   * is not adjusted and disease risk falls back to the seasonal levels.
+   * @param {string} cropType - The type of crop
+   * @param {Object} options - Estimate options
+   * @param {string} options.variety - Crop variety (optional)
+   * @param {number} options.area - Plot area in hectares (defaults to 1)
+   * @param {number} options.soilPh - Soil pH (optional)
+   * @param {string} options.soilTexture - sandy, loam or clay (optional)
+   * @param {number} options.lat - Latitude (optional, defaults to Kigali)
+   * @param {number} options.lon - Longitude (optional, defaults to Kigali)
+   * @param {string} options.region - Season calendar region (optional, detected from the coordinates)
+   * @param {Date|string} options.date - Date of the estimate (defaults to today)
+   * @param {string} options.horizon - Forecast horizon: 24h, 48h or 5d (defaults to 5d)
+   * @param {string} options.language - Language of the notes, resources and summary (defaults to DEFAULT_LANGUAGE)
+   * @returns {Promise<Object>} Yield estimate, market price, revenue, input costs and gross margin
+   */
+  async estimateEconomics(cropType, options = {}) {
+    if (!validateCropType(cropType)) {
+      throw new Error(`Unsupported crop type: ${cropType}`);
+    }
+    if (options.variety) {
+      getVarietyInfo(cropType, options.variety);
+    }
+    
+    const { lat, lon } = this.validateAndSetCoordinates(options.lat, options.lon);
+    const region = options.region || detectRegion(lat, lon);
+    const seasonInfo = detectCurrentSeason(options.date || new Date(), region);
+    const horizon = getForecastHorizon(options.horizon || '5d');
+    const area = options.area ?? 1;
+    const language = options.language || config.defaultLanguage;
+    
+    let forecastSummary = null;
+    try {
+      const forecastData = await this.weatherService.getForecast(lat, lon, horizon.hours);
+      forecastSummary = summarizeForecast(forecastData, horizon.key);
+    } catch (weatherError) {
+      console.warn(`Weather service error: ${weatherError.message}`);
+    }
+    
+    const diseaseRisks = assessDiseaseRisks(cropType, forecastSummary, seasonInfo.season, language);
+    const yieldEstimate = estimateYield(cropType, {
+      variety: options.variety,
+      area,
+      soilPh: options.soilPh,
+      forecastSummary,
+      diseaseRisks,
+      language
+    });
+    
+    // Costs are parsed from the source-language resources and named in the response language
+    const fertilizerPlan = buildFertilizerPlan(cropType, {
+      soilPh: options.soilPh,
+      soilTexture: options.soilTexture,
+      area,
+      variety: options.variety,
+      language
+    });
+    const adviceForecast = forecastSummary || this.getFallbackForecastSummary(horizon, lat, lon);
+    const listResources = resourceLanguage => replaceFertilizerResources(
+      generateBasicSeasonalAdvice(cropType, seasonInfo.season, adviceForecast, { language: resourceLanguage }, seasonInfo).resources_needed,
+      fertilizerPlan,
+      resourceLanguage
+    );
+    const inputCosts = estimateInputCosts(listResources(SOURCE_LANGUAGE), listResources(language), area);
+    
+    const price = await marketPriceService.getPrice(cropType);
+    const revenueRwf = price.pricePerKg === null ? null : Math.round(yieldEstimate.kg * price.pricePerKg);
+    const grossMarginRwf = revenueRwf === null ? null : revenueRwf - inputCosts.totalRwf;
+    
+    const estimate = {
+      crop: cropType,
+      variety: options.variety || null,
+      area,
+      location: { lat, lon },
+      region: seasonInfo.region,
+      season: seasonInfo.season,
+      forecastAvailable: Boolean(forecastSummary),
+      yield: yieldEstimate,
+      price,
+      revenueRwf,
+      inputCosts,
+      grossMarginRwf,
+      grossMarginPerHaRwf: grossMarginRwf === null ? null : Math.round(grossMarginRwf / area)
+    };
+    
+    return { ...estimate, summary: describeEconomics(estimate, language) };
+  }
+  
+  /**
+   * Render a planting calendar as an iCalendar (.ics) document
+   * @param {Object} plantingCalendar - Result of getPlantingCalendar
+   * @returns {string} iCalendar content
+   */
+  formatPlantingCalendarAsICalendar(plantingCalendar) {
+    return plantingCalendarToICalendar(plantingCalendar);
+  }
+  
+  /**
+   * Condense advice into ranked SMS segments (top warning first, then top actions)
+   * @param {Object} advice - Result of generateAdvice
+   * @returns {Object} SMS rendering with segments, counts and the advice context
+   */
+  formatAdviceAsSms(advice) {
+    const { segments, omitted } = renderSmsSegments(advice);
+    
+    return {
+      format: 'sms',
+      segments,
+      segment_count: segments.length,
+      segment_length: config.sms.segmentLength,
+      omitted_items: omitted,
+      crop: advice.crop,
+      season: advice.season,
+      metadata: {
+        generated_at: advice.metadata?.generated_at,
+        advice_source: advice.metadata?.advice_source,
+        language: advice.metadata?.language
+      }
+    };
   }
   
   /**
@@ -212,7 +899,7 @@ class AdviceService {
   getServiceStatus() {
     return {
       weather: this.weatherService.getStatus(),
-      gemini: this.geminiService.getStatus(),
+      llm: this.llmService.getStatus(),
       advice: {
         available: true,
         version: '1.0.0'
@@ -238,10 +925,34 @@ class AdviceService {
     return getDefaultCoordinates();
   }
   
+  /**
+   * Build the forecast summary used when the weather service is unavailable
+   * @param {Object} horizon - Forecast horizon
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Object} Dry, mild forecast summary without periods
+   */
+  getFallbackForecastSummary(horizon, lat, lon) {
+    return {
+      totalRainfall: 0,
+      maxTemperature: 25,
+      minTemperature: 15,
+      maxWindSpeed: 10,
+      rainHours: 0,
+      heavyRainHours: 0,
+      windHours: 0,
+      conditions: ['unknown'],
+      forecastPeriod: horizon.label,
+      forecastHorizon: horizon.key,
+      dailySummaries: [],
+      location: { lat, lon, name: 'Unknown' }
+    };
+  }
+  
   /**
    * Get basic advice without external API calls (for testing/fallback)
    * @param {string} cropType - Type of crop
-   * @param {Object} additionalData - Additional data (soil pH, growth state, variety)
+   * @param {Object} additionalData - Additional data (soil pH, growth state, variety, language)
    * @returns {Object} Basic advice
    */
   getBasicAdvice(cropType, additionalData = {}) {
@@ -250,6 +961,7 @@ class AdviceService {
     }
     
     const seasonInfo = detectCurrentSeason();
+    seasonInfo.onset = assessSeasonOnset(seasonInfo, {}, false);
     const basicForecast = {
       totalRainfall: 0,
       maxTemperature: 25,
@@ -260,10 +972,12 @@ class AdviceService {
       windHours: 0,
       conditions: ['unknown'],
       forecastPeriod: '48 hours',
+      forecastHorizon: '48h',
+      dailySummaries: [],
       location: { lat: -1.9441, lon: 30.0619, name: 'Kigali, Rwanda' }
     };
     
-    return generateBasicSeasonalAdvice(cropType, seasonInfo.season, basicForecast, additionalData);
+    return generateBasicSeasonalAdvice(cropType, seasonInfo.season, basicForecast, additionalData, seasonInfo);
   }
 }
 
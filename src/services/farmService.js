@@ -0,0 +1,264 @@
+import crypto from 'crypto';
+import config from '../config/config.js';
+import adviceService from './adviceService.js';
+import { JsonFileStore } from '../utils/jsonFileStore.js';
+import { validateCropType, getVarietyInfo } from '../utils/cropUtils.js';
+import { toUtcDate, formatDate } from '../utils/seasonUtils.js';
+
+/**
+ * Service for the farm and plot registry
+ * Farms hold a location and region; plots hold everything an advice request needs.
+ */
+class FarmService {
+  constructor() {
+    this.store = new JsonFileStore({
+      file: config.farmStore.file,
+      defaults: { farms: [] }
+    });
+  }
+
+  /**
+   * List registered farms
+   * @returns {Promise<Array>} Farms without their plots
+   */
+  async listFarms() {
+    const { farms } = await this.store.read();
+    return farms.map(farm => this.summarizeFarm(farm));
+  }
+
+  /**
+   * Register a farm
+   * @param {Object} data - Validated farm fields (name, owner, lat, lon, region)
+   * @returns {Promise<Object>} Created farm
+   */
+  async createFarm(data) {
+    const now = new Date().toISOString();
+    const farm = {
+      id: crypto.randomUUID(),
+      ...data,
+      plots: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.store.update(store => {
+      store.farms.push(farm);
+    });
+
+    return farm;
+  }
+
+  /**
+   * Get a farm with its plots
+   * @param {string} farmId - Farm ID
+   * @returns {Promise<Object>} Farm
+   */
+  async getFarm(farmId) {
+    const store = await this.store.read();
+    return this.findFarm(store, farmId);
+  }
+
+  /**
+   * Update farm fields
+   * @param {string} farmId - Farm ID
+   * @param {Object} changes - Validated fields to change (null removes an optional field)
+   * @returns {Promise<Object>} Updated farm
+   */
+  async updateFarm(farmId, changes) {
+    return this.store.update(store => {
+      const farm = this.findFarm(store, farmId);
+      this.applyChanges(farm, changes);
+      return farm;
+    });
+  }
+
+  /**
+   * List the plots of a farm
+   * @param {string} farmId - Farm ID
+   * @returns {Promise<Array>} Plots
+   */
+  async listPlots(farmId) {
+    const farm = await this.getFarm(farmId);
+    return farm.plots;
+  }
+
+  /**
+   * Add a plot to a farm
+   * @param {string} farmId - Farm ID
+   * @param {Object} data - Validated plot fields
+   * @returns {Promise<Object>} Created plot
+   */
+  async createPlot(farmId, data) {
+    return this.store.update(store => {
+      const farm = this.findFarm(store, farmId);
+      const now = new Date().toISOString();
+      const plot = {
+        id: crypto.randomUUID(),
+        ...this.normalizePlot(data),
+        createdAt: now,
+        updatedAt: now
+      };
+
+      this.validatePlot(plot);
+      farm.plots.push(plot);
+      farm.updatedAt = now;
+      return plot;
+    });
+  }
+
+  /**
+   * Get a plot
+   * @param {string} farmId - Farm ID
+   * @param {string} plotId - Plot ID
+   * @returns {Promise<Object>} Plot
+   */
+  async getPlot(farmId, plotId) {
+    const farm = await this.getFarm(farmId);
+    return this.findPlot(farm, plotId);
+  }
+
+  /**
+   * Update plot fields
+   * @param {string} farmId - Farm ID
+   * @param {string} plotId - Plot ID
+   * @param {Object} changes - Validated fields to change (null removes an optional field)
+   * @returns {Promise<Object>} Updated plot
+   */
+  async updatePlot(farmId, plotId, changes) {
+    return this.store.update(store => {
+      const farm = this.findFarm(store, farmId);
+      const plot = this.findPlot(farm, plotId);
+      const updated = { ...plot };
+
+      this.applyChanges(updated, this.normalizePlot(changes));
+      this.validatePlot(updated);
+
+      farm.plots[farm.plots.indexOf(plot)] = updated;
+      farm.updatedAt = updated.updatedAt;
+      return updated;
+    });
+  }
+
+  /**
+   * Generate advice for a plot
+   * Location, crop, soil pH and texture, variety and area come from the plot (location falls back to the farm),
+   * and the growth stage is estimated from the planting date.
+   * @param {string} farmId - Farm ID
+   * @param {string} plotId - Plot ID
+   * @param {Object} options - Advice options (useAI, mode, horizon, date, language)
+   * @returns {Promise<Object>} Farming advice
+   */
+  async generatePlotAdvice(farmId, plotId, options = {}) {
+    const farm = await this.getFarm(farmId);
+    const plot = this.findPlot(farm, plotId);
+
+    const advice = await adviceService.generateAdvice({
+      lat: plot.lat ?? farm.lat,
+      lon: plot.lon ?? farm.lon,
+      crop: plot.crop,
+      soilPh: plot.soilPh,
+      soilTexture: plot.soilTexture,
+      variety: plot.variety,
+      plantingDate: plot.plantingDate,
+      area: plot.area,
+      horizon: options.horizon,
+      date: options.date,
+      region: farm.region,
+      useAI: options.useAI,
+      mode: options.mode,
+      language: options.language,
+      farmId: farm.id
+    });
+
+    advice.metadata.plot = {
+      farm_id: farm.id,
+      plot_id: plot.id,
+      name: plot.name,
+      area: plot.area
+    };
+
+    return advice;
+  }
+
+  /**
+   * Find a farm in the store document
+   * @param {Object} store - Store document
+   * @param {string} farmId - Farm ID
+   * @returns {Object} Farm
+   */
+  findFarm(store, farmId) {
+    const farm = store.farms.find(item => item.id === farmId);
+    if (!farm) {
+      throw new Error(`Farm not found: ${farmId}`);
+    }
+    return farm;
+  }
+
+  /**
+   * Find a plot on a farm
+   * @param {Object} farm - Farm
+   * @param {string} plotId - Plot ID
+   * @returns {Object} Plot
+   */
+  findPlot(farm, plotId) {
+    const plot = farm.plots.find(item => item.id === plotId);
+    if (!plot) {
+      throw new Error(`Plot not found: ${plotId}`);
+    }
+    return plot;
+  }
+
+  /**
+   * Apply validated changes to a record, removing fields set to null
+   * @param {Object} record - Farm or plot
+   * @param {Object} changes - Fields to change
+   */
+  applyChanges(record, changes) {
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === null) {
+        delete record[key];
+      } else {
+        record[key] = value;
+      }
+    });
+    record.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Store planting dates as YYYY-MM-DD
+   * @param {Object} data - Plot fields
+   * @returns {Object} Normalized plot fields
+   */
+  normalizePlot(data) {
+    const plot = { ...data };
+    if (plot.plantingDate) {
+      plot.plantingDate = formatDate(toUtcDate(plot.plantingDate));
+    }
+    return plot;
+  }
+
+  /**
+   * Check that the plot's crop and variety are supported together
+   * @param {Object} plot - Plot
+   */
+  validatePlot(plot) {
+    if (!validateCropType(plot.crop)) {
+      throw new Error(`Unsupported crop type: ${plot.crop}`);
+    }
+    if (plot.variety) {
+      getVarietyInfo(plot.crop, plot.variety);
+    }
+  }
+
+  /**
+   * Farm fields for listings
+   * @param {Object} farm - Farm
+   * @returns {Object} Farm without plots, with a plot count
+   */
+  summarizeFarm(farm) {
+    const { plots, ...summary } = farm;
+    return { ...summary, plotCount: plots.length };
+  }
+}
+
+export default new FarmService();
@@ -0,0 +1,155 @@
+import config from '../config/config.js';
+import weatherService from './weatherService.js';
+import { JsonFileStore } from '../utils/jsonFileStore.js';
+import { summarizeForecast } from '../utils/weatherUtils.js';
+import { estimateGddStage } from '../utils/gddUtils.js';
+import { toUtcDate, formatDate, addDays } from '../utils/seasonUtils.js';
+
+/**
+ * Service for growing degree day estimates
+ * Daily temperatures from every forecast are kept per grid cell, so days that have passed
+ * can still be counted once they drop out of the forecast window.
+ */
+class GddService {
+  constructor() {
+    this.weatherService = weatherService;
+    this.history = new JsonFileStore({
+      file: config.gdd.historyFile,
+      defaults: { cells: {} }
+    });
+  }
+
+  /**
+   * History key for the grid cell containing a location
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {string} Cell key
+   */
+  cellKey(lat, lon) {
+    const cell = this.weatherService.roundToGrid(lat, lon);
+    return `${cell.lat}:${cell.lon}`;
+  }
+
+  /**
+   * Store the daily temperatures of a forecast summary
+   * Later forecasts for the same day replace earlier ones; old days are pruned.
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Object} forecastSummary - Forecast summary with dailySummaries
+   */
+  async recordForecast(lat, lon, forecastSummary) {
+    const days = forecastSummary.dailySummaries || [];
+    if (days.length === 0) return;
+
+    const key = this.cellKey(lat, lon);
+    const oldest = formatDate(addDays(toUtcDate(new Date()), -config.gdd.historyDays));
+
+    await this.history.update(store => {
+      const cell = store.cells[key] || {};
+
+      days.forEach(day => {
+        cell[day.date] = { min: day.minTemperature, max: day.maxTemperature };
+      });
+      Object.keys(cell)
+        .filter(date => date < oldest)
+        .forEach(date => delete cell[date]);
+
+      store.cells[key] = cell;
+    });
+  }
+
+  /**
+   * Build the daily temperature series for a location
+   * Recorded days come from earlier forecasts; days from today on come from the current forecast.
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {Object} forecastSummary - Current forecast summary (optional)
+   * @returns {Promise<Object>} Daily { min, max, source } keyed by YYYY-MM-DD
+   */
+  async getTemperatureSeries(lat, lon, forecastSummary = null) {
+    const { cells } = await this.history.read();
+    const today = formatDate(toUtcDate(new Date()));
+    const temperatures = {};
+
+    const days = { ...(cells[this.cellKey(lat, lon)] || {}) };
+
+    (forecastSummary?.dailySummaries || []).forEach(day => {
+      days[day.date] = { min: day.minTemperature, max: day.maxTemperature };
+    });
+
+    Object.entries(days).forEach(([date, day]) => {
+      temperatures[date] = { ...day, source: date < today ? 'recorded' : 'forecast' };
+    });
+
+    return temperatures;
+  }
+
+  /**
+   * Reference temperature for days without data: the mean of the location's known days,
+   * or the configured default when nothing is known
+   * @param {Object} temperatures - Daily temperature series
+   * @returns {Object} Reference { min, max, basis }
+   */
+  getReferenceTemperature(temperatures) {
+    const days = Object.values(temperatures);
+    if (days.length === 0) {
+      return { ...config.gdd.defaultTemperature, basis: 'default' };
+    }
+
+    const mean = (values) => Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10;
+    return {
+      min: mean(days.map(day => day.min)),
+      max: mean(days.map(day => day.max)),
+      basis: 'location'
+    };
+  }
+
+  /**
+   * Estimate growth stage and maturity date from growing degree days
+   * @param {Object} options - Estimate options
+   * @param {string} options.crop - Crop type
+   * @param {string} options.variety - Crop variety (optional)
+   * @param {Date|string} options.plantingDate - Planting date
+   * @param {Date|string} options.date - Date to estimate the stage for (defaults to today)
+   * @param {number} options.lat - Latitude
+   * @param {number} options.lon - Longitude
+   * @param {Object} options.forecastSummary - Forecast summary to reuse (fetched when omitted, null to skip)
+   * @returns {Promise<Object>} GDD stage estimate
+   */
+  async estimate(options) {
+    const { crop, variety, plantingDate, date, lat, lon } = options;
+    let { forecastSummary } = options;
+
+    if (forecastSummary === undefined && this.weatherService.isAvailable()) {
+      try {
+        const forecastData = await this.weatherService.getForecast(lat, lon, config.forecastHorizons['5d'].hours);
+        forecastSummary = summarizeForecast(forecastData, '5d');
+      } catch (error) {
+        console.warn(`GDD forecast unavailable: ${error.message}`);
+      }
+    }
+
+    if (forecastSummary) {
+      try {
+        await this.recordForecast(lat, lon, forecastSummary);
+      } catch (error) {
+        console.warn(`⚠️  Temperature history write failed: ${error.message}`);
+      }
+    }
+
+    const temperatures = await this.getTemperatureSeries(lat, lon, forecastSummary);
+    const { basis, ...referenceTemperature } = this.getReferenceTemperature(temperatures);
+
+    const estimate = estimateGddStage(crop, {
+      plantingDate,
+      date,
+      variety,
+      temperatures,
+      referenceTemperature
+    });
+
+    return { ...estimate, location: { lat, lon }, referenceBasis: basis };
+  }
+}
+
+export default new GddService();
@@ -0,0 +1,342 @@
+import axios from 'axios';
+
+/**
+ * Convert an HTTP client error into a provider error
+ * @param {string} label - Provider name used in messages
+ * @param {Error} error - Error thrown by axios or by the response handling
+ * @returns {Error} Error with a message suitable for logs and fallbacks
+ */
+const toProviderError = (label, error) => {
+  if (error.response) {
+    const status = error.response.status;
+    const data = error.response.data;
+    const message = data?.error?.message || (typeof data?.error === 'string' ? data.error : null) || 'Unknown error';
+
+    switch (status) {
+      case 400:
+        return new Error(`${label} API request error: ${message}`);
+      case 401:
+        return new Error(`Invalid ${label} API key`);
+      case 403:
+        return new Error(`${label} API access denied`);
+      case 404:
+        return new Error(`${label} model or endpoint not found: ${message}`);
+      case 429:
+        return new Error(`${label} API rate limit exceeded`);
+      case 500:
+        return new Error(`${label} API server error`);
+      default:
+        return new Error(`${label} API error: ${message}`);
+    }
+  }
+
+  if (error.code === 'ECONNABORTED') {
+    return new Error(`${label} API request timeout`);
+  }
+
+  return new Error(`${label} service error: ${error.message}`);
+};
+
+/**
+ * Google Gemini (generateContent REST API)
+ * Every provider implements the same interface: isAvailable, complete and getStatus.
+ */
+export class GeminiProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - Gemini API key
+   * @param {string} options.baseUrl - generateContent URL of the model
+   * @param {number} options.timeoutMs - Request timeout
+   */
+  constructor({ apiKey, baseUrl, timeoutMs }) {
+    this.name = 'gemini';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+    this.model = baseUrl.match(/models\/([^:/]+)/)?.[1] || null;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Check whether the provider can be called
+   * @returns {boolean} True if an API key is configured
+   */
+  isAvailable() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Send a prompt and return the model's text
+   * @param {string} prompt - Prompt text
+   * @returns {Promise<string>} Model response text
+   */
+  async complete(prompt) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}?key=${this.apiKey}`,
+        { contents: [{ parts: [{ text: prompt }] }] },
+        { headers: { 'Content-Type': 'application/json' }, timeout: this.timeoutMs }
+      );
+
+      const text = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+      if (!text) {
+        throw new Error('Invalid response format from Gemini API');
+      }
+      return text;
+    } catch (error) {
+      throw toProviderError('Gemini', error);
+    }
+  }
+
+  /**
+   * Get provider status
+   * @returns {Object} Provider status
+   */
+  getStatus() {
+    return {
+      provider: this.name,
+      model: this.model,
+      available: this.isAvailable(),
+      baseUrl: this.baseUrl,
+      hasApiKey: !!this.apiKey
+    };
+  }
+}
+
+/**
+ * OpenAI-compatible chat completions API
+ * Also serves local servers that speak the same protocol, such as llama.cpp (`llama-server`).
+ */
+export class OpenAiProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - API key (not needed by local servers)
+   * @param {string} options.baseUrl - API base URL, e.g. https://api.openai.com/v1
+   * @param {string} options.model - Model name
+   * @param {number} options.timeoutMs - Request timeout
+   */
+  constructor({ apiKey, baseUrl, model, timeoutMs }) {
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Check whether the provider can be called
+   * The hosted OpenAI API needs a key; other endpoints are assumed to be local servers.
+   * @returns {boolean} True if the provider is configured
+   */
+  isAvailable() {
+    return !!this.apiKey || !this.baseUrl.startsWith('https://api.openai.com');
+  }
+
+  /**
+   * Send a prompt and return the model's text
+   * @param {string} prompt - Prompt text
+   * @returns {Promise<string>} Model response text
+   */
+  async complete(prompt) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/chat/completions`,
+        {
+          model: this.model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature: 0.2
+        },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+          },
+          timeout: this.timeoutMs
+        }
+      );
+
+      const text = response.data?.choices?.[0]?.message?.content;
+      if (!text) {
+        throw new Error('Invalid response format from chat completions API');
+      }
+      return text;
+    } catch (error) {
+      throw toProviderError('OpenAI', error);
+    }
+  }
+
+  /**
+   * Get provider status
+   * @returns {Object} Provider status
+   */
+  getStatus() {
+    return {
+      provider: this.name,
+      model: this.model,
+      available: this.isAvailable(),
+      baseUrl: this.baseUrl,
+      hasApiKey: !!this.apiKey
+    };
+  }
+}
+
+/**
+ * Local Ollama server (generate API in JSON mode)
+ */
+export class OllamaProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.baseUrl - Ollama server URL, e.g. http://localhost:11434
+   * @param {string} options.model - Model name, e.g. llama3.1
+   * @param {number} options.timeoutMs - Request timeout
+   */
+  constructor({ baseUrl, model, timeoutMs }) {
+    this.name = 'ollama';
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Check whether the provider can be called
+   * @returns {boolean} True if a server URL and model are configured
+   */
+  isAvailable() {
+    return !!this.baseUrl && !!this.model;
+  }
+
+  /**
+   * Send a prompt and return the model's text
+   * @param {string} prompt - Prompt text
+   * @returns {Promise<string>} Model response text
+   */
+  async complete(prompt) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/api/generate`,
+        { model: this.model, prompt, stream: false, format: 'json' },
+        { headers: { 'Content-Type': 'application/json' }, timeout: this.timeoutMs }
+      );
+
+      const text = response.data?.response;
+      if (!text) {
+        throw new Error('Invalid response format from Ollama API');
+      }
+      return text;
+    } catch (error) {
+      throw toProviderError('Ollama', error);
+    }
+  }
+
+  /**
+   * Get provider status
+   * @returns {Object} Provider status
+   */
+  getStatus() {
+    return {
+      provider: this.name,
+      model: this.model,
+      available: this.isAvailable(),
+      baseUrl: this.baseUrl
+    };
+  }
+}
+
+/**
+ * Deterministic stand-in for tests and offline runs
+ * Without a fixed response it answers with advice for the crop and season named in the prompt,
+ * so the same prompt always gives the same advice.
+ */
+export class MockProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.response - Fixed response text (optional)
+   */
+  constructor({ response = null } = {}) {
+    this.name = 'mock';
+    this.model = 'mock';
+    this.response = response;
+    this.calls = 0;
+  }
+
+  /**
+   * Check whether the provider can be called
+   * @returns {boolean} Always true
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Replace the response returned for every prompt
+   * @param {string|null} response - Response text (null to build advice from the prompt again)
+   */
+  setResponse(response) {
+    this.response = response;
+  }
+
+  /**
+   * Return the fixed response, or advice built from the prompt
+   * @param {string} prompt - Prompt text
+   * @returns {Promise<string>} Response text
+   */
+  async complete(prompt) {
+    this.calls++;
+    if (this.response !== null) {
+      return this.response;
+    }
+
+    const field = (label) => prompt.match(new RegExp(`^${label}: (.+)$`, 'm'))?.[1].trim() || 'unknown';
+    const crop = field('CROP');
+    const season = field('CURRENT SEASON');
+    const rainfall = field('- Total Rainfall');
+
+    return JSON.stringify({
+      forecast_summary: `Mock forecast summary: ${rainfall} of rain expected`,
+      season,
+      crop,
+      soil_ph_analysis: '',
+      growth_stage_advice: '',
+      variety_specific_tips: '',
+      actions: [`Scout ${crop} fields twice a week`, 'Keep records of field operations'],
+      resources_needed: [],
+      possible_diseases: [],
+      possible_pests: [],
+      warnings: [],
+      productivity_tips: [`Use certified ${crop} seed`]
+    });
+  }
+
+  /**
+   * Get provider status
+   * @returns {Object} Provider status
+   */
+  getStatus() {
+    return {
+      provider: this.name,
+      model: this.model,
+      available: true,
+      calls: this.calls
+    };
+  }
+}
+
+/**
+ * Create an LLM provider from configuration
+ * @param {Object} options - LLM configuration (see config.llm)
+ * @param {string} options.provider - Provider name: gemini, openai, ollama or mock
+ * @returns {Object} Provider instance
+ */
+export const createLlmProvider = ({ provider = 'gemini', timeoutMs, gemini, openai, ollama, mock } = {}) => {
+  switch (provider) {
+    case 'gemini':
+      return new GeminiProvider({ ...gemini, timeoutMs });
+    case 'openai':
+      return new OpenAiProvider({ ...openai, timeoutMs });
+    case 'ollama':
+      return new OllamaProvider({ ...ollama, timeoutMs });
+    case 'mock':
+      return new MockProvider(mock);
+    default:
+      throw new Error(`Unsupported LLM provider: ${provider}`);
+  }
+};
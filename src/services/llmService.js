@@ -0,0 +1,307 @@
+import crypto from 'crypto';
+import config from '../config/config.js';
+import { TtlCache, createCacheStore } from '../utils/cache.js';
+import { createLlmProvider } from './llmProviders.js';
+import { describeGrowthEstimate, generateBasicSeasonalAdvice } from '../utils/cropUtils.js';
+import { parseAdviceJson, validateAdviceDocument } from '../utils/adviceSchemaUtils.js';
+import { assignPromptVersion, renderPromptTemplate } from '../utils/promptUtils.js';
+import { getLanguageName } from '../utils/i18nUtils.js';
+
+/**
+ * Service for AI-generated advice
+ * Prompts are rendered from the versioned templates in config.prompts and go to the LLM provider
+ * selected by LLM_PROVIDER (see services/llmProviders.js).
+ */
+class LlmService {
+  constructor() {
+    this.provider = createLlmProvider(config.llm);
+    
+    if (!this.provider.isAvailable()) {
+      console.warn(`⚠️  LLM provider ${this.provider.name} is not configured. AI-powered advice will not be available.`);
+    }
+    
+    const cacheConfig = config.adviceCache;
+    this.soilPhBucket = cacheConfig.soilPhBucket;
+    this.adviceCache = cacheConfig.enabled
+      ? new TtlCache({
+        name: 'Advice',
+        store: createCacheStore(cacheConfig),
+        ttlMs: cacheConfig.ttlMs,
+        staleTtlMs: cacheConfig.staleTtlMs
+      })
+      : null;
+  }
+  
+  /**
+   * Generate farming advice with the configured LLM provider
+   * The prompt version is assigned from the traffic shares (sticky per subject). Identical contexts
+   * are served from the advice cache, and concurrent identical requests share a single provider call.
+   * @param {Object} forecastSummary - Weather forecast summary
+   * @param {string} season - Current agricultural season
+   * @param {string} cropType - Type of crop
+   * @param {Object} additionalData - Additional data (soil pH, growth state, variety)
+   * @param {Object} seasonInfo - Season details (target date, region, transition period)
+   * @param {string} subjectId - Farm or client identifier used for prompt assignment (optional)
+   * @returns {Promise<Object>} AI-generated farming advice
+   */
+  async generateAdvice(forecastSummary, season, cropType, additionalData = {}, seasonInfo = {}, subjectId = null) {
+    if (!this.provider.isAvailable()) {
+      throw new Error(`LLM provider ${this.provider.name} not configured`);
+    }
+    
+    const { version: promptVersion, assignment } = assignPromptVersion(config.prompts.advice, subjectId);
+    
+    if (!this.adviceCache) {
+      const advice = await this.requestAdvice(forecastSummary, season, cropType, additionalData, seasonInfo, promptVersion);
+      advice.metadata.prompt_assignment = assignment;
+      advice.metadata.served_from_cache = false;
+      advice.metadata.cache_status = 'disabled';
+      return advice;
+    }
+    
+    const cacheKey = this.createCacheKey(forecastSummary, season, cropType, additionalData, seasonInfo, promptVersion.version);
+    const { value, status } = await this.adviceCache.getOrLoad(
+      cacheKey,
+      () => this.requestAdvice(forecastSummary, season, cropType, additionalData, seasonInfo, promptVersion)
+    );
+    
+    // Callers decorate the advice, so never hand out the cached object itself
+    const advice = structuredClone(value);
+    advice.metadata = {
+      ...advice.metadata,
+      prompt_assignment: assignment,
+      served_from_cache: status !== 'miss',
+      cache_status: status,
+      cache_key: cacheKey
+    };
+    
+    return advice;
+  }
+  
+  /**
+   * Build a content-addressed cache key from the normalized prompt inputs
+   * Values are rounded so that near-identical contexts share an entry.
+   * @param {Object} forecastSummary - Weather forecast summary
+   * @param {string} season - Current agricultural season
+   * @param {string} cropType - Type of crop
+   * @param {Object} additionalData - Additional data (soil pH, growth state, variety, language)
+   * @param {Object} seasonInfo - Season details (target date, region, transition period)
+   * @param {string} promptVersion - Version of the prompt template
+   * @returns {string} SHA-256 hash of the normalized inputs
+   */
+  createCacheKey(forecastSummary, season, cropType, additionalData = {}, seasonInfo = {}, promptVersion = null) {
+    const { soilPh, growthState, variety, growthEstimate, language } = additionalData;
+    const round = (value, step = 1) => (typeof value === 'number' ? Math.round(value / step) * step : null);
+    
+    const normalized = {
+      model: `${this.provider.name}:${this.provider.model}`,
+      promptVersion,
+      language: language || config.defaultLanguage,
+      crop: cropType.toLowerCase(),
+      season,
+      seasonContext: {
+        date: seasonInfo.date || null,
+        region: seasonInfo.region?.id || null,
+        transition: seasonInfo.transition?.key || null,
+        onset: seasonInfo.onset?.status || null
+      },
+      growthState: growthState || null,
+      growthProgress: growthEstimate
+        ? [growthEstimate.status, growthEstimate.stage, growthEstimate.daysIntoStage, growthEstimate.daysToHarvest]
+        : null,
+      variety: variety ? variety.toLowerCase() : null,
+      soilPh: round(soilPh, this.soilPhBucket),
+      location: {
+        lat: round(forecastSummary.location?.lat, 0.01),
+        lon: round(forecastSummary.location?.lon, 0.01)
+      },
+      forecast: {
+        horizon: forecastSummary.forecastHorizon || null,
+        rainfall: round(forecastSummary.totalRainfall),
+        maxTemperature: round(forecastSummary.maxTemperature),
+        minTemperature: round(forecastSummary.minTemperature),
+        maxWindSpeed: round(forecastSummary.maxWindSpeed, 5),
+        rainHours: forecastSummary.rainHours,
+        heavyRainHours: forecastSummary.heavyRainHours,
+        windHours: forecastSummary.windHours,
+        days: (forecastSummary.dailySummaries || []).map(day => [
+          day.date,
+          round(day.totalRainfall),
+          round(day.minTemperature),
+          round(day.maxTemperature),
+          round(day.maxWindSpeed, 5),
+          round(day.averageHumidity, 5)
+        ])
+      }
+    };
+    
+    return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+  }
+  
+  /**
+   * Request farming advice from the LLM provider
+   * @param {Object} forecastSummary - Weather forecast summary
+   * @param {string} season - Current agricultural season
+   * @param {string} cropType - Type of crop
+   * @param {Object} additionalData - Additional data (soil pH, growth state, variety)
+   * @param {Object} seasonInfo - Season details (target date, region, transition period)
+   * @param {Object} promptVersion - Prompt version from config.prompts (version and template)
+   * @returns {Promise<Object>} AI-generated farming advice
+   */
+  async requestAdvice(forecastSummary, season, cropType, additionalData = {}, seasonInfo = {}, promptVersion = config.prompts.advice.versions[0]) {
+    // Create a well-designed prompt for the AI
+    const prompt = this.createAdvicePrompt(forecastSummary, season, cropType, additionalData, seasonInfo, promptVersion.template);
+    
+    const aiResponse = await this.provider.complete(prompt);
+    
+    // Parse the AI response to extract structured advice
+    const advice = this.parseAIResponse(aiResponse, forecastSummary, season, cropType, additionalData, seasonInfo);
+    advice.metadata.prompt_version = promptVersion.version;
+    return advice;
+  }
+  
+  /**
+   * Create a well-designed prompt for the AI
+   * The optional context lines are built here and passed to the template as variables.
+   * @param {Object} forecastSummary - Weather forecast summary
+   * @param {string} season - Current agricultural season
+   * @param {string} cropType - Type of crop
+   * @param {Object} additionalData - Additional data (soil pH, growth state, variety, language)
+   * @param {Object} seasonInfo - Season details (target date, region, transition period)
+   * @param {string} template - Prompt template (defaults to the first advice prompt version)
+   * @returns {string} Formatted prompt for the AI
+   */
+  createAdvicePrompt(forecastSummary, season, cropType, additionalData = {}, seasonInfo = {}, template = config.prompts.advice.versions[0].template) {
+    const { soilPh, growthState, variety, growthEstimate, language = config.defaultLanguage } = additionalData;
+    
+    let seasonContext = '';
+    
+    if (seasonInfo.date) {
+      seasonContext += `\nTARGET DATE: ${seasonInfo.date}`;
+    }
+    
+    if (seasonInfo.region) {
+      seasonContext += `\nREGION: ${seasonInfo.region.name}`;
+    }
+    
+    if (seasonInfo.transition) {
+      seasonContext += `\nSEASON PHASE: ${seasonInfo.transition.name} (${seasonInfo.transition.startDate} to ${seasonInfo.transition.endDate})`;
+    }
+    
+    if (seasonInfo.onset && seasonInfo.onset.status !== 'calendar_only') {
+      const { label, confidence, reasoning } = seasonInfo.onset;
+      seasonContext += `\nRAINFALL-ADJUSTED SEASON: ${label} (confidence ${confidence}) - ${reasoning}`;
+    }
+    
+    let additionalInfo = '';
+    
+    if (soilPh !== undefined && soilPh !== null) {
+      additionalInfo += `\nSOIL pH: ${soilPh}`;
+    }
+    
+    if (growthState) {
+      additionalInfo += `\nGROWTH STAGE: ${growthState}`;
+    }
+    
+    if (growthEstimate) {
+      additionalInfo += `\nPLANTING DATE: ${growthEstimate.plantingDate}`;
+      additionalInfo += `\nSTAGE PROGRESS: ${describeGrowthEstimate(growthEstimate)}`;
+    }
+    
+    if (variety) {
+      additionalInfo += `\nVARIETY: ${variety}`;
+    }
+    
+    const dailySummaries = forecastSummary.dailySummaries || [];
+    let dailyForecast = '';
+    
+    if (dailySummaries.length > 1) {
+      dailyForecast = '\n\nDAILY BREAKDOWN:\n' + dailySummaries.map(day =>
+        `- ${day.date}: ${day.totalRainfall}mm rain, ${day.minTemperature}°C to ${day.maxTemperature}°C, ${day.averageHumidity}% humidity, wind up to ${day.maxWindSpeed} km/h`
+      ).join('\n');
+    }
+    
+    return renderPromptTemplate(template, {
+      locationName: forecastSummary.location.name,
+      lat: forecastSummary.location.lat,
+      lon: forecastSummary.location.lon,
+      season,
+      seasonContext,
+      cropType,
+      additionalInfo,
+      forecastPeriod: forecastSummary.forecastPeriod || '48 hours',
+      totalRainfall: forecastSummary.totalRainfall,
+      minTemperature: forecastSummary.minTemperature,
+      maxTemperature: forecastSummary.maxTemperature,
+      maxWindSpeed: forecastSummary.maxWindSpeed,
+      rainHours: forecastSummary.rainHours,
+      heavyRainHours: forecastSummary.heavyRainHours,
+      windHours: forecastSummary.windHours,
+      dailyForecast,
+      responseLanguage: getLanguageName(language)
+    });
+  }
+  
+  /**
+   * Parse the AI response and extract structured advice
+   * The document is checked field by field against the advice schema; repairable problems are
+   * fixed and optional fields the model left out or got wrong are filled from the basic advice.
+   * @param {string} aiResponse - Raw response from the LLM provider
+   * @param {Object} forecastSummary - Weather forecast summary
+   * @param {string} season - Current agricultural season
+   * @param {string} cropType - Type of crop
+   * @param {Object} additionalData - Additional data used in the request
+   * @param {Object} seasonInfo - Season details used for the basic advice
+   * @returns {Object} Parsed and validated farming advice
+   */
+  parseAIResponse(aiResponse, forecastSummary, season, cropType, additionalData = {}, seasonInfo = null) {
+    try {
+      const { document, repairs } = parseAdviceJson(aiResponse);
+      const fallbackAdvice = generateBasicSeasonalAdvice(cropType, season, forecastSummary, additionalData, seasonInfo);
+      const { advice, validation } = validateAdviceDocument(document, fallbackAdvice, repairs);
+      
+      if (validation.invalidFields.length > 0) {
+        throw new Error(`Missing or invalid required fields in AI response: ${validation.invalidFields.join(', ')}`);
+      }
+      
+      // Add metadata
+      advice.metadata = {
+        generated_at: new Date().toISOString(),
+        source: 'ai',
+        llm: { provider: this.provider.name, model: this.provider.model },
+        weather_data: forecastSummary,
+        additional_data: additionalData,
+        schema_validation: validation
+      };
+      
+      return advice;
+      
+    } catch (parseError) {
+      throw new Error(`Failed to parse AI response: ${parseError.message}`);
+    }
+  }
+  
+  /**
+   * Check if AI advice is available
+   * @returns {boolean} True if the LLM provider is configured
+   */
+  isAvailable() {
+    return this.provider.isAvailable();
+  }
+  
+  /**
+   * Get service status information
+   * @returns {Object} Service status
+   */
+  getStatus() {
+    return {
+      ...this.provider.getStatus(),
+      prompts: config.prompts.advice.versions.map(({ version, traffic }) => ({ version, traffic })),
+      cache: this.adviceCache
+        ? { enabled: true, ...this.adviceCache.getStats() }
+        : { enabled: false }
+    };
+  }
+}
+
+export default new LlmService();
@@ -0,0 +1,66 @@
+import config from '../config/config.js';
+import { JsonFileStore } from '../utils/jsonFileStore.js';
+
+/**
+ * Service for the local market price table
+ * Prices start from economics.marketPrices; admin updates are kept in the price file and win over them.
+ */
+class MarketPriceService {
+  constructor() {
+    this.store = new JsonFileStore({
+      file: config.economics.priceFile,
+      defaults: { prices: {} }
+    });
+  }
+
+  /**
+   * Get the price table for every supported crop
+   * @returns {Promise<Object>} Currency and prices keyed by crop (pricePerKg, source and updatedAt)
+   */
+  async getPrices() {
+    const { prices } = await this.store.read();
+
+    return {
+      currency: config.economics.currency,
+      prices: Object.fromEntries(Object.keys(config.crops).map(cropType => {
+        const stored = prices[cropType];
+        return [cropType, stored
+          ? { pricePerKg: stored.pricePerKg, source: 'market', updatedAt: stored.updatedAt }
+          : { pricePerKg: config.economics.marketPrices[cropType] ?? null, source: 'default', updatedAt: null }];
+      }))
+    };
+  }
+
+  /**
+   * Get the price of one crop
+   * @param {string} cropType - The type of crop
+   * @returns {Promise<Object>} pricePerKg (null when no price is known), currency, source and updatedAt
+   */
+  async getPrice(cropType) {
+    const { currency, prices } = await this.getPrices();
+    return { ...prices[cropType], currency };
+  }
+
+  /**
+   * Update market prices
+   * @param {Object} changes - Prices in RWF per kg keyed by crop; null restores the default price
+   * @returns {Promise<Object>} Updated price table
+   */
+  async updatePrices(changes) {
+    const updatedAt = new Date().toISOString();
+
+    await this.store.update(store => {
+      Object.entries(changes).forEach(([cropType, pricePerKg]) => {
+        if (pricePerKg === null) {
+          delete store.prices[cropType];
+        } else {
+          store.prices[cropType] = { pricePerKg, updatedAt };
+        }
+      });
+    });
+
+    return this.getPrices();
+  }
+}
+
+export default new MarketPriceService();
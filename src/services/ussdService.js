@@ -0,0 +1,178 @@
+import config from '../config/config.js';
+import adviceService from './adviceService.js';
+import { getCropVarieties } from '../utils/cropUtils.js';
+import { translate, translatePhrase } from '../utils/i18nUtils.js';
+import { renderSmsSegments, toSmsText } from '../utils/smsUtils.js';
+
+// Menu steps in the order the user walks through them
+const USSD_STEPS = ['crop', 'variety', 'growthState', 'location'];
+
+// Choice that skips an optional step
+const SKIP_CHOICE = '0';
+
+/**
+ * Capitalize the first letter of a menu label
+ * @param {string} label - Menu label
+ * @returns {string} Capitalized label
+ */
+const capitalize = (label) => `${label.charAt(0).toUpperCase()}${label.slice(1)}`;
+
+/**
+ * Service for USSD advice sessions
+ * Gateways send every choice made so far joined by "*" (e.g. "1*2*0*3"), so a session
+ * is replayed from its text on each request and no session state is stored.
+ */
+class UssdService {
+  /**
+   * Build the menu for a step
+   * @param {string} step - Step name (crop, variety, growthState or location)
+   * @param {Object} selection - Choices made in the earlier steps
+   * @param {string} language - Language of the labels
+   * @returns {Object} Menu prompt, numbered options and whether the step can be skipped
+   */
+  getMenu(step, selection, language) {
+    switch (step) {
+      case 'crop':
+        return {
+          prompt: translate(language, 'ussd.chooseCrop'),
+          options: adviceService.getAvailableCrops().map(crop => ({
+            value: crop,
+            label: capitalize(translatePhrase(language, crop))
+          })),
+          optional: false
+        };
+      case 'variety':
+        return {
+          prompt: translate(language, 'ussd.chooseVariety'),
+          options: Object.entries(getCropVarieties(selection.crop)).map(([variety, info]) => ({
+            value: variety,
+            label: translatePhrase(language, info.description)
+          })),
+          optional: true
+        };
+      case 'growthState':
+        return {
+          prompt: translate(language, 'ussd.chooseGrowthState'),
+          options: adviceService.getGrowthStates(selection.crop).map(stage => ({
+            value: stage,
+            label: capitalize(translatePhrase(language, stage))
+          })),
+          optional: true
+        };
+      case 'location':
+        return {
+          prompt: translate(language, 'ussd.chooseLocation'),
+          options: Object.keys(config.ussd.locations).map(location => ({
+            value: location,
+            label: translate(language, `ussd.locations.${location}`)
+          })),
+          optional: false
+        };
+      default:
+        throw new Error(`Unknown USSD step: ${step}`);
+    }
+  }
+
+  /**
+   * Render a menu as a USSD screen
+   * @param {Object} menu - Menu from getMenu
+   * @param {string} language - Language of the labels
+   * @param {boolean} invalid - Whether the last choice was not on the menu
+   * @returns {string} Screen text
+   */
+  renderMenu(menu, language, invalid) {
+    const lines = [
+      ...(invalid ? [translate(language, 'ussd.invalidChoice')] : []),
+      menu.prompt,
+      ...menu.options.map((option, index) => `${index + 1}. ${option.label}`),
+      ...(menu.optional ? [`${SKIP_CHOICE}. ${translate(language, 'ussd.skip')}`] : [])
+    ];
+    return lines.map(toSmsText).join('\n');
+  }
+
+  /**
+   * Replay the choices of a session
+   * Choices that are not on the menu are ignored, so the user can answer the same menu again.
+   * @param {string} text - Choices joined by "*"
+   * @param {string} language - Language of the labels
+   * @returns {Object} Selection, the next step (null when complete) and whether the last choice was invalid
+   */
+  replaySession(text, language) {
+    const selection = {};
+    let stepIndex = 0;
+    let invalid = false;
+
+    const inputs = text ? text.split('*').map(input => input.trim()) : [];
+    for (const input of inputs) {
+      if (stepIndex === USSD_STEPS.length) break;
+
+      const step = USSD_STEPS[stepIndex];
+      const menu = this.getMenu(step, selection, language);
+      const index = /^\d+$/.test(input) ? parseInt(input, 10) : NaN;
+
+      if (menu.optional && input === SKIP_CHOICE) {
+        selection[step] = null;
+      } else if (index >= 1 && index <= menu.options.length) {
+        selection[step] = menu.options[index - 1].value;
+      } else {
+        invalid = true;
+        continue;
+      }
+
+      invalid = false;
+      stepIndex++;
+    }
+
+    return {
+      selection,
+      nextStep: USSD_STEPS[stepIndex] || null,
+      invalid
+    };
+  }
+
+  /**
+   * Handle a USSD gateway request
+   * Returns the next menu ("CON ...") until crop, variety, growth stage and location are
+   * chosen, then the top-ranked advice that fits on one screen ("END ...").
+   * @param {Object} options - Session options
+   * @param {string} options.text - Choices made so far, joined by "*"
+   * @param {string} options.language - Language of the menus and advice (defaults to DEFAULT_LANGUAGE)
+   * @returns {Promise<Object>} USSD response text and the session selection
+   */
+  async handleSession({ text = '', language = config.defaultLanguage } = {}) {
+    const { selection, nextStep, invalid } = this.replaySession(text, language);
+
+    if (nextStep) {
+      const menu = this.getMenu(nextStep, selection, language);
+      return {
+        response: `CON ${this.renderMenu(menu, language, invalid)}`,
+        selection
+      };
+    }
+
+    const location = config.ussd.locations[selection.location];
+    const advice = await adviceService.generateAdvice({
+      crop: selection.crop,
+      variety: selection.variety || undefined,
+      growthState: selection.growthState || undefined,
+      lat: location.lat,
+      lon: location.lon,
+      mode: config.ussd.adviceMode,
+      language
+    });
+
+    // One screen of the ranked SMS rendering, after the "END " prefix
+    const { segments } = renderSmsSegments(advice, {
+      segmentLength: config.ussd.pageLength - 4,
+      maxSegments: 1,
+      language
+    });
+
+    return {
+      response: `END ${segments[0] || translate(language, 'ussd.noAdvice')}`,
+      selection
+    };
+  }
+}
+
+export default new UssdService();
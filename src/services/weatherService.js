@@ -1,5 +1,10 @@
 import axios from 'axios';
 import config from '../config/config.js';
+import { TtlCache, createCacheStore } from '../utils/cache.js';
+
+// OpenWeather returns at most 40 three-hour entries (5 days)
+const MAX_FORECAST_ENTRIES = 40;
+const MAX_FORECAST_HOURS = MAX_FORECAST_ENTRIES * 3;
 
 /**
  * Service for interacting with OpenWeather API
@@ -12,15 +17,74 @@ class WeatherService {
     if (!this.apiKey) {
       console.warn('⚠️  OpenWeather API key not provided. Weather data will not be available.');
     }
+    
+    const cacheConfig = config.forecastCache;
+    this.gridSize = cacheConfig.gridSize;
+    this.forecastCache = cacheConfig.enabled
+      ? new TtlCache({
+        name: 'Forecast',
+        store: createCacheStore(cacheConfig),
+        ttlMs: cacheConfig.ttlMs,
+        staleTtlMs: cacheConfig.staleTtlMs
+      })
+      : null;
+  }
+  
+  /**
+   * Snap coordinates to the centre of their cache grid cell
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @returns {Object} Rounded latitude and longitude
+   */
+  roundToGrid(lat, lon) {
+    const snap = (value) => Number((Math.round(value / this.gridSize) * this.gridSize).toFixed(4));
+    return { lat: snap(lat), lon: snap(lon) };
+  }
+  
+  /**
+   * Fetch weather forecast, served from the forecast cache when enabled
+   * Nearby locations share the forecast of their grid cell. The cache holds the full 5-day
+   * forecast once per cell and every horizon is sliced from it.
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} hours - Forecast window in hours (defaults to 48, max 120)
+   * @returns {Promise<Object>} Weather forecast data
+   */
+  async getForecast(lat, lon, hours = 48) {
+    if (!this.apiKey) {
+      throw new Error('OpenWeather API key not configured');
+    }
+    
+    if (!this.forecastCache) {
+      return this.fetchForecast(lat, lon, hours);
+    }
+    
+    const cell = this.roundToGrid(lat, lon);
+    const key = `forecast:${cell.lat}:${cell.lon}`;
+    const { value } = await this.forecastCache.getOrLoad(key, () => this.fetchForecast(cell.lat, cell.lon, MAX_FORECAST_HOURS));
+    
+    return this.sliceForecast(value, hours);
+  }
+  
+  /**
+   * Limit a forecast to the entries covering a window
+   * @param {Object} forecastData - OpenWeather forecast response
+   * @param {number} hours - Forecast window in hours
+   * @returns {Object} Forecast data with only the entries inside the window
+   */
+  sliceForecast(forecastData, hours) {
+    const list = (forecastData.list || []).slice(0, Math.min(Math.ceil(hours / 3), MAX_FORECAST_ENTRIES));
+    return { ...forecastData, cnt: list.length, list };
   }
   
   /**
-   * Fetch 48-hour weather forecast for a specific location
+   * Fetch weather forecast for a specific location from the OpenWeather API
    * @param {number} lat - Latitude
    * @param {number} lon - Longitude
+   * @param {number} hours - Forecast window in hours (defaults to 48, max 120)
    * @returns {Promise<Object>} Weather forecast data
    */
-  async getForecast(lat, lon) {
+  async fetchForecast(lat, lon, hours = 48) {
     if (!this.apiKey) {
       throw new Error('OpenWeather API key not configured');
     }
@@ -32,7 +96,7 @@ class WeatherService {
           lon,
           appid: this.apiKey,
           units: 'metric', // Use metric units (Celsius, mm, m/s)
-          cnt: 16 // Get 48 hours of forecast (3-hour intervals)
+          cnt: Math.min(Math.ceil(hours / 3), MAX_FORECAST_ENTRIES) // 3-hour intervals
         },
         timeout: 10000 // 10 second timeout
       });
@@ -126,7 +190,10 @@ class WeatherService {
     return {
       available: this.isAvailable(),
       baseUrl: this.baseUrl,
-      hasApiKey: !!this.apiKey
+      hasApiKey: !!this.apiKey,
+      cache: this.forecastCache
+        ? { enabled: true, gridSize: this.gridSize, ...this.forecastCache.getStats() }
+        : { enabled: false }
     };
   }
 }
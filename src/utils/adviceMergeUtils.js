@@ -0,0 +1,154 @@
+import config from '../config/config.js';
+
+// Words that carry no meaning when comparing advice items
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'your', 'you', 'from', 'into', 'onto', 'that', 'this', 'are', 'was',
+  'will', 'can', 'may', 'due', 'any', 'all', 'per', 'each', 'before', 'after', 'during', 'next', 'over',
+  'expected', 'consider', 'ensure', 'make', 'sure', 'use', 'keep'
+]);
+
+const TEXT_FIELDS = ['forecast_summary', 'soil_ph_analysis', 'growth_stage_advice', 'variety_specific_tips'];
+
+/**
+ * List fields of the advice and how they merge
+ * `prefer` is the source whose item is kept when two items are duplicates (its items also come first);
+ * `key` picks the text compared for object entries.
+ */
+const LIST_FIELDS = {
+  actions: { prefer: 'ai' },
+  warnings: { prefer: 'rules' },
+  productivity_tips: { prefer: 'ai' },
+  resources_needed: { prefer: 'ai', key: item => item.resource },
+  possible_diseases: { prefer: 'rules', key: item => item.disease_name },
+  possible_pests: { prefer: 'rules', key: item => item.pest_name }
+};
+
+/**
+ * Reduce advice text to a set of content words
+ * Words are lower-cased and stripped of common endings so that "spraying" matches "spray".
+ * @param {string} text - Advice text
+ * @returns {Set<string>} Content words
+ */
+const toWords = (text = '') => new Set(
+  text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    .map(word => word.replace(/(ing|ed|es|s)$/, ''))
+);
+
+/**
+ * Similarity of two advice texts (Jaccard index of their content words)
+ * @param {string} first - First text
+ * @param {string} second - Second text
+ * @returns {number} Similarity from 0 to 1
+ */
+export const textSimilarity = (first, second) => {
+  const a = toWords(first);
+  const b = toWords(second);
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+
+  const shared = [...a].filter(word => b.has(word)).length;
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Tag an advice item with its source
+ * Text items become { text, source }; objects keep their fields and gain `source`.
+ * Items that already carry a source are left as they are.
+ * @param {string|Object} item - Advice item
+ * @param {string} source - rules or ai
+ * @returns {Object} Tagged item
+ */
+const tagItem = (item, source) => {
+  if (typeof item === 'string') {
+    return { text: item, source };
+  }
+  return item.source ? item : { ...item, source };
+};
+
+/**
+ * Text of an advice item used for comparison
+ * @param {string|Object} item - Advice item (plain or tagged)
+ * @param {Function} key - Picks the compared text from object entries
+ * @returns {string} Item text
+ */
+const itemText = (item, key) => {
+  if (typeof item === 'string') return item;
+  if (typeof item.text === 'string') return item.text;
+  return key ? key(item) || '' : '';
+};
+
+/**
+ * Merge one list field, dropping items of the other source that duplicate a preferred item
+ * @param {Array} rulesItems - Items from the rule-based advice
+ * @param {Array} aiItems - Items from the AI advice
+ * @param {Object} field - Merge settings from LIST_FIELDS
+ * @returns {Object} Merged tagged items and the number of duplicates dropped
+ */
+const mergeList = (rulesItems = [], aiItems = [], { prefer, key }) => {
+  const threshold = config.adviceMerge.similarityThreshold;
+  const preferred = (prefer === 'rules' ? rulesItems : aiItems).map(item => tagItem(item, prefer));
+  const otherSource = prefer === 'rules' ? 'ai' : 'rules';
+  const others = (prefer === 'rules' ? aiItems : rulesItems).map(item => tagItem(item, otherSource));
+
+  const merged = [...preferred];
+  let duplicates = 0;
+
+  others.forEach(item => {
+    const text = itemText(item, key);
+    const duplicate = merged.some(existing => textSimilarity(itemText(existing, key), text) >= threshold);
+    if (duplicate) {
+      duplicates++;
+    } else {
+      merged.push(item);
+    }
+  });
+
+  return { items: merged, duplicates };
+};
+
+/**
+ * Merge AI advice with rule-based advice for the same request
+ * Text fields come from the AI when it filled them in. List items are tagged with their `source`
+ * (rules or ai) and near-duplicates are dropped; rule-based warnings are always kept.
+ * @param {Object} rulesAdvice - Result of generateBasicSeasonalAdvice
+ * @param {Object} aiAdvice - AI advice (null when the AI was not used or failed)
+ * @returns {Object} Merged advice with a `merge` report in metadata
+ */
+export const mergeAdvice = (rulesAdvice, aiAdvice = null) => {
+  const merged = { ...rulesAdvice, metadata: { ...(aiAdvice?.metadata || {}) } };
+  const report = { text_sources: {}, duplicates_removed: {} };
+
+  TEXT_FIELDS.forEach(field => {
+    const useAi = typeof aiAdvice?.[field] === 'string' && aiAdvice[field].trim() !== '';
+    merged[field] = useAi ? aiAdvice[field] : rulesAdvice[field];
+    report.text_sources[field] = useAi ? 'ai' : 'rules';
+  });
+
+  Object.entries(LIST_FIELDS).forEach(([field, settings]) => {
+    const { items, duplicates } = mergeList(rulesAdvice[field], aiAdvice?.[field], settings);
+    merged[field] = items;
+    report.duplicates_removed[field] = duplicates;
+  });
+
+  merged.metadata.merge = report;
+  return merged;
+};
+
+/**
+ * Tag list items added after the merge (irrigation, lime, risk warnings) as rule-based
+ * @param {Object} advice - Merged advice
+ * @returns {Object} Advice whose list items all carry a source
+ */
+export const tagRuleItems = (advice) => {
+  Object.keys(LIST_FIELDS).forEach(field => {
+    if (Array.isArray(advice[field])) {
+      advice[field] = advice[field].map(item => tagItem(item, 'rules'));
+    }
+  });
+  return advice;
+};
@@ -0,0 +1,251 @@
+import Joi from 'joi';
+
+const RISK_LEVELS = ['High', 'Medium', 'Low'];
+
+/**
+ * Normalize a free-text risk such as "high risk during the rains" to High, Medium or Low
+ * @param {string} value - Risk text from the AI response
+ * @param {Object} helpers - Joi custom rule helpers
+ * @returns {string} Risk level
+ */
+const normalizeRiskLevel = (value, helpers) => {
+  const match = value.match(/\b(high|medium|moderate|low)\b/i);
+  if (!match) {
+    return helpers.error('any.only', { valids: RISK_LEVELS });
+  }
+  const level = match[1].toLowerCase() === 'moderate' ? 'medium' : match[1].toLowerCase();
+  return level.charAt(0).toUpperCase() + level.slice(1);
+};
+
+const text = Joi.string().trim().allow('');
+const textList = Joi.array().items(Joi.string().trim().min(1));
+const riskLevel = Joi.string().trim().custom(normalizeRiskLevel, 'risk level');
+
+const resourceSchema = Joi.object({
+  resource: Joi.string().trim().min(1).required(),
+  purpose: text,
+  quantity: text,
+  cost_estimate: text,
+  where_to_get: text
+});
+
+const diseaseSchema = Joi.object({
+  disease_name: Joi.string().trim().min(1).required(),
+  symptoms: text,
+  risk_factors: text,
+  prevention: text,
+  treatment: text,
+  seasonal_risk: riskLevel
+});
+
+const pestSchema = Joi.object({
+  pest_name: Joi.string().trim().min(1).required(),
+  signs: text,
+  risk_factors: text,
+  scouting: text,
+  control_steps: textList,
+  outbreak_risk: riskLevel
+});
+
+/**
+ * Fields of the advice document
+ * `schema` validates a scalar field, `items` each entry of a list field. Required fields cannot be
+ * filled from the basic advice, so a response without them is rejected.
+ */
+const ADVICE_FIELDS = {
+  forecast_summary: { schema: Joi.string().trim().min(1), required: true },
+  season: { schema: Joi.string().trim().min(1), required: true },
+  crop: { schema: Joi.string().trim().min(1), required: true },
+  soil_ph_analysis: { schema: text },
+  growth_stage_advice: { schema: text },
+  variety_specific_tips: { schema: text },
+  actions: { items: Joi.string().trim().min(1), required: true },
+  resources_needed: { items: resourceSchema },
+  possible_diseases: { items: diseaseSchema },
+  possible_pests: { items: pestSchema },
+  warnings: { items: Joi.string().trim().min(1) },
+  productivity_tips: { items: Joi.string().trim().min(1) }
+};
+
+const VALIDATION_OPTIONS = { abortEarly: false, stripUnknown: true };
+
+/**
+ * Turn a value that should be a list into one
+ * Strings are split into lines (dropping bullets and numbering); a single object is wrapped.
+ * @param {*} value - Field value from the AI response
+ * @returns {*} List, or the value unchanged when it cannot be coerced
+ */
+const coerceList = (value) => {
+  if (typeof value === 'string') {
+    return value
+      .split(/\r?\n/)
+      .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+      .filter(Boolean);
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return [value];
+  }
+  return value;
+};
+
+/**
+ * Extract and parse the advice JSON from a model response
+ * Code fences and text around the object are stripped; trailing commas are removed when the
+ * first parse fails.
+ * @param {string} responseText - Raw model response
+ * @returns {Object} Parsed document and the repairs applied to the text
+ */
+export const parseAdviceJson = (responseText) => {
+  const repairs = [];
+  let jsonText = responseText.trim();
+
+  const fenced = jsonText.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    jsonText = fenced[1].trim();
+    repairs.push('stripped_code_fences');
+  }
+
+  const jsonStart = jsonText.indexOf('{');
+  const jsonEnd = jsonText.lastIndexOf('}');
+  if (jsonStart === -1 || jsonEnd === -1) {
+    throw new Error('No JSON found in AI response');
+  }
+  if (jsonStart > 0 || jsonEnd < jsonText.length - 1) {
+    jsonText = jsonText.substring(jsonStart, jsonEnd + 1);
+    repairs.push('extracted_json_object');
+  }
+
+  try {
+    return { document: JSON.parse(jsonText), repairs };
+  } catch (error) {
+    const withoutTrailingCommas = jsonText.replace(/,(\s*[}\]])/g, '$1');
+    try {
+      const document = JSON.parse(withoutTrailingCommas);
+      repairs.push('removed_trailing_commas');
+      return { document, repairs };
+    } catch {
+      throw new Error(`Invalid JSON in AI response: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Coerce the values of a list entry: numbers become text and nested lists given as text are split
+ * @param {*} item - List entry from the AI response
+ * @returns {*} Coerced entry (the same object when nothing changed)
+ */
+const coerceEntry = (item) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return typeof item === 'number' ? String(item) : item;
+  }
+
+  let changed = false;
+  const entry = Object.fromEntries(Object.entries(item).map(([key, value]) => {
+    let coerced = value;
+    if (typeof value === 'number') coerced = String(value);
+    if (key === 'control_steps') coerced = coerceList(value);
+    changed = changed || coerced !== value;
+    return [key, coerced];
+  }));
+
+  return changed ? entry : item;
+};
+
+/**
+ * Validate one list field, dropping entries that do not match the item schema
+ * @param {Array} list - Field value (already coerced to a list)
+ * @param {Object} itemSchema - Joi schema for one entry
+ * @returns {Object} Valid entries, whether any entry was coerced and errors for the dropped ones
+ */
+const validateList = (list, itemSchema) => {
+  const entries = [];
+  const errors = [];
+  let coerced = false;
+
+  list.forEach((item, index) => {
+    const candidate = coerceEntry(item);
+    const { error, value } = itemSchema.validate(candidate, VALIDATION_OPTIONS);
+
+    if (error) {
+      errors.push(...error.details.map(detail => `[${index}] ${detail.message}`));
+    } else {
+      coerced = coerced || candidate !== item;
+      entries.push(value);
+    }
+  });
+
+  return { entries, coerced, errors };
+};
+
+/**
+ * Validate an AI advice document field by field and repair what can be repaired
+ * Missing or unusable optional fields are filled from the basic advice; text is coerced to lists;
+ * invalid list entries are dropped. Each field gets a status: valid, coerced, repaired, filled or invalid.
+ * @param {Object} document - Parsed AI advice
+ * @param {Object} fallbackAdvice - Basic advice for the same request
+ * @param {Array} repairs - Repairs already applied to the response text
+ * @returns {Object} Repaired advice and the validation report
+ */
+export const validateAdviceDocument = (document, fallbackAdvice = {}, repairs = []) => {
+  const advice = {};
+  const fields = {};
+
+  const fill = (field, errors = []) => {
+    if (!ADVICE_FIELDS[field].required && fallbackAdvice[field] !== undefined) {
+      advice[field] = fallbackAdvice[field];
+      fields[field] = { status: 'filled', ...(errors.length > 0 && { errors }) };
+    } else {
+      fields[field] = { status: 'invalid', errors: errors.length > 0 ? errors : ['missing'] };
+    }
+  };
+
+  Object.entries(ADVICE_FIELDS).forEach(([field, { schema, items }]) => {
+    const value = document?.[field];
+    if (value === undefined || value === null) {
+      fill(field);
+      return;
+    }
+
+    if (schema) {
+      const { error, value: validated } = schema.validate(value, VALIDATION_OPTIONS);
+      if (error) {
+        fill(field, error.details.map(detail => detail.message));
+      } else {
+        advice[field] = validated;
+        fields[field] = { status: 'valid' };
+      }
+      return;
+    }
+
+    const list = coerceList(value);
+    if (!Array.isArray(list)) {
+      fill(field, [`"${field}" must be an array`]);
+      return;
+    }
+
+    const { entries, coerced, errors } = validateList(list, items);
+    if (list.length > 0 && entries.length === 0) {
+      fill(field, errors);
+      return;
+    }
+
+    advice[field] = entries;
+    if (errors.length > 0) {
+      fields[field] = { status: 'repaired', errors };
+    } else {
+      fields[field] = { status: list === value && !coerced ? 'valid' : 'coerced' };
+    }
+  });
+
+  const invalidFields = Object.keys(fields).filter(field => fields[field].status === 'invalid');
+
+  return {
+    advice,
+    validation: {
+      valid: repairs.length === 0 && Object.values(fields).every(({ status }) => status === 'valid'),
+      repairs,
+      invalidFields,
+      fields
+    }
+  };
+};
@@ -0,0 +1,257 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * In-memory cache store
+ * Every store implements the same async interface: get, set, delete, clear and size.
+ */
+export class MemoryCacheStore {
+  constructor({ maxEntries = 500 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this.entries.get(key);
+  }
+
+  async set(key, entry) {
+    // Re-insert so the Map keeps keys in least-recently-written order
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * File-based cache store (one JSON file per key)
+ * Survives restarts and can be shared by several processes on the same host.
+ */
+export class FileCacheStore {
+  constructor({ directory }) {
+    if (!directory) {
+      throw new Error('File cache store requires a directory');
+    }
+
+    this.name = 'file';
+    this.directory = path.resolve(directory);
+  }
+
+  filePath(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+
+  async get(key) {
+    try {
+      const content = await fs.readFile(this.filePath(key), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    }
+  }
+
+  async set(key, entry) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    // Write to a temporary file first so readers never see a partial entry
+    const target = this.filePath(key);
+    const temporary = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(entry));
+    await fs.rename(temporary, target);
+  }
+
+  async delete(key) {
+    await fs.rm(this.filePath(key), { force: true });
+  }
+
+  async clear() {
+    await fs.rm(this.directory, { recursive: true, force: true });
+  }
+
+  async size() {
+    try {
+      const files = await fs.readdir(this.directory);
+      return files.filter(file => file.endsWith('.json')).length;
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Create a cache store from configuration
+ * @param {Object} options - Store options
+ * @param {string} options.backend - Store type (memory or file)
+ * @param {string} options.directory - Directory for the file store
+ * @param {number} options.maxEntries - Entry limit for the memory store
+ * @returns {Object} Cache store instance
+ */
+export const createCacheStore = ({ backend = 'memory', directory, maxEntries } = {}) => {
+  switch (backend) {
+    case 'memory':
+      return new MemoryCacheStore({ maxEntries });
+    case 'file':
+      return new FileCacheStore({ directory });
+    default:
+      throw new Error(`Unsupported cache backend: ${backend}`);
+  }
+};
+
+/**
+ * TTL cache with stale-while-revalidate and in-flight request coalescing
+ */
+export class TtlCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {string} options.name - Cache name used in logs and stats
+   * @param {Object} options.store - Cache store (defaults to memory)
+   * @param {number} options.ttlMs - Time an entry is served as fresh
+   * @param {number} options.staleTtlMs - Extra time an expired entry may be served while it is refreshed
+   */
+  constructor({ name = 'cache', store = new MemoryCacheStore(), ttlMs, staleTtlMs = 0 }) {
+    this.name = name;
+    this.store = store;
+    this.ttlMs = ttlMs;
+    this.staleTtlMs = staleTtlMs;
+    this.inFlight = new Map();
+    this.stats = { hits: 0, staleHits: 0, misses: 0, coalesced: 0, refreshes: 0, errors: 0 };
+  }
+
+  /**
+   * Return a cached value or load it
+   * Concurrent callers for the same key share one loader call.
+   * @param {string} key - Cache key
+   * @param {Function} loader - Async function producing the value on a miss
+   * @returns {Promise<Object>} `{ value, status }` where status is hit, stale, miss or coalesced
+   */
+  async getOrLoad(key, loader) {
+    const now = Date.now();
+    let entry;
+
+    try {
+      entry = await this.store.get(key);
+    } catch (error) {
+      this.stats.errors++;
+      console.warn(`⚠️  ${this.name} cache read failed: ${error.message}`);
+    }
+
+    if (entry && now < entry.expiresAt) {
+      this.stats.hits++;
+      return { value: entry.value, status: 'hit' };
+    }
+
+    if (entry && now < entry.staleUntil) {
+      this.stats.staleHits++;
+      this.refresh(key, loader);
+      return { value: entry.value, status: 'stale' };
+    }
+
+    if (this.inFlight.has(key)) {
+      this.stats.coalesced++;
+      const value = await this.inFlight.get(key);
+      return { value, status: 'coalesced' };
+    }
+
+    this.stats.misses++;
+    const value = await this.load(key, loader);
+    return { value, status: 'miss' };
+  }
+
+  /**
+   * Run the loader once per key and store its result
+   * @param {string} key - Cache key
+   * @param {Function} loader - Async function producing the value
+   * @returns {Promise<*>} Loaded value
+   */
+  load(key, loader) {
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const pending = (async () => {
+      try {
+        const value = await loader();
+        const storedAt = Date.now();
+
+        try {
+          await this.store.set(key, {
+            value,
+            storedAt,
+            expiresAt: storedAt + this.ttlMs,
+            staleUntil: storedAt + this.ttlMs + this.staleTtlMs
+          });
+        } catch (error) {
+          this.stats.errors++;
+          console.warn(`⚠️  ${this.name} cache write failed: ${error.message}`);
+        }
+
+        return value;
+      } finally {
+        this.inFlight.delete(key);
+      }
+    })();
+
+    this.inFlight.set(key, pending);
+    return pending;
+  }
+
+  /**
+   * Refresh an entry in the background, keeping the stale value on failure
+   * @param {string} key - Cache key
+   * @param {Function} loader - Async function producing the value
+   */
+  refresh(key, loader) {
+    if (this.inFlight.has(key)) return;
+
+    this.stats.refreshes++;
+    this.load(key, loader).catch(error => {
+      this.stats.errors++;
+      console.warn(`⚠️  ${this.name} cache refresh failed: ${error.message}`);
+    });
+  }
+
+  /**
+   * Remove all cached entries
+   */
+  async clear() {
+    await this.store.clear();
+  }
+
+  /**
+   * Get cache counters and settings
+   * @returns {Object} Cache statistics
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.staleHits + this.stats.misses + this.stats.coalesced;
+
+    return {
+      backend: this.store.name,
+      ttlMs: this.ttlMs,
+      staleTtlMs: this.staleTtlMs,
+      ...this.stats,
+      inFlight: this.inFlight.size,
+      hitRate: lookups > 0 ? Math.round(((lookups - this.stats.misses) / lookups) * 100) / 100 : 0
+    };
+  }
+}
@@ -1,8 +1,9 @@
 import config from '../config/config.js';
+import { translate, translatePhrase } from './i18nUtils.js';
 
 /**
  * Get crop information by crop type
- * @param {string} cropType - The type of crop (maize, beans, potatoes, bananas)
+ * @param {string} cropType - The type of crop (any crop in the catalog)
  * @returns {Object} Crop information
  */
 export const getCropInfo = (cropType) => {
@@ -57,38 +58,50 @@ export const getCropGrowthStates = (cropType) => {
  * @param {string} season - The current season
  * @returns {boolean} True if crop is suitable for the season
  */
-export const isCropSuitableForSeason = (cropType, season) => {
+export const isCropSuitableForSeason = (cropType, season) => getSeasonSuitability(cropType, season) === 'preferred';
+
+/**
+ * Grade how well a season suits a crop
+ * The crop's own season is preferred, another rainy season is possible, and dry seasons
+ * are unsuitable for annual crops grown without irrigation.
+ * @param {string} cropType - The type of crop
+ * @param {string} season - Season key
+ * @returns {string} preferred, possible or unsuitable
+ */
+export const getSeasonSuitability = (cropType, season) => {
   const crop = getCropInfo(cropType);
-  
-  if (crop.season === 'all') return true;
-  return crop.season === season;
+
+  if (crop.season === 'all' || crop.season === season) return 'preferred';
+  return config.seasons[season]?.rainy ? 'possible' : 'unsuitable';
 };
 
 /**
  * Check if soil pH is suitable for a crop
  * @param {string} cropType - The type of crop
  * @param {number} soilPh - The soil pH value
+ * @param {string} language - Language of the messages (defaults to DEFAULT_LANGUAGE)
  * @returns {Object} Suitability information
  */
-export const isSoilPhSuitableForCrop = (cropType, soilPh) => {
+export const isSoilPhSuitableForCrop = (cropType, soilPh, language = config.defaultLanguage) => {
   if (soilPh === undefined || soilPh === null) {
-    return { suitable: true, message: 'Soil pH not specified', recommendation: null };
+    return { suitable: true, message: translate(language, 'soilPh.notSpecified'), recommendation: null };
   }
   
   const cropPh = getCropSoilPh(cropType);
   const isSuitable = soilPh >= cropPh.min && soilPh <= cropPh.max;
+  const crop = translatePhrase(language, cropType);
   
   let message = '';
   let recommendation = null;
   
   if (isSuitable) {
-    message = `Soil pH ${soilPh} is suitable for ${cropType}`;
+    message = translate(language, 'soilPh.suitable', { ph: soilPh, crop });
   } else if (soilPh < cropPh.min) {
-    message = `Soil pH ${soilPh} is too acidic for ${cropType}. Minimum required: ${cropPh.min}`;
-    recommendation = 'Consider adding lime to raise soil pH';
+    message = translate(language, 'soilPh.tooAcidic', { ph: soilPh, crop, min: cropPh.min });
+    recommendation = translate(language, 'soilPh.addLime');
   } else {
-    message = `Soil pH ${soilPh} is too alkaline for ${cropType}. Maximum allowed: ${cropPh.max}`;
-    recommendation = 'Consider adding sulfur or organic matter to lower soil pH';
+    message = translate(language, 'soilPh.tooAlkaline', { ph: soilPh, crop, max: cropPh.max });
+    recommendation = translate(language, 'soilPh.addSulfur');
   }
   
   return {
@@ -102,20 +115,34 @@ export const isSoilPhSuitableForCrop = (cropType, soilPh) => {
 
 /**
  * Get growth state information
+ * Generic stages are described by config.growthStates; stages a crop defines itself
+ * are described by name with their length from the crop's stageDays.
  * @param {string} growthState - The growth state
+ * @param {string} cropType - The type of crop (optional; needed for crop-specific stages)
  * @returns {Object} Growth state information
  */
-export const getGrowthStateInfo = (growthState) => {
+export const getGrowthStateInfo = (growthState, cropType) => {
   if (!growthState) return null;
   
   const stateInfo = config.growthStates[growthState];
-  if (!stateInfo) {
+  if (stateInfo) {
+    return {
+      state: growthState,
+      ...stateInfo
+    };
+  }
+  
+  const cropStage = cropType && getStageModel(cropType).stages.find(({ stage }) => stage === growthState);
+  if (!cropStage) {
     throw new Error(`Invalid growth state: ${growthState}`);
   }
   
   return {
     state: growthState,
-    ...stateInfo
+    description: growthState,
+    days: cropStage.days,
+    minDays: cropStage.days,
+    maxDays: cropStage.days
   };
 };
 
@@ -138,19 +165,163 @@ export const getSoilPhCategory = (soilPh) => {
 };
 
 /**
- * Generate basic seasonal advice for a crop (fallback when Gemini API fails)
+ * Message keys of the actions for each growth stage
+ */
+const STAGE_ACTIONS = {
+  germination: ['stageActions.germination.moisture', 'stageActions.germination.protect'],
+  vegetative: ['stageActions.vegetative.nitrogen', 'stageActions.vegetative.weeds'],
+  flowering: ['stageActions.flowering.water', 'stageActions.flowering.pollinators'],
+  fruiting: ['stageActions.fruiting.nutrition', 'stageActions.fruiting.support']
+};
+
+/**
+ * Rule-based adjustments when forecast rainfall disagrees with the calendar season
+ * Values are message keys (see src/data/locales).
+ */
+const SEASON_ONSET_ADJUSTMENTS = {
+  onset_confirmed: {
+    actions: ['onset.onsetConfirmed.plantNow']
+  },
+  false_start: {
+    warning: 'onset.falseStart.warning',
+    actions: ['onset.falseStart.holdBack', 'onset.falseStart.stagger']
+  },
+  delayed_onset: {
+    warning: 'onset.delayedOnset.warning',
+    actions: ['onset.delayedOnset.delayPlanting', 'onset.delayedOnset.prepare', 'onset.delayedOnset.earlyVarieties']
+  },
+  early_cessation: {
+    warning: 'onset.earlyCessation.warning',
+    actions: ['onset.earlyCessation.mulch', 'onset.earlyCessation.avoidLatePlanting']
+  },
+  dry_spell: {
+    warning: 'onset.drySpell.warning',
+    actions: ['onset.drySpell.mulch']
+  },
+  early_onset: {
+    actions: ['onset.earlyOnset.getReady']
+  },
+  unseasonal_rain: {
+    warning: 'onset.unseasonalRain.warning',
+    actions: ['onset.unseasonalRain.protectProduce']
+  }
+};
+
+/**
+ * Actions and resources for each season
+ * Actions are message keys; resources are ids of the `resources.<id>.*` messages.
+ */
+const SEASON_ADVICE = {
+  shortDry: {
+    actions: ['seasonActions.shortDry.irrigation', 'seasonActions.shortDry.mulch', 'seasonActions.shortDry.droughtVarieties'],
+    resources: ['irrigationEquipment', 'organicMulch']
+  },
+  longRains: {
+    actions: ['seasonActions.longRains.drainage', 'seasonActions.longRains.wetCrops', 'seasonActions.longRains.fungalDiseases'],
+    resources: ['drainageMaterials', 'fungicides']
+  },
+  longDry: {
+    actions: ['seasonActions.longDry.waterConservation', 'seasonActions.longDry.shadeNets', 'seasonActions.longDry.droughtCrops'],
+    resources: ['shadeNets', 'waterStorage']
+  },
+  shortRains: {
+    actions: ['seasonActions.shortRains.plant', 'seasonActions.shortRains.prepareDrySeason', 'seasonActions.shortRains.harvest'],
+    resources: ['plantingTools', 'harvestingEquipment']
+  }
+};
+
+/**
+ * Build a rule-based resource entry from the `resources.<id>.*` messages
+ * @param {string} language - Language code
+ * @param {string} id - Resource id
+ * @returns {Object} Resource entry for `resources_needed`
+ */
+const buildResource = (language, id) => ({
+  resource: translate(language, `resources.${id}.resource`),
+  purpose: translate(language, `resources.${id}.purpose`),
+  quantity: translate(language, `resources.${id}.quantity`),
+  cost_estimate: translate(language, `resources.${id}.costEstimate`),
+  where_to_get: translate(language, `resources.${id}.whereToGet`)
+});
+
+/**
+ * Convert a crop catalog resource into the advice response format
+ * @param {Object} resource - Resource definition from the crop catalog
+ * @param {string} language - Language code (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Resource entry for `resources_needed`
+ */
+export const formatResource = (resource, language = config.defaultLanguage) => ({
+  resource: translatePhrase(language, resource.resource),
+  purpose: translatePhrase(language, resource.purpose),
+  quantity: translatePhrase(language, resource.quantity),
+  cost_estimate: translatePhrase(language, resource.costEstimate),
+  where_to_get: translatePhrase(language, resource.whereToGet)
+});
+
+/**
+ * Convert a crop catalog disease into the advice response format
+ * @param {Object} disease - Disease definition from the crop catalog
+ * @param {string} season - The current season
+ * @param {string} language - Language code (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Disease entry for `possible_diseases`
+ */
+export const formatDisease = (disease, season, language = config.defaultLanguage) => {
+  const seasonalRisk = disease.seasonalRisk || {};
+  
+  return {
+    disease_name: translatePhrase(language, disease.name),
+    symptoms: translatePhrase(language, disease.symptoms),
+    risk_factors: translatePhrase(language, disease.riskFactors),
+    prevention: translatePhrase(language, disease.prevention),
+    treatment: translatePhrase(language, disease.treatment),
+    seasonal_risk: seasonalRisk[season] || seasonalRisk.default || 'Low'
+  };
+};
+
+/**
+ * Convert a crop catalog pest into the advice response format
+ * @param {Object} pest - Pest definition from the crop catalog
+ * @param {string} season - The current season
+ * @param {string} language - Language code (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Pest entry for `possible_pests`
+ */
+export const formatPest = (pest, season, language = config.defaultLanguage) => {
+  const seasonalRisk = pest.seasonalRisk || {};
+  
+  return {
+    pest_name: translatePhrase(language, pest.name),
+    signs: translatePhrase(language, pest.signs),
+    risk_factors: translatePhrase(language, pest.riskFactors),
+    scouting: translatePhrase(language, pest.scouting),
+    control_steps: (pest.controlSteps || []).map(step => translatePhrase(language, step)),
+    outbreak_risk: seasonalRisk[season] || seasonalRisk.default || 'Low'
+  };
+};
+
+/**
+ * Generate basic seasonal advice for a crop (fallback when AI advice fails)
+ * Text is written in `additionalData.language` (defaults to DEFAULT_LANGUAGE).
  * @param {string} cropType - The type of crop
  * @param {string} season - The current season
  * @param {Object} forecastSummary - Weather forecast summary
- * @param {Object} additionalData - Additional data (soil pH, growth state, variety)
+ * @param {Object} additionalData - Additional data (soil pH, growth state, variety, language)
+ * @param {Object} seasonInfo - Season details from detectCurrentSeason (optional)
  * @returns {Object} Basic farming advice
  */
-export const generateBasicSeasonalAdvice = (cropType, season, forecastSummary, additionalData = {}) => {
+export const generateBasicSeasonalAdvice = (cropType, season, forecastSummary, additionalData = {}, seasonInfo = null) => {
   const crop = getCropInfo(cropType);
-  const { soilPh, growthState, variety } = additionalData;
+  const { soilPh, growthState, variety, growthEstimate, language = config.defaultLanguage } = additionalData;
+  const t = (key, params) => translate(language, key, params);
+  const phrase = (text) => translatePhrase(language, text);
   
   const advice = {
-    forecast_summary: `Weather forecast for next 48 hours: ${forecastSummary.totalRainfall}mm rainfall, ${forecastSummary.minTemperature}°C to ${forecastSummary.maxTemperature}°C, wind up to ${forecastSummary.maxWindSpeed} km/h`,
+    forecast_summary: t('forecast.summary', {
+      period: t(`horizons.${forecastSummary.forecastHorizon || '48h'}`),
+      rainfall: forecastSummary.totalRainfall,
+      minTemperature: forecastSummary.minTemperature,
+      maxTemperature: forecastSummary.maxTemperature,
+      windSpeed: forecastSummary.maxWindSpeed
+    }),
     season: season,
     crop: cropType,
     soil_ph_analysis: "",
@@ -159,13 +330,14 @@ export const generateBasicSeasonalAdvice = (cropType, season, forecastSummary, a
     actions: [],
     resources_needed: [],
     possible_diseases: [],
+    possible_pests: [],
     warnings: [],
     productivity_tips: []
   };
   
   // Add soil pH specific advice
   if (soilPh !== undefined && soilPh !== null) {
-    const soilSuitability = isSoilPhSuitableForCrop(cropType, soilPh);
+    const soilSuitability = isSoilPhSuitableForCrop(cropType, soilPh, language);
     const phCategory = getSoilPhCategory(soilPh);
     
     if (!soilSuitability.suitable) {
@@ -174,41 +346,51 @@ export const generateBasicSeasonalAdvice = (cropType, season, forecastSummary, a
         advice.actions.push(soilSuitability.recommendation);
       }
     } else {
-      advice.productivity_tips.push(`Soil pH ${soilPh} is optimal for ${cropType} growth`);
+      advice.productivity_tips.push(t('soilPh.optimal', { ph: soilPh, crop: phrase(cropType) }));
     }
     
     if (phCategory) {
-      advice.productivity_tips.push(`Soil category: ${phCategory.description}`);
+      advice.productivity_tips.push(t('soilPh.category', { description: phrase(phCategory.description) }));
     }
     
-    advice.soil_ph_analysis = `Soil pH ${soilPh} analysis: ${soilSuitability.message}`;
+    advice.soil_ph_analysis = t('soilPh.analysis', { ph: soilPh, message: soilSuitability.message });
   }
   
   // Add growth state specific advice
   if (growthState) {
-    const growthInfo = getGrowthStateInfo(growthState);
+    const growthInfo = getGrowthStateInfo(growthState, cropType);
     if (growthInfo) {
-      advice.productivity_tips.push(`Current growth stage: ${growthInfo.description} (${growthInfo.duration})`);
-      advice.growth_stage_advice = `Growth stage ${growthState}: ${growthInfo.description}`;
+      const duration = growthInfo.duration ? phrase(growthInfo.duration) : t('growth.stageDuration', { days: growthInfo.days });
+      advice.productivity_tips.push(t('growth.currentStage', { description: phrase(growthInfo.description), duration }));
+      advice.growth_stage_advice = t('growth.stageAdvice', { stage: phrase(growthState), description: phrase(growthInfo.description) });
       
       // Growth state specific actions
-      switch (growthState) {
-        case 'germination':
-          advice.actions.push('Ensure consistent soil moisture for seed germination');
-          advice.actions.push('Protect seedlings from extreme weather conditions');
-          break;
-        case 'vegetative':
-          advice.actions.push('Provide adequate nitrogen for leaf and stem development');
-          advice.actions.push('Control weeds to reduce competition for nutrients');
-          break;
-        case 'flowering':
-          advice.actions.push('Ensure adequate water during flowering to prevent flower drop');
-          advice.actions.push('Avoid spraying pesticides during flowering to protect pollinators');
-          break;
-        case 'fruiting':
-          advice.actions.push('Provide balanced nutrition for fruit development');
-          advice.actions.push('Support heavy fruit clusters to prevent breakage');
-          break;
+      (STAGE_ACTIONS[growthState] || []).forEach(key => advice.actions.push(t(key)));
+    }
+  }
+  
+  // Add stage timing from the planting date
+  if (growthEstimate) {
+    const progress = describeGrowthEstimate(growthEstimate, language);
+    advice.growth_stage_advice = advice.growth_stage_advice
+      ? `${advice.growth_stage_advice}. ${progress}`
+      : progress;
+    
+    if (growthEstimate.status === 'mature') {
+      advice.actions.push(t('growth.harvestNow'));
+    } else {
+      const daysToNextStage = growthEstimate.status === 'not_planted'
+        ? -growthEstimate.daysSincePlanting
+        : growthEstimate.daysRemainingInStage;
+      if (growthEstimate.nextStage && daysToNextStage <= 7) {
+        advice.actions.push(t('growth.prepareNextStage', {
+          preparation: t(`stagePreparation.${growthEstimate.nextStage}`),
+          stage: phrase(growthEstimate.nextStage),
+          days: daysToNextStage
+        }));
+      }
+      if (growthEstimate.status === 'growing' && growthEstimate.daysToHarvest <= 14) {
+        advice.actions.push(t('growth.harvestSoon', { date: growthEstimate.harvestDate }));
       }
     }
   }
@@ -216,298 +398,91 @@ export const generateBasicSeasonalAdvice = (cropType, season, forecastSummary, a
   // Add variety specific advice
   if (variety && crop.varieties && crop.varieties[variety]) {
     const varietyInfo = crop.varieties[variety];
-    advice.productivity_tips.push(`Variety: ${varietyInfo.description}`);
-    advice.productivity_tips.push(`Drought resistance: ${varietyInfo.droughtResistance}`);
-    advice.variety_specific_tips = `Variety ${variety}: ${varietyInfo.description} with ${varietyInfo.droughtResistance} drought resistance`;
+    const description = phrase(varietyInfo.description);
+    const droughtResistance = phrase(varietyInfo.droughtResistance);
+    advice.productivity_tips.push(t('variety.description', { description }));
+    advice.productivity_tips.push(t('variety.droughtResistance', { level: droughtResistance }));
+    advice.variety_specific_tips = t('variety.tips', { variety, description, level: droughtResistance });
     
     if (varietyInfo.droughtResistance === 'low' && forecastSummary.totalRainfall === 0) {
-      advice.warnings.push(`Low drought resistance variety selected during dry conditions`);
-      advice.actions.push('Increase irrigation frequency for this variety');
+      advice.warnings.push(t('variety.lowDroughtResistance'));
+      advice.actions.push(t('variety.increaseIrrigation'));
     }
   }
   
   // Season-specific actions and resources
-  switch (season) {
-    case 'shortDry':
-      advice.actions.push('Prepare irrigation systems for water-dependent crops');
-      advice.actions.push('Apply mulch to retain soil moisture');
-      advice.actions.push('Consider drought-resistant crop varieties');
-      
-      advice.resources_needed.push({
-        resource: 'Irrigation equipment',
-        purpose: 'Water delivery to crops',
-        quantity: 'As needed based on field size',
-        cost_estimate: '50,000-200,000 RWF',
-        where_to_get: 'Local agricultural supply stores'
-      });
-      advice.resources_needed.push({
-        resource: 'Organic mulch',
-        purpose: 'Soil moisture retention',
-        quantity: '2-3 tons per hectare',
-        cost_estimate: '15,000-25,000 RWF per ton',
-        where_to_get: 'Local farms, agricultural cooperatives'
-      });
-      break;
-      
-    case 'longRains':
-      advice.actions.push('Ensure proper drainage systems are in place');
-      advice.actions.push('Plant crops that thrive in wet conditions');
-      advice.actions.push('Monitor for fungal diseases due to high humidity');
-      
-      advice.resources_needed.push({
-        resource: 'Drainage materials',
-        purpose: 'Prevent waterlogging',
-        quantity: 'As needed for field drainage',
-        cost_estimate: '20,000-50,000 RWF',
-        where_to_get: 'Construction supply stores'
-      });
-      advice.resources_needed.push({
-        resource: 'Fungicides',
-        purpose: 'Prevent fungal diseases',
-        quantity: '2-3 applications per season',
-        cost_estimate: '5,000-15,000 RWF per application',
-        where_to_get: 'Agricultural chemical suppliers'
-      });
-      break;
-      
-    case 'longDry':
-      advice.actions.push('Implement water conservation techniques');
-      advice.actions.push('Use shade nets for sensitive crops');
-      advice.actions.push('Focus on drought-tolerant crops');
-      
-      advice.resources_needed.push({
-        resource: 'Shade nets',
-        purpose: 'Protect crops from excessive sun',
-        quantity: 'Cover entire field area',
-        cost_estimate: '30,000-80,000 RWF per hectare',
-        where_to_get: 'Agricultural supply stores'
-      });
-      advice.resources_needed.push({
-        resource: 'Water storage containers',
-        purpose: 'Store collected rainwater',
-        quantity: '1000-5000 liters capacity',
-        cost_estimate: '25,000-100,000 RWF',
-        where_to_get: 'Hardware stores, agricultural suppliers'
-      });
-      break;
-      
-    case 'shortRains':
-      advice.actions.push('Take advantage of moisture for planting');
-      advice.actions.push('Prepare for the upcoming dry season');
-      advice.actions.push('Harvest crops before heavy rains');
-      
-      advice.resources_needed.push({
-        resource: 'Planting tools',
-        purpose: 'Efficient crop planting',
-        quantity: '1 set per farmer',
-        cost_estimate: '15,000-30,000 RWF',
-        where_to_get: 'Agricultural tool stores'
-      });
-      advice.resources_needed.push({
-        resource: 'Harvesting equipment',
-        purpose: 'Timely crop harvesting',
-        quantity: 'As needed for crop type',
-        cost_estimate: '10,000-50,000 RWF',
-        where_to_get: 'Agricultural equipment suppliers'
-      });
-      break;
+  const seasonAdvice = SEASON_ADVICE[season];
+  if (seasonAdvice) {
+    advice.actions.push(...seasonAdvice.actions.map(key => t(key)));
+    advice.resources_needed.push(...seasonAdvice.resources.map(id => buildResource(language, id)));
+  }
+  
+  // Transition period advice (e.g. onset of long rains)
+  if (seasonInfo && seasonInfo.transition) {
+    const { transition } = seasonInfo;
+    advice.actions.push(t('transition.action', {
+      name: phrase(transition.name),
+      startDate: transition.startDate,
+      endDate: transition.endDate,
+      advice: transition.advice ? phrase(transition.advice) : t('transition.defaultAdvice', { season: phrase(transition.to) })
+    }));
+  }
+  
+  // Rainfall-adjusted season advice
+  const onsetAdjustment = seasonInfo && seasonInfo.onset && SEASON_ONSET_ADJUSTMENTS[seasonInfo.onset.status];
+  if (onsetAdjustment) {
+    if (onsetAdjustment.warning) {
+      const label = t('onset.label', { season: phrase(seasonInfo.onset.calendarSeason || season), status: t(`onset.status.${seasonInfo.onset.status}`) });
+      advice.warnings.push(t('onset.warning', { label, warning: t(onsetAdjustment.warning) }));
+    }
+    advice.actions.push(...onsetAdjustment.actions.map(key => t(key)));
   }
   
   // Weather-specific actions and resources
   if (forecastSummary.totalRainfall === 0) {
-    advice.actions.push('Schedule irrigation for water-dependent crops');
-    advice.actions.push('Check soil moisture levels regularly');
-    
-    advice.resources_needed.push({
-      resource: 'Soil moisture meter',
-      purpose: 'Monitor soil water content',
-      quantity: '1 per field',
-      cost_estimate: '8,000-15,000 RWF',
-      where_to_get: 'Agricultural supply stores'
-    });
+    advice.actions.push(t('weatherActions.scheduleIrrigation'));
+    advice.actions.push(t('weatherActions.checkSoilMoisture'));
+    advice.resources_needed.push(buildResource(language, 'soilMoistureMeter'));
   }
   
   if (forecastSummary.heavyRainHours > 0) {
-    advice.actions.push('Secure any loose structures or equipment');
-    advice.actions.push('Ensure drainage channels are clear');
-    
-    advice.resources_needed.push({
-      resource: 'Drainage tools',
-      purpose: 'Clear drainage channels',
-      quantity: '1 set per field',
-      cost_estimate: '5,000-12,000 RWF',
-      where_to_get: 'Hardware stores'
-    });
+    advice.actions.push(t('weatherActions.secureStructures'));
+    advice.actions.push(t('weatherActions.clearDrainage'));
+    advice.resources_needed.push(buildResource(language, 'drainageTools'));
   }
   
   if (forecastSummary.maxWindSpeed >= config.weatherThresholds.windSpeed.warning) {
-    advice.actions.push('Provide wind protection for tall crops');
-    advice.actions.push('Secure trellises and support structures');
-    
-    advice.resources_needed.push({
-      resource: 'Wind barriers',
-      purpose: 'Protect crops from wind damage',
-      quantity: 'Perimeter of field',
-      cost_estimate: '20,000-60,000 RWF per hectare',
-      where_to_get: 'Agricultural supply stores'
-    });
+    advice.actions.push(t('weatherActions.windProtection'));
+    advice.actions.push(t('weatherActions.secureTrellises'));
+    advice.resources_needed.push(buildResource(language, 'windBarriers'));
   }
   
-  // Crop-specific resources and diseases
-  switch (cropType.toLowerCase()) {
-    case 'maize':
-      advice.productivity_tips.push('Plant in rows with proper spacing (75cm between rows)');
-      advice.productivity_tips.push('Apply nitrogen fertilizer in split applications');
-      advice.productivity_tips.push('Control weeds early in the growing season');
-      
-      advice.resources_needed.push({
-        resource: 'Nitrogen fertilizer (NPK)',
-        purpose: 'Provide essential nutrients for growth',
-        quantity: '200-300 kg per hectare',
-        cost_estimate: '80,000-120,000 RWF per hectare',
-        where_to_get: 'Agricultural cooperatives, fertilizer suppliers'
-      });
-      advice.resources_needed.push({
-        resource: 'Weed control herbicides',
-        purpose: 'Control competing weeds',
-        quantity: '2-3 applications per season',
-        cost_estimate: '15,000-25,000 RWF per application',
-        where_to_get: 'Agricultural chemical suppliers'
-      });
-      
-      advice.possible_diseases.push({
-        disease_name: 'Maize Lethal Necrosis',
-        symptoms: 'Yellowing leaves, stunted growth, poor grain development',
-        risk_factors: 'High humidity, poor drainage, infected seeds',
-        prevention: 'Use certified seeds, maintain field hygiene, proper spacing',
-        treatment: 'Remove infected plants, apply fungicides if early detected',
-        seasonal_risk: season === 'longRains' ? 'High' : 'Medium'
-      });
-      advice.possible_diseases.push({
-        disease_name: 'Common Rust',
-        symptoms: 'Reddish-brown pustules on leaves, reduced photosynthesis',
-        risk_factors: 'High humidity, dense planting, poor air circulation',
-        prevention: 'Plant resistant varieties, maintain proper spacing',
-        treatment: 'Apply fungicides, remove infected plant debris',
-        seasonal_risk: season === 'longRains' ? 'High' : 'Low'
-      });
-      break;
-      
-    case 'beans':
-      advice.productivity_tips.push('Use trellises for climbing varieties');
-      advice.productivity_tips.push('Plant in well-drained soil with good organic matter');
-      advice.productivity_tips.push('Harvest pods when they are young and tender');
-      
-      advice.resources_needed.push({
-        resource: 'Trellis materials',
-        purpose: 'Support climbing bean varieties',
-        quantity: 'Poles and strings for entire field',
-        cost_estimate: '25,000-50,000 RWF per hectare',
-        where_to_get: 'Local hardware stores, agricultural suppliers'
-      });
-      advice.resources_needed.push({
-        resource: 'Organic compost',
-        purpose: 'Improve soil fertility and structure',
-        quantity: '5-10 tons per hectare',
-        cost_estimate: '20,000-40,000 RWF per ton',
-        where_to_get: 'Local farms, agricultural cooperatives'
-      });
-      
-      advice.possible_diseases.push({
-        disease_name: 'Bean Anthracnose',
-        symptoms: 'Dark, sunken lesions on pods and stems',
-        risk_factors: 'Wet weather, poor air circulation, infected seeds',
-        prevention: 'Use disease-free seeds, crop rotation, proper spacing',
-        treatment: 'Remove infected plants, apply copper-based fungicides',
-        seasonal_risk: season === 'longRains' ? 'High' : 'Medium'
-      });
-      advice.possible_diseases.push({
-        disease_name: 'Bean Rust',
-        symptoms: 'Orange-brown pustules on leaves, defoliation',
-        risk_factors: 'High humidity, dense planting, poor drainage',
-        prevention: 'Plant resistant varieties, maintain field hygiene',
-        treatment: 'Apply fungicides, remove infected debris',
-        seasonal_risk: season === 'longRains' ? 'High' : 'Low'
-      });
-      break;
-      
-    case 'potatoes':
-      advice.productivity_tips.push('Plant in loose, well-drained soil');
-      advice.productivity_tips.push('Hill soil around plants as they grow');
-      advice.productivity_tips.push('Control potato beetles and other pests');
-      
-      advice.resources_needed.push({
-        resource: 'Potato hilling tools',
-        purpose: 'Build soil mounds around potato plants',
-        quantity: '1 set per farmer',
-        cost_estimate: '8,000-15,000 RWF',
-        where_to_get: 'Agricultural tool stores'
-      });
-      advice.resources_needed.push({
-        resource: 'Insecticides',
-        purpose: 'Control potato beetles and other pests',
-        quantity: '2-3 applications per season',
-        cost_estimate: '12,000-20,000 RWF per application',
-        where_to_get: 'Agricultural chemical suppliers'
-      });
-      
-      advice.possible_diseases.push({
-        disease_name: 'Late Blight',
-        symptoms: 'Dark lesions on leaves and stems, rapid plant death',
-        risk_factors: 'Cool, wet weather, poor air circulation',
-        prevention: 'Plant resistant varieties, proper spacing, avoid overhead irrigation',
-        treatment: 'Apply copper-based fungicides, remove infected plants',
-        seasonal_risk: season === 'longRains' ? 'High' : 'Low'
-      });
-      advice.possible_diseases.push({
-        disease_name: 'Early Blight',
-        symptoms: 'Brown spots with concentric rings on leaves',
-        risk_factors: 'Warm, humid weather, poor nutrition',
-        prevention: 'Maintain plant health, proper fertilization, crop rotation',
-        treatment: 'Apply fungicides, remove infected leaves',
-        seasonal_risk: season === 'longRains' ? 'Medium' : 'Low'
-      });
-      break;
-      
-    case 'bananas':
-      advice.productivity_tips.push('Provide regular watering and fertilization');
-      advice.productivity_tips.push('Remove suckers to maintain single stem');
-      advice.productivity_tips.push('Support heavy bunches with props');
-      
-      advice.resources_needed.push({
-        resource: 'Banana props',
-        purpose: 'Support heavy fruit bunches',
-        quantity: '1 prop per bearing plant',
-        cost_estimate: '2,000-5,000 RWF each',
-        where_to_get: 'Local craftsmen, agricultural suppliers'
-      });
-      advice.resources_needed.push({
-        resource: 'Potassium fertilizer',
-        purpose: 'Essential for banana fruit development',
-        quantity: '300-500 kg per hectare',
-        cost_estimate: '90,000-150,000 RWF per hectare',
-        where_to_get: 'Agricultural cooperatives, fertilizer suppliers'
-      });
-      
-      advice.possible_diseases.push({
-        disease_name: 'Panama Disease (Fusarium Wilt)',
-        symptoms: 'Yellowing leaves, wilting, plant death',
-        risk_factors: 'Infected soil, poor drainage, monoculture',
-        prevention: 'Use disease-free planting material, crop rotation, good drainage',
-        treatment: 'Remove infected plants, soil fumigation if severe',
-        seasonal_risk: season === 'longRains' ? 'High' : 'Medium'
-      });
-      advice.possible_diseases.push({
-        disease_name: 'Black Sigatoka',
-        symptoms: 'Dark streaks on leaves, reduced fruit quality',
-        risk_factors: 'High humidity, poor air circulation, dense planting',
-        prevention: 'Maintain proper spacing, remove infected leaves, fungicide application',
-        treatment: 'Apply systemic fungicides, remove infected leaves',
-        seasonal_risk: season === 'longRains' ? 'High' : 'Medium'
-      });
-      break;
+  // Plan field work across a multi-day forecast window
+  const dailySummaries = forecastSummary.dailySummaries || [];
+  if (dailySummaries.length > 1) {
+    const { rainfall, windSpeed } = config.weatherThresholds;
+    const workDays = dailySummaries
+      .filter(day => day.totalRainfall < rainfall.light && day.maxWindSpeed < windSpeed.warning)
+      .map(day => day.date);
+    const wetDays = dailySummaries
+      .filter(day => day.totalRainfall >= rainfall.moderate)
+      .map(day => day.date);
+    
+    if (workDays.length > 0) {
+      advice.actions.push(t('forecast.workDays', { dates: workDays.join(', ') }));
+    }
+    
+    if (wetDays.length > 0) {
+      advice.actions.push(t('forecast.wetDays', { dates: wetDays.join(', ') }));
+    }
   }
   
+  // Crop-specific tips, resources, diseases and pests from the crop catalog
+  advice.productivity_tips.push(...crop.productivityTips.map(phrase));
+  advice.resources_needed.push(...crop.resources.map(resource => formatResource(resource, language)));
+  advice.possible_diseases.push(...crop.diseases.map(disease => formatDisease(disease, season, language)));
+  advice.possible_pests.push(...crop.pests.map(pest => formatPest(pest, season, language)));
+  
   // Add weather warnings
   if (forecastSummary.warnings) {
     advice.warnings.push(...forecastSummary.warnings);
@@ -544,3 +519,100 @@ export const getCropGrowthPeriod = (cropType) => {
   const crop = getCropInfo(cropType);
   return crop.growthPeriod;
 };
+
+/**
+ * Parse a growth period string such as '90-120 days' or '9-12 months' into days
+ * @param {string} growthPeriod - Growth period description
+ * @returns {Object} Minimum, maximum and average days to maturity
+ */
+export const parseGrowthPeriod = (growthPeriod) => {
+  const match = /^\s*(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?))?\s*(days?|weeks?|months?)\s*$/i.exec(growthPeriod || '');
+  if (!match) {
+    throw new Error(`Invalid growth period: ${growthPeriod}`);
+  }
+  
+  const unitDays = /^month/i.test(match[3]) ? 30.4 : /^week/i.test(match[3]) ? 7 : 1;
+  const minDays = Math.round(parseFloat(match[1]) * unitDays);
+  const maxDays = Math.round(parseFloat(match[2] || match[1]) * unitDays);
+  
+  return { minDays, maxDays, averageDays: Math.round((minDays + maxDays) / 2) };
+};
+
+/**
+ * Get variety information for a crop
+ * @param {string} cropType - The type of crop
+ * @param {string} variety - Variety id
+ * @returns {Object} Variety information
+ */
+export const getVarietyInfo = (cropType, variety) => {
+  const varieties = getCropVarieties(cropType);
+  const info = varieties[variety];
+  
+  if (!info) {
+    throw new Error(`Unsupported variety: ${variety}. Supported varieties for ${cropType}: ${Object.keys(varieties).join(', ')}`);
+  }
+  
+  return info;
+};
+
+/**
+ * Get the numeric stage model for a crop and variety
+ * Stage lengths come from the variety's stageDays, then the crop's stageDays, then the
+ * midpoint of the generic stage durations in config.growthStates. Stages with none of
+ * these are left out (the crop catalog requires stageDays for crop-specific stages).
+ * @param {string} cropType - The type of crop
+ * @param {string} variety - Variety id (optional; unknown varieties use the crop model)
+ * @returns {Object} Ordered stages with their length in days, and days to maturity
+ */
+export const getStageModel = (cropType, variety) => {
+  const crop = getCropInfo(cropType);
+  const varietyDays = (variety && crop.varieties?.[variety]?.stageDays) || {};
+  const cropDays = crop.stageDays || {};
+  
+  const stages = getCropGrowthStates(cropType)
+    .map(stage => {
+      const generic = config.growthStates[stage];
+      return {
+        stage,
+        days: varietyDays[stage] ?? cropDays[stage] ?? (generic && Math.round((generic.minDays + generic.maxDays) / 2))
+      };
+    })
+    .filter(({ days }) => days);
+  
+  return {
+    crop: cropType,
+    variety: variety && crop.varieties?.[variety] ? variety : null,
+    stages,
+    totalDays: stages.reduce((sum, { days }) => sum + days, 0)
+  };
+};
+
+/**
+ * Describe a growth estimate in one sentence
+ * @param {Object} growthEstimate - Result of estimateGrowthStage
+ * @param {string} language - Language code (defaults to DEFAULT_LANGUAGE)
+ * @returns {string} Progress description
+ */
+export const describeGrowthEstimate = (growthEstimate, language = config.defaultLanguage) => {
+  const { status, stage, daysIntoStage, stageDays, nextStage, daysRemainingInStage, daysToHarvest, harvestDate, plantingDate, daysSincePlanting, maturityDays } = growthEstimate;
+  
+  if (status === 'not_planted') {
+    return translate(language, 'growthEstimate.notPlanted', { plantingDate, days: -daysSincePlanting, harvestDate });
+  }
+  
+  if (status === 'mature') {
+    return translate(language, 'growthEstimate.mature', { days: daysSincePlanting - maturityDays, harvestDate });
+  }
+  
+  const next = nextStage
+    ? translate(language, 'growthEstimate.nextStage', { stage: translatePhrase(language, nextStage), days: daysRemainingInStage })
+    : '';
+  return translate(language, 'growthEstimate.progress', {
+    day: daysIntoStage + 1,
+    stageDays,
+    stage: translatePhrase(language, stage),
+    next,
+    daysToHarvest,
+    harvestDate
+  });
+};
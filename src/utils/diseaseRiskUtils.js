@@ -0,0 +1,200 @@
+import config from '../config/config.js';
+import { getCropInfo } from './cropUtils.js';
+import { findSourcePhrase, translate, translatePhrase } from './i18nUtils.js';
+
+// Each OpenWeather forecast entry covers three hours
+const PERIOD_HOURS = 3;
+
+/**
+ * Convert a 0-100 score into a risk level
+ * @param {number} score - Risk score
+ * @returns {string} High, Medium or Low
+ */
+const scoreToLevel = (score) => {
+  const { medium, high } = config.diseaseRisk.levels;
+  if (score >= high) return 'High';
+  if (score >= medium) return 'Medium';
+  return 'Low';
+};
+
+/**
+ * Late blight risk from Hutton criteria (a relaxed Smith period)
+ * A day qualifies when its minimum temperature reaches minTemperature and relative humidity is at
+ * or above humidityThreshold for minHumidHours; two consecutive qualifying days give the full score.
+ * @param {Array} periods - Forecast periods (time, date, temperature, humidity, rainfall)
+ * @param {Object} model - Model parameters from the crop catalog
+ * @param {string} language - Language of the conditions
+ * @returns {Object} Score and the qualifying days
+ */
+const evaluateHutton = (periods, model, language) => {
+  const days = new Map();
+  periods.forEach(period => {
+    const day = days.get(period.date) || { date: period.date, minTemperature: Infinity, humidHours: 0 };
+    day.minTemperature = Math.min(day.minTemperature, period.temperature);
+    if (period.humidity >= model.humidityThreshold) day.humidHours += PERIOD_HOURS;
+    days.set(period.date, day);
+  });
+
+  const dayList = Array.from(days.values());
+  const fraction = (day) => (day && day.minTemperature >= model.minTemperature
+    ? Math.min(day.humidHours / model.minHumidHours, 1)
+    : 0);
+
+  // Average over each pair of consecutive days; a single-day forecast can reach half the score
+  const score = dayList.reduce((best, day, index) =>
+    Math.max(best, (fraction(day) + fraction(dayList[index + 1])) / 2), 0);
+
+  const triggeringPeriods = dayList
+    .filter(day => fraction(day) === 1)
+    .map(day => ({
+      start: day.date,
+      end: day.date,
+      hours: day.humidHours,
+      minTemperature: Math.round(day.minTemperature * 10) / 10,
+      condition: translate(language, 'disease.condition.hutton', {
+        hours: day.humidHours,
+        humidity: model.humidityThreshold,
+        temperature: Math.round(day.minTemperature)
+      })
+    }));
+
+  return { score: Math.round(score * 100), triggeringPeriods };
+};
+
+/**
+ * Leaf-wetness risk for rusts, leaf spots and anthracnose
+ * Leaves are treated as wet in periods with rain or humidity at or above humidityThreshold; the
+ * longest unbroken wet spell inside the temperature window is compared with requiredHours.
+ * @param {Array} periods - Forecast periods (time, date, temperature, humidity, rainfall)
+ * @param {Object} model - Model parameters from the crop catalog
+ * @param {string} language - Language of the conditions
+ * @returns {Object} Score and the wet spells that drive it
+ */
+const evaluateWetPeriod = (periods, model, language) => {
+  const spells = [];
+  let current = null;
+
+  periods.forEach(period => {
+    const wet = period.rainfall > 0 || period.humidity >= model.humidityThreshold;
+    const favourable = period.temperature >= model.minTemperature && period.temperature <= model.maxTemperature;
+
+    if (wet && favourable) {
+      current = current || { start: period.time, hours: 0, temperatures: [] };
+      current.end = new Date(Date.parse(period.time) + PERIOD_HOURS * 3600 * 1000).toISOString();
+      current.hours += PERIOD_HOURS;
+      current.temperatures.push(period.temperature);
+    } else if (current) {
+      spells.push(current);
+      current = null;
+    }
+  });
+  if (current) spells.push(current);
+
+  const longest = spells.reduce((max, spell) => Math.max(max, spell.hours), 0);
+  const triggeringPeriods = spells
+    .filter(spell => spell.hours * 2 >= model.requiredHours)
+    .map(({ start, end, hours, temperatures }) => {
+      const meanTemperature = Math.round(temperatures.reduce((sum, value) => sum + value, 0) / temperatures.length);
+      return {
+        start,
+        end,
+        hours,
+        condition: translate(language, 'disease.condition.wetPeriod', { hours, temperature: meanTemperature })
+      };
+    });
+
+  return {
+    score: Math.round(Math.min(longest / model.requiredHours, 1) * 100),
+    triggeringPeriods
+  };
+};
+
+const RISK_MODELS = {
+  hutton: evaluateHutton,
+  wet_period: evaluateWetPeriod
+};
+
+/**
+ * Score each of a crop's diseases against the 3-hourly forecast
+ * Diseases without a risk model, or forecasts without period data, keep their seasonal risk.
+ * @param {string} cropType - The type of crop
+ * @param {Object} forecastSummary - Forecast summary with periods
+ * @param {string} season - The current season
+ * @param {string} language - Language of the triggering conditions (defaults to DEFAULT_LANGUAGE)
+ * @returns {Array} Assessments with disease name, score, level, method and triggering periods
+ */
+export const assessDiseaseRisks = (cropType, forecastSummary, season, language = config.defaultLanguage) => {
+  const crop = getCropInfo(cropType);
+  const periods = (forecastSummary?.periods || []).filter(period =>
+    typeof period.temperature === 'number' && typeof period.humidity === 'number');
+
+  return (crop.diseases || []).map(disease => {
+    const seasonalRisk = disease.seasonalRisk || {};
+    const seasonalLevel = seasonalRisk[season] || seasonalRisk.default || 'Low';
+    const evaluate = disease.riskModel && RISK_MODELS[disease.riskModel.type];
+
+    if (!evaluate || periods.length === 0) {
+      return {
+        disease: disease.name,
+        score: null,
+        level: seasonalLevel,
+        method: 'seasonal',
+        triggeringPeriods: []
+      };
+    }
+
+    const { score, triggeringPeriods } = evaluate(periods, disease.riskModel, language);
+    return {
+      disease: disease.name,
+      score,
+      level: scoreToLevel(score),
+      method: disease.riskModel.type,
+      triggeringPeriods
+    };
+  });
+};
+
+/**
+ * Attach weather-based risk to `possible_diseases` entries
+ * Entries are matched to assessments by disease name (AI entries may add detail to the name);
+ * translated catalog names are matched through their English text.
+ * @param {Array} possibleDiseases - Advice `possible_diseases` entries
+ * @param {Array} assessments - Result of assessDiseaseRisks
+ * @param {string} language - Language of the entries (defaults to DEFAULT_LANGUAGE)
+ * @returns {Array} Entries with risk_score, risk_level, risk_method and triggering_periods
+ */
+export const attachDiseaseRisks = (possibleDiseases = [], assessments, language = config.defaultLanguage) => possibleDiseases.map(entry => {
+  const name = findSourcePhrase(language, entry.disease_name || '').toLowerCase();
+  const assessment = assessments.find(item => name.includes(item.disease.toLowerCase()));
+  if (!assessment) {
+    return entry;
+  }
+
+  return {
+    ...entry,
+    risk_score: assessment.score,
+    risk_level: assessment.level,
+    risk_method: assessment.method,
+    triggering_periods: assessment.triggeringPeriods
+  };
+});
+
+/**
+ * Describe a high weather-based disease risk as a warning
+ * @param {Object} assessment - One entry of assessDiseaseRisks
+ * @param {string} language - Language of the warning (defaults to DEFAULT_LANGUAGE)
+ * @returns {string|null} Warning (null unless the forecast puts the disease at high risk)
+ */
+export const describeDiseaseRisk = (assessment, language = config.defaultLanguage) => {
+  if (assessment.method === 'seasonal' || assessment.level !== 'High') {
+    return null;
+  }
+
+  const when = assessment.triggeringPeriods.map(period => period.start.slice(0, 10));
+  const dates = [...new Set(when)].join(', ');
+  return translate(language, 'disease.highRisk', {
+    disease: translatePhrase(language, assessment.disease),
+    score: assessment.score,
+    conditions: dates ? translate(language, 'disease.favourableDates', { dates }) : ''
+  });
+};
@@ -0,0 +1,255 @@
+import config from '../config/config.js';
+import { getCropInfo } from './cropUtils.js';
+import { summarizeGrowingConditions } from './recommendationUtils.js';
+import { translate, translatePhrase } from './i18nUtils.js';
+
+// English cost estimates: "15,000-25,000 RWF per ton", "5,000 RWF each", "20,000-50,000 RWF"
+const COST_PATTERN = /^([\d,.]+)(?:\s*-\s*([\d,.]+))?\s*RWF(?:\s+(per hectare|per ton|per application|each))?$/i;
+const TONS_PATTERN = /^([\d.]+)(?:\s*-\s*([\d.]+))?\s*tons? per hectare/i;
+const APPLICATIONS_PATTERN = /^([\d.]+)(?:\s*-\s*([\d.]+))?\s*applications?/i;
+
+// Cost basis for each unit in a cost estimate
+const COST_BASES = {
+  'per hectare': 'perHectare',
+  'per ton': 'perTon',
+  'per application': 'perApplication',
+  each: 'each'
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Take the midpoint of a parsed "low-high" range
+ * @param {string} low - Lower bound (thousands separated by commas)
+ * @param {string} high - Upper bound (optional)
+ * @returns {number} Midpoint
+ */
+const midpoint = (low, high) => {
+  const values = [low, high].filter(Boolean).map(value => parseFloat(value.replace(/,/g, '')));
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+};
+
+/**
+ * Cost a `resources_needed` entry written in the source language
+ * Ranges are costed at their midpoint. Costs per hectare scale with the plot area, costs per ton
+ * and per application with the tons per hectare and applications given in the quantity; other
+ * costs are counted once per plot. Costs per item ("each") cannot be counted and are left out.
+ * @param {Object} resource - Resource entry (cost_estimate and quantity in English)
+ * @param {number} area - Plot area in hectares
+ * @returns {Object} Cost basis, unit cost, units and cost in RWF (null when it cannot be costed)
+ */
+const costResource = (resource, area) => {
+  const cost = COST_PATTERN.exec((resource.cost_estimate || '').trim());
+  if (!cost) {
+    return { basis: null, unitCostRwf: null, units: null, costRwf: null };
+  }
+
+  const basis = COST_BASES[(cost[3] || '').toLowerCase()] || 'flat';
+  const unitCostRwf = Math.round(midpoint(cost[1], cost[2]));
+  const quantity = (resource.quantity || '').trim();
+
+  let units = null;
+  if (basis === 'flat') {
+    units = 1;
+  } else if (basis === 'perHectare') {
+    units = area;
+  } else if (basis === 'perTon') {
+    const tons = TONS_PATTERN.exec(quantity);
+    units = tons ? midpoint(tons[1], tons[2]) * area : null;
+  } else if (basis === 'perApplication') {
+    const applications = APPLICATIONS_PATTERN.exec(quantity);
+    units = applications ? midpoint(applications[1], applications[2]) * area : null;
+  }
+
+  return {
+    basis,
+    unitCostRwf,
+    units: units === null ? null : round(units),
+    costRwf: units === null ? null : Math.round(unitCostRwf * units)
+  };
+};
+
+/**
+ * Total the input costs of a plot from its `resources_needed`
+ * Costs are parsed from the source-language entries; names come from the entries in the response
+ * language, which list the same resources in the same order.
+ * @param {Array} sourceResources - `resources_needed` entries in the source language
+ * @param {Array} resources - The same entries in the response language
+ * @param {number} area - Plot area in hectares
+ * @returns {Object} Costed items, the names of resources without a cost and the total in RWF
+ */
+export const estimateInputCosts = (sourceResources = [], resources = sourceResources, area = 1) => {
+  const items = sourceResources.map((source, index) => {
+    const entry = resources[index] || source;
+    return {
+      resource: entry.resource,
+      quantity: entry.quantity,
+      costEstimate: entry.cost_estimate,
+      ...costResource(source, area)
+    };
+  });
+
+  return {
+    items,
+    unpriced: items.filter(item => item.costRwf === null).map(item => item.resource),
+    totalRwf: items.reduce((sum, item) => sum + (item.costRwf ?? 0), 0)
+  };
+};
+
+/**
+ * Yield factor for soil pH: no loss inside the crop's range, economics.soilPhLossPerUnit per pH unit outside it
+ * @param {Object} crop - Crop definition
+ * @param {number} soilPh - Soil pH (optional)
+ * @param {string} language - Language of the note
+ * @returns {Object} Soil pH factor
+ */
+const soilPhFactor = (crop, soilPh, language) => {
+  const { min, max } = crop.soilPh;
+  if (soilPh === undefined || soilPh === null) {
+    return { factor: 1, soilPh: null, range: { min, max }, note: translate(language, 'economics.noSoilPh') };
+  }
+
+  const distance = soilPh < min ? min - soilPh : Math.max(soilPh - max, 0);
+  const factor = Math.max(1 - distance * config.economics.soilPhLossPerUnit, 0);
+  return {
+    factor: round(factor),
+    soilPh,
+    range: { min, max },
+    note: distance === 0
+      ? translate(language, 'economics.soilPh.inRange', { ph: soilPh, min, max })
+      : translate(language, 'economics.soilPh.outside', { ph: soilPh, min, max, loss: Math.round((1 - factor) * 100) })
+  };
+};
+
+/**
+ * Yield factor for rainfall adequacy: the forecast rainfall deficit against the crop's water
+ * needs, softened by the variety's drought resistance, costs up to economics.maxDroughtLoss
+ * @param {Object} crop - Crop definition
+ * @param {Object} varietyInfo - Variety definition (optional)
+ * @param {Object|null} conditions - Result of summarizeGrowingConditions
+ * @param {string} language - Language of the note
+ * @returns {Object} Rainfall factor (no adjustment without a forecast)
+ */
+const rainfallFactor = (crop, varietyInfo, conditions, language) => {
+  const { waterNeedsRainfall, droughtResistanceScores } = config.cropRecommendation;
+  const need = waterNeedsRainfall[crop.waterNeeds] ?? waterNeedsRainfall.moderate;
+  const droughtResistance = varietyInfo?.droughtResistance || 'moderate';
+
+  if (!conditions) {
+    return { factor: 1, rainfallPerDay: null, need, droughtResistance, note: translate(language, 'economics.noForecast') };
+  }
+
+  const { rainfallPerDay } = conditions;
+  const deficit = Math.max(1 - rainfallPerDay / need, 0);
+  const resistance = droughtResistanceScores[droughtResistance] ?? droughtResistanceScores.moderate;
+  return {
+    factor: round(1 - deficit * (1 - resistance) * config.economics.maxDroughtLoss),
+    rainfallPerDay,
+    need,
+    droughtResistance,
+    note: deficit === 0
+      ? translate(language, 'recommend.rainfall.enough', { rainfall: rainfallPerDay, need })
+      : translate(language, 'recommend.rainfall.short', { rainfall: rainfallPerDay, need, level: translatePhrase(language, droughtResistance) })
+  };
+};
+
+/**
+ * Yield factor for disease risk: the loss in economics.diseaseLoss for the riskiest disease
+ * @param {Array} diseaseRisks - Result of assessDiseaseRisks
+ * @param {string} language - Language of the note
+ * @returns {Object} Disease risk factor
+ */
+const diseaseFactor = (diseaseRisks = [], language) => {
+  const { diseaseLoss } = config.economics;
+  const riskiest = [...diseaseRisks].sort((a, b) => (diseaseLoss[b.level] ?? 0) - (diseaseLoss[a.level] ?? 0))[0];
+  const loss = riskiest ? diseaseLoss[riskiest.level] ?? 0 : 0;
+
+  return {
+    factor: round(1 - loss),
+    disease: loss > 0 ? riskiest.disease : null,
+    level: loss > 0 ? riskiest.level : null,
+    method: loss > 0 ? riskiest.method : null,
+    note: loss > 0
+      ? translate(language, 'economics.disease', { disease: translatePhrase(language, riskiest.disease), loss: Math.round(loss * 100) })
+      : translate(language, 'economics.noDisease')
+  };
+};
+
+/**
+ * Estimate the harvest of a plot
+ * The variety's yieldKgPerHa (or the crop's `yield.kgPerHa`) is multiplied by factors for soil pH,
+ * forecast rainfall adequacy and disease risk; the combined factor never drops below
+ * economics.minYieldFactor.
+ * @param {string} cropType - The type of crop
+ * @param {Object} options - Estimate options
+ * @param {string} options.variety - Crop variety (optional)
+ * @param {number} options.area - Plot area in hectares (defaults to 1)
+ * @param {number} options.soilPh - Soil pH (optional)
+ * @param {Object} options.forecastSummary - Forecast summary with periods (optional)
+ * @param {Array} options.diseaseRisks - Result of assessDiseaseRisks (optional)
+ * @param {string} options.language - Language of the notes (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Baseline, factors and expected yield per hectare and for the plot
+ */
+export const estimateYield = (cropType, options = {}) => {
+  const { variety, area = 1, soilPh, forecastSummary, diseaseRisks, language = config.defaultLanguage } = options;
+  const crop = getCropInfo(cropType);
+  const varietyInfo = variety ? crop.varieties[variety] : null;
+  const baselineKgPerHa = varietyInfo?.yieldKgPerHa ?? crop.yield?.kgPerHa;
+  if (!baselineKgPerHa) {
+    throw new Error(`Yield estimates are not available for ${cropType}. Supported crops: ${getYieldCrops().join(', ')}`);
+  }
+
+  const factors = {
+    soilPh: soilPhFactor(crop, soilPh, language),
+    rainfall: rainfallFactor(crop, varietyInfo, summarizeGrowingConditions(forecastSummary), language),
+    diseaseRisk: diseaseFactor(diseaseRisks, language)
+  };
+  const combined = Object.values(factors).reduce((product, entry) => product * entry.factor, 1);
+  const factor = round(Math.max(combined, config.economics.minYieldFactor));
+  const kgPerHa = Math.round(baselineKgPerHa * factor);
+
+  return {
+    baselineKgPerHa,
+    baselineSource: varietyInfo?.yieldKgPerHa ? 'variety' : 'crop',
+    factors,
+    factor,
+    kgPerHa,
+    kg: Math.round(kgPerHa * area)
+  };
+};
+
+/**
+ * Get the crops with a yield baseline for the estimator
+ * @returns {Array} Crop types
+ */
+export const getYieldCrops = () => Object.keys(config.crops).filter(cropType =>
+  config.crops[cropType].yield || Object.values(config.crops[cropType].varieties).some(info => info.yieldKgPerHa));
+
+/**
+ * Describe a yield and profit estimate in one line
+ * @param {Object} estimate - Estimate with crop, area, yield, price, revenueRwf, inputCosts and grossMarginRwf
+ * @param {string} language - Language of the summary (defaults to DEFAULT_LANGUAGE)
+ * @returns {string} Summary
+ */
+export const describeEconomics = (estimate, language = config.defaultLanguage) => {
+  const format = value => Math.round(value).toLocaleString('en-US');
+  const params = {
+    crop: translatePhrase(language, estimate.crop),
+    area: estimate.area,
+    yield: format(estimate.yield.kg),
+    cost: format(estimate.inputCosts.totalRwf)
+  };
+
+  const summary = estimate.price.pricePerKg === null
+    ? translate(language, 'economics.noPrice', params)
+    : translate(language, 'economics.summary', {
+      ...params,
+      price: format(estimate.price.pricePerKg),
+      revenue: format(estimate.revenueRwf),
+      margin: format(estimate.grossMarginRwf)
+    });
+
+  return estimate.inputCosts.unpriced.length > 0
+    ? `${summary}. ${translate(language, 'economics.unpriced', { resources: estimate.inputCosts.unpriced.join(', ') })}`
+    : summary;
+};
@@ -0,0 +1,231 @@
+import config from '../config/config.js';
+import { getCropInfo, getStageModel } from './cropUtils.js';
+import { toUtcDate, formatDate, addDays } from './seasonUtils.js';
+import { findSourcePhrase, translate, translatePhrase } from './i18nUtils.js';
+
+const NUTRIENTS = ['n', 'p2o5', 'k2o'];
+
+// Catalog and AI resources that the calculated plan replaces
+const FERTILIZER_RESOURCE_PATTERN = /fertili[sz]er|npk|urea|lime|potash/i;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Agricultural lime needed to raise soil pH to a target
+ * @param {number} soilPh - Current soil pH
+ * @param {number} targetPh - Target soil pH
+ * @param {string} soilTexture - Soil texture (sandy, loam, clay)
+ * @returns {number} Lime in tonnes per hectare (0 when the soil is not too acidic)
+ */
+export const calculateLimeRequirement = (soilPh, targetPh, soilTexture = config.fertilizer.defaultTexture) => {
+  const rate = config.fertilizer.limeRatePerPhUnit[soilTexture];
+  if (rate === undefined) {
+    throw new Error(`Invalid soil texture: ${soilTexture}. Supported textures: ${Object.keys(config.fertilizer.limeRatePerPhUnit).join(', ')}`);
+  }
+  return soilPh < targetPh ? round((targetPh - soilPh) * rate) : 0;
+};
+
+/**
+ * Build a fertilizer and lime plan for a plot
+ * Basal NPK is sized to the phosphorus need; potash and urea make up the potassium and nitrogen
+ * it does not cover. Urea is split over the crop's top-dressing stages.
+ * @param {string} cropType - The type of crop
+ * @param {Object} options - Plan options
+ * @param {number} options.soilPh - Soil pH (optional; no lime without it)
+ * @param {string} options.soilTexture - Soil texture: sandy, loam or clay (defaults to loam)
+ * @param {number} options.area - Plot area in hectares (optional; quantities are per hectare without it)
+ * @param {Object} options.soilTest - Available n, p2o5 and k2o from a soil test in kg per hectare (optional)
+ * @param {Date|string} options.plantingDate - Planting date used to date the applications (optional)
+ * @param {string} options.variety - Crop variety (optional)
+ * @param {string} options.language - Language of the notes (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Applications with quantities, timing and costs
+ */
+export const buildFertilizerPlan = (cropType, options = {}) => {
+  const crop = getCropInfo(cropType);
+  if (!crop.fertilizer) {
+    throw new Error(`No fertilizer recommendation defined for ${cropType}`);
+  }
+
+  const { products, maxLimePerSeason, limeLeadDays, bagSizeKg } = config.fertilizer;
+  const soilTexture = options.soilTexture || config.fertilizer.defaultTexture;
+  const area = options.area || null;
+  const soilPh = options.soilPh ?? null;
+  const targetPh = crop.soilPh.optimal;
+  const soilTest = options.soilTest || {};
+  const planted = options.plantingDate ? toUtcDate(options.plantingDate) : null;
+  const { requirement, topDressing = [] } = crop.fertilizer;
+  const language = options.language || config.defaultLanguage;
+  const notes = [];
+
+  const netRequirement = Object.fromEntries(
+    NUTRIENTS.map(nutrient => [nutrient, Math.max(requirement[nutrient] - (soilTest[nutrient] || 0), 0)])
+  );
+
+  const applications = [];
+  const addApplication = (product, kgPerHa, timing, dayAfterPlanting, stage = null) => {
+    if (kgPerHa <= 0) return;
+
+    const kg = round(kgPerHa * (area || 1));
+    applications.push({
+      product,
+      name: products[product].name,
+      timing,
+      stage,
+      dayAfterPlanting,
+      date: planted ? formatDate(addDays(planted, dayAfterPlanting)) : null,
+      kgPerHa: round(kgPerHa),
+      kg,
+      bags: Math.ceil(kg / bagSizeKg),
+      costRwf: Math.round(kg * products[product].pricePerKg)
+    });
+  };
+
+  // Lime before planting, capped per season
+  const limeRequirement = soilPh !== null ? calculateLimeRequirement(soilPh, targetPh, soilTexture) : 0;
+  if (limeRequirement > 0) {
+    const limeThisSeason = Math.min(limeRequirement, maxLimePerSeason);
+    addApplication('lime', limeThisSeason * 1000, 'before_planting', -limeLeadDays);
+    if (limeRequirement > maxLimePerSeason) {
+      notes.push(translate(language, 'fertilizer.notes.limeSplit', { requirement: limeRequirement, max: maxLimePerSeason }));
+    }
+  }
+  if (soilPh !== null && soilPh > crop.soilPh.max) {
+    notes.push(translate(language, 'fertilizer.notes.highPh', { soilPh, max: crop.soilPh.max, crop: translatePhrase(language, cropType) }));
+  }
+
+  // Basal NPK sized to phosphorus, potash for the remaining potassium
+  const npkPerHa = netRequirement.p2o5 / products.npk.p2o5;
+  const mopPerHa = Math.max(netRequirement.k2o - npkPerHa * products.npk.k2o, 0) / products.mop.k2o;
+  addApplication('npk', npkPerHa, 'planting', 0);
+  addApplication('mop', mopPerHa, 'planting', 0);
+
+  // Urea for the remaining nitrogen, split over the top-dressing stages
+  const ureaPerHa = Math.max(netRequirement.n - npkPerHa * products.npk.n, 0) / products.urea.n;
+  if (topDressing.length === 0) {
+    addApplication('urea', ureaPerHa, 'planting', 0);
+  } else {
+    const stageModel = getStageModel(cropType, options.variety);
+    topDressing.forEach(({ stage, share, daysIntoStage }) => {
+      const index = stageModel.stages.findIndex(item => item.stage === stage);
+      const stageStart = stageModel.stages.slice(0, index).reduce((sum, { days }) => sum + days, 0);
+      const day = stageStart + Math.min(daysIntoStage, stageModel.stages[index].days - 1);
+      addApplication('urea', ureaPerHa * share, 'top_dressing', day, stage);
+    });
+  }
+
+  const supplied = Object.fromEntries(NUTRIENTS.map(nutrient => [
+    nutrient,
+    round(applications.reduce((sum, { product, kgPerHa }) => sum + kgPerHa * (products[product][nutrient] || 0), 0))
+  ]));
+
+  const byProduct = {};
+  applications.forEach(({ product, name, kg, costRwf }) => {
+    const entry = byProduct[product] || { name, kg: 0, bags: 0, costRwf: 0 };
+    entry.kg = round(entry.kg + kg);
+    entry.bags = Math.ceil(entry.kg / bagSizeKg);
+    entry.costRwf += costRwf;
+    byProduct[product] = entry;
+  });
+  const costRwf = applications.reduce((sum, application) => sum + application.costRwf, 0);
+
+  return {
+    crop: cropType,
+    area,
+    soilTexture,
+    soilPh,
+    targetPh,
+    limeRequirement,
+    requirement,
+    soilTest: options.soilTest || null,
+    netRequirement,
+    supplied,
+    applications,
+    totals: {
+      byProduct,
+      costRwf,
+      costPerHaRwf: Math.round(costRwf / (area || 1))
+    },
+    notes
+  };
+};
+
+/**
+ * Describe when an application is made
+ * @param {Object} application - Plan application
+ * @param {string} language - Language code
+ * @returns {string} Timing description
+ */
+const describeTiming = ({ timing, dayAfterPlanting, stage, date }, language) => {
+  const when = timing === 'before_planting'
+    ? translate(language, 'fertilizer.timing.beforePlanting', { days: -dayAfterPlanting })
+    : timing === 'planting'
+      ? translate(language, 'fertilizer.timing.planting')
+      : translate(language, 'fertilizer.timing.topDressing', { day: dayAfterPlanting, stage: translatePhrase(language, stage) });
+  return date ? translate(language, 'fertilizer.timing.dated', { when, date }) : when;
+};
+
+/**
+ * Convert a fertilizer plan into `resources_needed` entries, one per product
+ * @param {Object} plan - Result of buildFertilizerPlan
+ * @param {string} language - Language of the entries (defaults to DEFAULT_LANGUAGE)
+ * @returns {Array} Resource entries
+ */
+export const fertilizerPlanToResources = (plan, language = config.defaultLanguage) => {
+  const perHectare = plan.area ? '' : translate(language, 'units.perHectare');
+
+  return Object.entries(plan.totals.byProduct).map(([product, total]) => {
+    const timings = plan.applications
+      .filter(application => application.product === product)
+      .map(application => translate(language, 'fertilizer.application', { kg: application.kg, timing: describeTiming(application, language) }));
+
+    return {
+      resource: translatePhrase(language, total.name),
+      purpose: translate(language, 'fertilizer.purpose', {
+        purpose: translate(language, `fertilizer.purposes.${product}`),
+        timings: timings.join('; ')
+      }),
+      quantity: translate(language, 'fertilizer.quantity', {
+        kg: total.kg,
+        bags: total.bags,
+        bagSize: config.fertilizer.bagSizeKg,
+        perHectare
+      }),
+      cost_estimate: translate(language, 'fertilizer.cost', { cost: total.costRwf.toLocaleString('en-US'), perHectare }),
+      where_to_get: translate(language, 'fertilizer.whereToGet')
+    };
+  });
+};
+
+/**
+ * Describe the lime application of a plan as an advice action
+ * @param {Object} plan - Result of buildFertilizerPlan
+ * @param {string} language - Language of the action (defaults to DEFAULT_LANGUAGE)
+ * @returns {string|null} Lime action (null when no lime is needed)
+ */
+export const describeLimeApplication = (plan, language = config.defaultLanguage) => {
+  const lime = plan.applications.find(application => application.product === 'lime');
+  if (!lime) {
+    return null;
+  }
+
+  return translate(language, 'fertilizer.limeAction', {
+    kg: lime.kg,
+    perHectare: plan.area ? '' : translate(language, 'units.perHectare'),
+    soilPh: plan.soilPh,
+    targetPh: plan.targetPh,
+    timing: describeTiming(lime, language)
+  });
+};
+
+/**
+ * Replace generic fertilizer and lime resources with the calculated plan
+ * Translated resource names are matched through their English text.
+ * @param {Array} resources - Existing `resources_needed` entries
+ * @param {Object} plan - Result of buildFertilizerPlan
+ * @param {string} language - Language of the entries (defaults to DEFAULT_LANGUAGE)
+ * @returns {Array} Resource entries
+ */
+export const replaceFertilizerResources = (resources = [], plan, language = config.defaultLanguage) => [
+  ...fertilizerPlanToResources(plan, language),
+  ...resources.filter(resource => !FERTILIZER_RESOURCE_PATTERN.test(findSourcePhrase(language, resource.resource || '')))
+];
@@ -0,0 +1,154 @@
+import config from '../config/config.js';
+import { getCropInfo, getCropGrowthStates } from './cropUtils.js';
+import { toUtcDate, formatDate, addDays, daysBetween } from './seasonUtils.js';
+
+/**
+ * Growing degree days for one day
+ * Both temperatures are clamped to the base and upper thresholds before averaging.
+ * @param {number} minTemperature - Daily minimum (°C)
+ * @param {number} maxTemperature - Daily maximum (°C)
+ * @param {number} baseTemperature - Temperature below which the crop does not develop (°C)
+ * @param {number} upperTemperature - Temperature above which development stops increasing (°C)
+ * @returns {number} Degree days
+ */
+export const calculateDailyGdd = (minTemperature, maxTemperature, baseTemperature, upperTemperature) => {
+  const clamp = (value) => Math.min(Math.max(value, baseTemperature), upperTemperature);
+  return (clamp(minTemperature) + clamp(maxTemperature)) / 2 - baseTemperature;
+};
+
+/**
+ * Get the GDD model for a crop and variety
+ * @param {string} cropType - The type of crop
+ * @param {string} variety - Variety id (optional; unknown varieties use the crop model)
+ * @returns {Object} Base and upper temperatures, stage thresholds and maturity GDD
+ */
+export const getGddModel = (cropType, variety) => {
+  const crop = getCropInfo(cropType);
+  if (!crop.gdd) {
+    throw new Error(`No GDD model defined for ${cropType}`);
+  }
+
+  const varietyGdd = (variety && crop.varieties?.[variety]?.stageGdd) || {};
+  const stages = getCropGrowthStates(cropType).map(stage => ({
+    stage,
+    gdd: varietyGdd[stage] ?? crop.gdd.stageGdd[stage]
+  }));
+
+  return {
+    crop: cropType,
+    variety: variety && crop.varieties?.[variety] ? variety : null,
+    baseTemperature: crop.gdd.baseTemperature,
+    upperTemperature: crop.gdd.upperTemperature,
+    stages,
+    maturityGdd: stages.reduce((sum, { gdd }) => sum + gdd, 0)
+  };
+};
+
+/**
+ * Estimate growth stage and project stage and maturity dates from accumulated GDD
+ * Days missing from the temperature series use the reference temperature; when fewer than
+ * gdd.minMeasuredShare of the days since planting have recorded or forecast temperatures, or
+ * there are no such days at all (planting today or in the future), the estimate is marked low confidence.
+ * @param {string} cropType - The type of crop
+ * @param {Object} options - Estimate options
+ * @param {Date|string} options.plantingDate - Planting date
+ * @param {Date|string} options.date - Date to estimate the stage for (defaults to today)
+ * @param {string} options.variety - Crop variety (optional)
+ * @param {Object} options.temperatures - Daily { min, max, source } keyed by YYYY-MM-DD
+ * @param {Object} options.referenceTemperature - { min, max } used for days without data
+ * @returns {Object} GDD stage estimate
+ */
+export const estimateGddStage = (cropType, options = {}) => {
+  const model = getGddModel(cropType, options.variety);
+  const { baseTemperature, upperTemperature, maturityGdd } = model;
+  const planted = toUtcDate(options.plantingDate);
+  const target = toUtcDate(options.date || new Date());
+  const temperatures = options.temperatures || {};
+  const reference = options.referenceTemperature || config.gdd.defaultTemperature;
+  const daysSincePlanting = daysBetween(planted, target);
+  const elapsedDays = Math.max(daysSincePlanting, 0);
+
+  let threshold = 0;
+  const thresholds = model.stages.map(({ stage, gdd }) => {
+    threshold += gdd;
+    return { stage, gdd, endGdd: threshold };
+  });
+
+  // Walk day by day from planting: GDD before the target date is accumulated,
+  // later days project when each stage (and maturity) is reached
+  const temperatureData = { recordedDays: 0, forecastDays: 0, estimatedDays: 0 };
+  const stageEndDates = [];
+  let cumulative = 0;
+  let accumulatedGdd = 0;
+
+  for (let day = 0; day < elapsedDays + config.gdd.maxProjectionDays; day++) {
+    if (day === elapsedDays) accumulatedGdd = cumulative;
+    if (day >= elapsedDays && stageEndDates.length === thresholds.length) break;
+
+    const date = formatDate(addDays(planted, day));
+    const temperature = temperatures[date] || { ...reference, source: 'estimated' };
+    if (day < elapsedDays) {
+      temperatureData[`${temperature.source}Days`]++;
+    }
+
+    cumulative += calculateDailyGdd(temperature.min, temperature.max, baseTemperature, upperTemperature);
+
+    while (stageEndDates.length < thresholds.length && cumulative >= thresholds[stageEndDates.length].endGdd) {
+      stageEndDates.push(date);
+    }
+  }
+
+  const stages = thresholds.map(({ stage, gdd, endGdd }, index) => ({
+    stage,
+    gdd,
+    startGdd: endGdd - gdd,
+    endGdd,
+    startDate: index === 0
+      ? formatDate(planted)
+      : stageEndDates[index - 1] ? formatDate(addDays(toUtcDate(stageEndDates[index - 1]), 1)) : null,
+    endDate: stageEndDates[index] || null
+  }));
+
+  const projectedMaturityDate = stageEndDates[thresholds.length - 1] || null;
+  const measuredDays = temperatureData.recordedDays + temperatureData.forecastDays;
+  const confidence = measuredDays === 0 || measuredDays < elapsedDays * config.gdd.minMeasuredShare ? 'low' : 'high';
+  const estimate = {
+    method: 'gdd',
+    crop: cropType,
+    variety: model.variety,
+    baseTemperature,
+    upperTemperature,
+    plantingDate: formatDate(planted),
+    date: formatDate(target),
+    daysSincePlanting,
+    accumulatedGdd: Math.round(accumulatedGdd * 10) / 10,
+    maturityGdd,
+    projectedMaturityDate,
+    daysToMaturity: projectedMaturityDate ? Math.max(daysBetween(target, toUtcDate(projectedMaturityDate)), 0) : null,
+    referenceTemperature: { min: reference.min, max: reference.max },
+    temperatureData,
+    confidence,
+    stages
+  };
+
+  if (daysSincePlanting < 0) {
+    return { ...estimate, stage: null, status: 'not_planted', gddIntoStage: null, stageGdd: null, nextStage: stages[0].stage };
+  }
+
+  if (accumulatedGdd >= maturityGdd) {
+    const last = stages[stages.length - 1];
+    return { ...estimate, stage: last.stage, status: 'mature', gddIntoStage: last.gdd, stageGdd: last.gdd, nextStage: null };
+  }
+
+  const index = stages.findIndex(stage => accumulatedGdd < stage.endGdd);
+  const current = stages[index];
+
+  return {
+    ...estimate,
+    stage: current.stage,
+    status: 'growing',
+    gddIntoStage: Math.round((accumulatedGdd - current.startGdd) * 10) / 10,
+    stageGdd: current.gdd,
+    nextStage: stages[index + 1]?.stage || null
+  };
+};
@@ -0,0 +1,245 @@
+import config from '../config/config.js';
+import { getCropInfo, parseGrowthPeriod } from './cropUtils.js';
+import { estimateGrowthStage } from './plantingUtils.js';
+import { translate, translatePhrase } from './i18nUtils.js';
+import { toUtcDate, formatDate, addDays } from './seasonUtils.js';
+
+// Season and growth actions that the harvest plan makes redundant
+const GENERIC_HARVEST_ACTIONS = ['seasonActions.shortRains.harvest', 'growth.harvestNow'];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Classify forecast days for harvesting and sun drying
+ * @param {Array} dailySummaries - Forecast daily summaries
+ * @param {Object} drying - Crop drying parameters
+ * @returns {Array} Days with rainfall, humidity, whether they are dry and the moisture lost by drying
+ */
+const classifyDays = (dailySummaries, drying) => {
+  const { dryDayRainfall, humidDayHumidity, humidDayFactor } = config.harvest;
+
+  return dailySummaries.map(day => {
+    const dry = day.totalRainfall < dryDayRainfall;
+    const humid = typeof day.averageHumidity === 'number' && day.averageHumidity >= humidDayHumidity;
+    return {
+      date: day.date,
+      rainfall: day.totalRainfall,
+      averageHumidity: day.averageHumidity ?? null,
+      dry,
+      dryingRate: dry ? round(drying.dryingRate * (humid ? humidDayFactor : 1)) : 0
+    };
+  });
+};
+
+/**
+ * Group consecutive dry days into sun-drying windows
+ * @param {Array} days - Classified forecast days
+ * @returns {Array} Windows with start and end dates and length in days
+ */
+const findDryingWindows = (days) => {
+  const windows = [];
+  let window = null;
+
+  days.forEach(day => {
+    if (!day.dry) {
+      window = null;
+      return;
+    }
+    if (!window) {
+      window = { start: day.date, end: day.date, days: 0 };
+      windows.push(window);
+    }
+    window.end = day.date;
+    window.days++;
+  });
+
+  return windows;
+};
+
+/**
+ * Follow grain moisture through the forecast after harvesting on a given day
+ * Produce is harvested in the morning and spread to dry the same day; rainy days add no drying.
+ * @param {Array} days - Classified forecast days
+ * @param {number} start - Index of the harvest day
+ * @param {Object} drying - Crop drying parameters
+ * @returns {Object} Drying progress: safe date, days needed, final moisture and rain days while drying
+ */
+const simulateDrying = (days, start, drying) => {
+  let moisture = drying.harvestMoisture;
+  const rainDays = [];
+
+  for (let index = start; index < days.length; index++) {
+    const day = days[index];
+    if (!day.dry) {
+      rainDays.push(day.date);
+    }
+    moisture = Math.max(moisture - day.dryingRate, drying.safeMoisture);
+
+    if (moisture <= drying.safeMoisture) {
+      return {
+        date: days[start].date,
+        reachesSafeMoisture: true,
+        safeDate: day.date,
+        dryingDays: index - start + 1,
+        finalMoisture: drying.safeMoisture,
+        rainDays
+      };
+    }
+  }
+
+  return {
+    date: days[start].date,
+    reachesSafeMoisture: false,
+    safeDate: null,
+    dryingDays: null,
+    finalMoisture: round(moisture),
+    rainDays
+  };
+};
+
+/**
+ * Plan the harvest day and sun drying from the expected maturity date and forecast dry spells
+ * Maturity comes from the stage model (expected date) and the crop's growthPeriod (earliest and
+ * latest dates). From the expected date on, the first dry day whose drying reaches safe moisture
+ * without rain is chosen; otherwise the first dry day without rain in the rest of the forecast,
+ * then the dry day with the fewest rain days while drying. Rain while drying is an aflatoxin risk.
+ * @param {string} cropType - The type of crop
+ * @param {Object} forecastSummary - Forecast summary with dailySummaries
+ * @param {Object} options - Plan options
+ * @param {Date|string} options.plantingDate - Planting date (required)
+ * @param {string} options.variety - Crop variety (optional)
+ * @param {Date|string} options.date - Date the plan is made on (defaults to today)
+ * @returns {Object} Maturity, drying parameters, forecast days, drying windows and the recommended harvest day
+ */
+export const buildHarvestPlan = (cropType, forecastSummary, options = {}) => {
+  const crop = getCropInfo(cropType);
+  if (!crop.drying) {
+    throw new Error(`Harvest planning is not available for ${cropType}. Supported crops: ${getHarvestCrops().join(', ')}`);
+  }
+  if (!options.plantingDate) {
+    throw new Error('Planting date is required for harvest planning');
+  }
+
+  const estimate = estimateGrowthStage(cropType, options.plantingDate, {
+    date: options.date || new Date(),
+    variety: options.variety
+  });
+  const growthPeriod = parseGrowthPeriod(crop.growthPeriod);
+  const planted = toUtcDate(options.plantingDate);
+  const { harvestMoisture, safeMoisture, dryingRate } = crop.drying;
+
+  const days = classifyDays(forecastSummary?.dailySummaries || [], crop.drying);
+  const candidates = days
+    .map((day, index) => ({ day, index }))
+    .filter(({ day }) => day.dry && day.date >= estimate.harvestDate)
+    .map(({ index }) => simulateDrying(days, index, crop.drying));
+
+  const harvestDay = candidates.find(plan => plan.reachesSafeMoisture && plan.rainDays.length === 0)
+    || candidates.find(plan => plan.rainDays.length === 0)
+    || [...candidates].sort((a, b) => a.rainDays.length - b.rainDays.length)[0]
+    || null;
+
+  let status = 'planned';
+  if (!harvestDay) {
+    status = days.some(day => day.date >= estimate.harvestDate) ? 'no_dry_day' : 'not_mature';
+  }
+
+  return {
+    crop: cropType,
+    variety: estimate.variety,
+    plantingDate: estimate.plantingDate,
+    status,
+    maturity: {
+      expectedDate: estimate.harvestDate,
+      earliestDate: formatDate(addDays(planted, growthPeriod.minDays)),
+      latestDate: formatDate(addDays(planted, growthPeriod.maxDays)),
+      daysToMaturity: estimate.daysToHarvest,
+      growthStatus: estimate.status
+    },
+    drying: {
+      harvestMoisture,
+      safeMoisture,
+      dryingRate,
+      estimatedDays: Math.ceil((harvestMoisture - safeMoisture) / dryingRate)
+    },
+    forecastHorizon: forecastSummary?.forecastHorizon || null,
+    days,
+    dryingWindows: findDryingWindows(days),
+    harvestDay,
+    aflatoxinRisk: Boolean(harvestDay && harvestDay.rainDays.length > 0)
+  };
+};
+
+/**
+ * Get the crops with drying parameters for harvest planning
+ * @returns {Array} Crop types
+ */
+export const getHarvestCrops = () => Object.keys(config.crops).filter(cropType => config.crops[cropType].drying);
+
+/**
+ * Describe a harvest plan as an advice action
+ * @param {Object} plan - Result of buildHarvestPlan
+ * @param {string} language - Language of the action (defaults to DEFAULT_LANGUAGE)
+ * @returns {string} Action
+ */
+export const describeHarvestPlan = (plan, language = config.defaultLanguage) => {
+  const { maturity, drying, harvestDay } = plan;
+
+  if (plan.status === 'not_mature') {
+    return translate(language, 'harvest.notMature', {
+      date: maturity.expectedDate,
+      earliestDate: maturity.earliestDate,
+      latestDate: maturity.latestDate,
+      days: drying.estimatedDays,
+      safeMoisture: drying.safeMoisture
+    });
+  }
+
+  if (plan.status === 'no_dry_day') {
+    return translate(language, 'harvest.noDryDay', {
+      period: translate(language, `horizons.${plan.forecastHorizon || config.defaultForecastHorizon}`)
+    });
+  }
+
+  return translate(language, 'harvest.action', {
+    date: harvestDay.date,
+    days: harvestDay.dryingDays ?? drying.estimatedDays,
+    harvestMoisture: drying.harvestMoisture,
+    safeMoisture: drying.safeMoisture,
+    safe: harvestDay.reachesSafeMoisture ? translate(language, 'harvest.safeBy', { date: harvestDay.safeDate }) : ''
+  });
+};
+
+/**
+ * Warn about aflatoxin when rain is forecast while the produce dries
+ * @param {Object} plan - Result of buildHarvestPlan
+ * @param {string} language - Language of the warning (defaults to DEFAULT_LANGUAGE)
+ * @returns {string|null} Warning (null when drying stays dry)
+ */
+export const describeAflatoxinRisk = (plan, language = config.defaultLanguage) => {
+  if (!plan.aflatoxinRisk) {
+    return null;
+  }
+
+  return translate(language, 'harvest.aflatoxinWarning', {
+    dates: plan.harvestDay.rainDays.join(', '),
+    crop: translatePhrase(language, plan.crop),
+    safeMoisture: plan.drying.safeMoisture
+  });
+};
+
+/**
+ * Drop generic harvest actions that the harvest plan replaces
+ * Hybrid advice tags items as { text, source }; the harvest-soon reminder is matched for the plan's maturity date.
+ * @param {Array} actions - Existing advice actions
+ * @param {Object} plan - Result of buildHarvestPlan
+ * @param {string} language - Language of the actions (defaults to DEFAULT_LANGUAGE)
+ * @returns {Array} Actions without the generic harvest advice
+ */
+export const replaceHarvestActions = (actions = [], plan, language = config.defaultLanguage) => {
+  const generic = new Set([
+    ...GENERIC_HARVEST_ACTIONS.map(key => translate(language, key)),
+    translate(language, 'growth.harvestSoon', { date: plan.maturity.expectedDate })
+  ]);
+  return actions.filter(action => !generic.has(typeof action === 'string' ? action : action?.text));
+};
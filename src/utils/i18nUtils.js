@@ -0,0 +1,101 @@
+import config from '../config/config.js';
+import { SOURCE_LANGUAGE, MESSAGE_PLACEHOLDER_PATTERN } from '../config/localeCatalog.js';
+
+// Reverse phrase maps (translation -> English text), built on first use per language
+const sourcePhrases = new Map();
+
+/**
+ * Get the catalog of a language, falling back to the default language
+ * @param {string} language - Language code
+ * @returns {Object} Locale catalog
+ */
+const getLocale = (language) => config.locales[language] || config.locales[config.defaultLanguage];
+
+/**
+ * Translate a keyed message and fill in its {{name}} placeholders
+ * Keys missing from the language's catalog fall back to the English message.
+ * @param {string} language - Language code
+ * @param {string} key - Message key, e.g. weather.windWarning
+ * @param {Object} params - Placeholder values
+ * @returns {string} Translated message (the key itself when no catalog has it)
+ */
+export const translate = (language, key, params = {}) => {
+  const message = getLocale(language).messages[key] ?? config.locales[SOURCE_LANGUAGE].messages[key] ?? key;
+  return message.replace(MESSAGE_PLACEHOLDER_PATTERN, (placeholder, name) => {
+    const value = params[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+};
+
+/**
+ * Check whether a language's own catalog has a message (without falling back to English)
+ * @param {string} language - Language code
+ * @param {string} key - Message key
+ * @returns {boolean} True if the catalog defines the message
+ */
+export const hasMessage = (language, key) => Boolean(config.locales[language]?.messages[key]);
+
+/**
+ * Translate catalog text (crop resources, diseases, pests, calendar advice) by its English wording
+ * @param {string} language - Language code
+ * @param {string} text - English text
+ * @returns {string} Translation, or the English text when the catalog has none
+ */
+export const translatePhrase = (language, text) => {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  return getLocale(language).phrases[text] ?? text;
+};
+
+/**
+ * Find the English text behind a translated phrase
+ * Used to match translated names (e.g. a disease or resource) against the English catalogs.
+ * @param {string} language - Language code
+ * @param {string} text - Possibly translated text
+ * @returns {string} English text, or the text unchanged when it is not a known translation
+ */
+export const findSourcePhrase = (language, text) => {
+  const locale = getLocale(language);
+  if (!sourcePhrases.has(locale.code)) {
+    sourcePhrases.set(locale.code, new Map(Object.entries(locale.phrases).map(([source, translation]) => [translation, source])));
+  }
+  return sourcePhrases.get(locale.code).get(text) ?? text;
+};
+
+/**
+ * Parse an Accept-Language header into language codes ordered by preference
+ * @param {string} header - Header value, e.g. "rw-RW,rw;q=0.9,en;q=0.5"
+ * @returns {Array} Lower-case primary language codes
+ */
+const parseAcceptLanguage = (header = '') => header
+  .split(',')
+  .map(part => {
+    const [range, ...parameters] = part.trim().split(';');
+    const quality = parameters.map(parameter => parameter.trim()).find(parameter => parameter.startsWith('q='));
+    return { code: range.split('-')[0].toLowerCase(), q: quality ? parseFloat(quality.slice(2)) : 1 };
+  })
+  .filter(({ code, q }) => code && code !== '*' && q > 0)
+  .sort((a, b) => b.q - a.q)
+  .map(({ code }) => code);
+
+/**
+ * Pick the response language from an explicit parameter or the Accept-Language header
+ * @param {string} requested - Language parameter of the request (optional)
+ * @param {string} acceptLanguage - Accept-Language header (optional)
+ * @returns {string} Supported language code (DEFAULT_LANGUAGE when nothing matches)
+ */
+export const resolveLanguage = (requested, acceptLanguage) => {
+  const candidates = [
+    typeof requested === 'string' ? requested.toLowerCase() : null,
+    ...parseAcceptLanguage(acceptLanguage)
+  ];
+  return candidates.find(code => code && config.locales[code]) || config.defaultLanguage;
+};
+
+/**
+ * Get the English name of a language, as used in the LLM prompt
+ * @param {string} language - Language code
+ * @returns {string} Language name, e.g. Kinyarwanda
+ */
+export const getLanguageName = (language) => getLocale(language).name;
@@ -0,0 +1,85 @@
+/**
+ * Escape text for an iCalendar property value
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets as required by RFC 5545
+ * @param {string} line - Content line
+ * @returns {string} Folded line
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+  while (Buffer.byteLength(rest) > 75) {
+    let cut = 75;
+    while (Buffer.byteLength(rest.slice(0, cut)) > 75) cut--;
+    parts.push(rest.slice(0, cut));
+    rest = ` ${rest.slice(cut)}`;
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+};
+
+/**
+ * Convert YYYY-MM-DD to the iCalendar DATE format
+ * @param {string} date - ISO calendar date
+ * @returns {string} Date as YYYYMMDD
+ */
+const toIcsDate = (date) => date.replace(/-/g, '');
+
+/**
+ * Day after an ISO calendar date (all-day DTEND is exclusive)
+ * @param {string} date - ISO calendar date
+ * @returns {string} Next day as YYYYMMDD
+ */
+const nextIcsDate = (date) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return toIcsDate(next.toISOString().slice(0, 10));
+};
+
+/**
+ * Build an iCalendar document of all-day events
+ * @param {Array} events - Events with uid, summary, start, end (YYYY-MM-DD) and optional description
+ * @param {Object} options - Calendar options
+ * @param {string} options.name - Calendar display name
+ * @returns {string} iCalendar (.ics) content
+ */
+export const buildICalendar = (events, { name = 'Farming Calendar' } = {}) => {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Season-Aware Farming Advisor//Planting Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${toIcsDate(event.start)}`,
+      `DTEND;VALUE=DATE:${nextIcsDate(event.end || event.start)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
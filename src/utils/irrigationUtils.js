@@ -0,0 +1,165 @@
+import config from '../config/config.js';
+import { getCropInfo } from './cropUtils.js';
+import { estimateGrowthStage } from './plantingUtils.js';
+import { translate } from './i18nUtils.js';
+import { toUtcDate, daysBetween } from './seasonUtils.js';
+
+// Litres of water in 1 mm over one hectare
+const LITERS_PER_MM_HECTARE = 10000;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Extraterrestrial radiation for a latitude and day (FAO-56 equation 21)
+ * @param {number} lat - Latitude in degrees
+ * @param {Date|string} date - Day to calculate for
+ * @returns {number} Radiation in MJ/m²/day
+ */
+export const calculateExtraterrestrialRadiation = (lat, date) => {
+  const day = toUtcDate(date);
+  const dayOfYear = daysBetween(new Date(Date.UTC(day.getUTCFullYear(), 0, 1)), day) + 1;
+  const latitude = (lat * Math.PI) / 180;
+  const inverseDistance = 1 + 0.033 * Math.cos((2 * Math.PI * dayOfYear) / 365);
+  const declination = 0.409 * Math.sin((2 * Math.PI * dayOfYear) / 365 - 1.39);
+  const sunsetAngle = Math.acos(Math.min(Math.max(-Math.tan(latitude) * Math.tan(declination), -1), 1));
+
+  return ((24 * 60) / Math.PI) * 0.082 * inverseDistance * (
+    sunsetAngle * Math.sin(latitude) * Math.sin(declination) +
+    Math.cos(latitude) * Math.cos(declination) * Math.sin(sunsetAngle)
+  );
+};
+
+/**
+ * Reference evapotranspiration from daily temperatures (Hargreaves)
+ * @param {number} minTemperature - Daily minimum (°C)
+ * @param {number} maxTemperature - Daily maximum (°C)
+ * @param {number} lat - Latitude in degrees
+ * @param {Date|string} date - Day to calculate for
+ * @returns {number} ET0 in mm/day
+ */
+export const calculateHargreavesEt0 = (minTemperature, maxTemperature, lat, date) => {
+  const radiation = calculateExtraterrestrialRadiation(lat, date) * 0.408; // MJ/m²/day to mm/day
+  const meanTemperature = (minTemperature + maxTemperature) / 2;
+  const range = Math.max(maxTemperature - minTemperature, 0);
+
+  return Math.max(0.0023 * radiation * (meanTemperature + 17.8) * Math.sqrt(range), 0);
+};
+
+/**
+ * Get the crop coefficient (Kc) for a growth stage
+ * @param {string} cropType - The type of crop
+ * @param {string} growthState - Growth stage
+ * @returns {number} Crop coefficient
+ */
+export const getCropCoefficient = (cropType, growthState) => {
+  const crop = getCropInfo(cropType);
+  if (!crop.cropCoefficients) {
+    throw new Error(`No crop coefficients defined for ${cropType}`);
+  }
+  return crop.cropCoefficients[growthState];
+};
+
+/**
+ * Build a day-by-day irrigation schedule from a forecast
+ * Crop water use (ET0 × Kc) is met first by effective rainfall, then by rain stored in the soil
+ * from earlier days; the rest is the irrigation need, grossed up for application losses.
+ * @param {string} cropType - The type of crop
+ * @param {Object} forecastSummary - Forecast summary with dailySummaries
+ * @param {Object} options - Schedule options
+ * @param {number} options.lat - Latitude used for solar radiation
+ * @param {number} options.area - Plot area in hectares (optional; litres are per hectare without it)
+ * @param {string} options.growthState - Growth stage for every day (optional)
+ * @param {Date|string} options.plantingDate - Planting date used to estimate the stage of each day (optional)
+ * @param {string} options.variety - Crop variety (optional)
+ * @returns {Object} Daily water balance and totals
+ */
+export const buildIrrigationSchedule = (cropType, forecastSummary, options = {}) => {
+  const { lat, growthState, plantingDate, variety } = options;
+  const area = options.area || null;
+  const { effectiveRainfallFraction, applicationEfficiency, maxSoilStorageMm } = config.irrigation;
+  let storage = 0;
+
+  const days = (forecastSummary.dailySummaries || []).map(day => {
+    let stage = growthState || config.irrigation.defaultGrowthState;
+    if (!growthState && plantingDate) {
+      const estimate = estimateGrowthStage(cropType, plantingDate, { date: day.date, variety });
+      stage = estimate.stage;
+    }
+
+    const et0 = calculateHargreavesEt0(day.minTemperature, day.maxTemperature, lat, day.date);
+    const kc = stage ? getCropCoefficient(cropType, stage) : 0;
+    const etc = et0 * kc;
+    const effectiveRainfall = day.totalRainfall * effectiveRainfallFraction;
+
+    const balance = effectiveRainfall - etc;
+    const storageUsed = balance < 0 ? Math.min(storage, -balance) : 0;
+    storage = balance >= 0 ? Math.min(storage + balance, maxSoilStorageMm) : storage - storageUsed;
+
+    const netIrrigation = balance < 0 ? -balance - storageUsed : 0;
+    const irrigationMm = netIrrigation / applicationEfficiency;
+
+    return {
+      date: day.date,
+      stage,
+      minTemperature: day.minTemperature,
+      maxTemperature: day.maxTemperature,
+      et0: round(et0),
+      kc,
+      etc: round(etc),
+      rainfall: day.totalRainfall,
+      effectiveRainfall: round(effectiveRainfall),
+      soilStorageUsed: round(storageUsed),
+      irrigationMm: round(irrigationMm),
+      irrigationLiters: Math.round(irrigationMm * (area || 1) * LITERS_PER_MM_HECTARE)
+    };
+  });
+
+  const total = (field) => round(days.reduce((sum, day) => sum + day[field], 0));
+
+  return {
+    crop: cropType,
+    method: 'hargreaves',
+    area,
+    applicationEfficiency,
+    days,
+    totals: {
+      et0: total('et0'),
+      etc: total('etc'),
+      rainfall: total('rainfall'),
+      effectiveRainfall: total('effectiveRainfall'),
+      irrigationMm: total('irrigationMm'),
+      irrigationLiters: days.reduce((sum, day) => sum + day.irrigationLiters, 0)
+    },
+    irrigationDays: days.filter(day => day.irrigationMm > 0).map(day => day.date)
+  };
+};
+
+/**
+ * Describe an irrigation schedule as a single advice action
+ * @param {Object} schedule - Result of buildIrrigationSchedule
+ * @param {string} language - Language of the action (defaults to DEFAULT_LANGUAGE)
+ * @returns {string|null} Irrigation action (null when the forecast has no days)
+ */
+export const summarizeIrrigationSchedule = (schedule, language = config.defaultLanguage) => {
+  const { totals, irrigationDays, days } = schedule;
+  if (days.length === 0) {
+    return null;
+  }
+
+  if (irrigationDays.length === 0) {
+    return translate(language, 'irrigation.notNeeded', { days: days.length, etc: totals.etc });
+  }
+
+  const liters = translate(language, 'irrigation.litres', {
+    litres: totals.irrigationLiters.toLocaleString('en-US'),
+    perHectare: schedule.area ? '' : translate(language, 'units.perHectare')
+  });
+  return translate(language, 'irrigation.schedule', {
+    irrigationMm: totals.irrigationMm,
+    litres: liters,
+    days: days.length,
+    dates: irrigationDays.join(', '),
+    etc: totals.etc,
+    effectiveRainfall: totals.effectiveRainfall
+  });
+};
@@ -0,0 +1,69 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Small embedded document store backed by a single JSON file
+ * Writes are serialized so concurrent updates never overwrite each other.
+ */
+export class JsonFileStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.file - Path of the JSON file
+   * @param {Object} options.defaults - Document used when the file does not exist yet
+   */
+  constructor({ file, defaults = {} }) {
+    if (!file) {
+      throw new Error('JSON file store requires a file path');
+    }
+
+    this.file = path.resolve(file);
+    this.defaults = defaults;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Read the whole document
+   * @returns {Promise<Object>} Stored document (a copy of the defaults if nothing is stored)
+   */
+  async read() {
+    try {
+      const content = await fs.readFile(this.file, 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === 'ENOENT') return structuredClone(this.defaults);
+      throw new Error(`Failed to read ${this.file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the whole document atomically
+   * @param {Object} data - Document to store
+   */
+  async write(data) {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+
+    // Write to a temporary file first so readers never see a partial document
+    const temporary = `${this.file}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(data, null, 2));
+    await fs.rename(temporary, this.file);
+  }
+
+  /**
+   * Read, modify and write the document as one serialized step
+   * The mutator changes the document in place; if it throws nothing is written.
+   * @param {Function} mutator - Function receiving the document and returning a result
+   * @returns {Promise<*>} Result of the mutator
+   */
+  update(mutator) {
+    const pending = this.queue.then(async () => {
+      const data = await this.read();
+      const result = await mutator(data);
+      await this.write(data);
+      return result;
+    });
+
+    // Keep the queue alive when an update fails
+    this.queue = pending.catch(() => {});
+    return pending;
+  }
+}
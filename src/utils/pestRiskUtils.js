@@ -0,0 +1,138 @@
+import config from '../config/config.js';
+import { getCropInfo } from './cropUtils.js';
+import { findSourcePhrase, translate, translatePhrase } from './i18nUtils.js';
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Compare the forecast days with a pest's outbreak trigger
+ * Temperature is met when at least half of the days have a mean temperature inside the window;
+ * rainfall is met when the mean daily rainfall stays under maxDailyRainfall (or reaches minDailyRainfall).
+ * @param {Array} days - Forecast daily summaries
+ * @param {Object} trigger - Outbreak trigger from the crop catalog
+ * @returns {Object} Which conditions are met and the forecast values behind them
+ */
+const evaluateOutbreakTrigger = (days, trigger) => {
+  const meanTemperatures = days.map(day => (day.minTemperature + day.maxTemperature) / 2);
+  const favourableDays = meanTemperatures
+    .filter(temperature => temperature >= trigger.minTemperature && temperature <= trigger.maxTemperature)
+    .length;
+  const meanDailyRainfall = days.reduce((sum, day) => sum + day.totalRainfall, 0) / days.length;
+
+  const rainfallMet = trigger.maxDailyRainfall !== undefined
+    ? meanDailyRainfall <= trigger.maxDailyRainfall
+    : meanDailyRainfall >= trigger.minDailyRainfall;
+
+  return {
+    temperatureMet: favourableDays * 2 >= days.length,
+    rainfallMet,
+    favourableDays,
+    days: days.length,
+    meanTemperature: round(meanTemperatures.reduce((sum, value) => sum + value, 0) / days.length),
+    meanDailyRainfall: round(meanDailyRainfall)
+  };
+};
+
+/**
+ * Describe the forecast conditions behind a pest assessment
+ * @param {Object} result - Result of evaluateOutbreakTrigger
+ * @param {Object} trigger - Outbreak trigger from the crop catalog
+ * @param {string} language - Language code
+ * @returns {string} Basis for the outbreak risk
+ */
+const describeBasis = (result, trigger, language) => {
+  const rainfallLimit = trigger.maxDailyRainfall !== undefined
+    ? translate(language, 'pest.rainfallAtMost', { rainfall: trigger.maxDailyRainfall })
+    : translate(language, 'pest.rainfallAtLeast', { rainfall: trigger.minDailyRainfall });
+
+  return translate(language, 'pest.basis', {
+    favourableDays: result.favourableDays,
+    days: result.days,
+    minTemperature: trigger.minTemperature,
+    maxTemperature: trigger.maxTemperature,
+    rainfall: result.meanDailyRainfall,
+    limit: rainfallLimit
+  });
+};
+
+/**
+ * Assess the outbreak risk of each of a crop's pests from the daily forecast
+ * Both temperature and rainfall triggers met gives High, temperature alone Medium, otherwise Low.
+ * Pests without a trigger, or forecasts without daily data, keep their seasonal risk.
+ * @param {string} cropType - The type of crop
+ * @param {Object} forecastSummary - Forecast summary with dailySummaries
+ * @param {string} season - The current season
+ * @param {string} language - Language of the basis text (defaults to DEFAULT_LANGUAGE)
+ * @returns {Array} Assessments with pest name, level, method, basis and forecast triggers
+ */
+export const assessPestRisks = (cropType, forecastSummary, season, language = config.defaultLanguage) => {
+  const crop = getCropInfo(cropType);
+  const days = (forecastSummary?.dailySummaries || []).filter(day =>
+    typeof day.minTemperature === 'number' && typeof day.maxTemperature === 'number');
+
+  return (crop.pests || []).map(pest => {
+    const seasonalRisk = pest.seasonalRisk || {};
+    const seasonalLevel = seasonalRisk[season] || seasonalRisk.default || 'Low';
+
+    if (!pest.outbreakTrigger || days.length === 0) {
+      return {
+        pest: pest.name,
+        level: seasonalLevel,
+        method: 'seasonal',
+        basis: translate(language, 'pest.seasonalBasis', { season: translatePhrase(language, season) }),
+        triggers: null
+      };
+    }
+
+    const result = evaluateOutbreakTrigger(days, pest.outbreakTrigger);
+    let level = 'Low';
+    if (result.temperatureMet && result.rainfallMet) level = 'High';
+    else if (result.temperatureMet) level = 'Medium';
+
+    return {
+      pest: pest.name,
+      level,
+      method: 'weather',
+      basis: describeBasis(result, pest.outbreakTrigger, language),
+      triggers: result
+    };
+  });
+};
+
+/**
+ * Attach weather-based outbreak risk to `possible_pests` entries
+ * Entries are matched to assessments by pest name (AI entries may add detail to the name);
+ * translated catalog names are matched through their English text.
+ * @param {Array} possiblePests - Advice `possible_pests` entries
+ * @param {Array} assessments - Result of assessPestRisks
+ * @param {string} language - Language of the entries (defaults to DEFAULT_LANGUAGE)
+ * @returns {Array} Entries with outbreak_risk, outbreak_risk_basis and risk_method
+ */
+export const attachPestRisks = (possiblePests = [], assessments, language = config.defaultLanguage) => possiblePests.map(entry => {
+  const name = findSourcePhrase(language, entry.pest_name || '').toLowerCase();
+  const assessment = assessments.find(item => name.includes(item.pest.toLowerCase()));
+  if (!assessment) {
+    return entry;
+  }
+
+  return {
+    ...entry,
+    outbreak_risk: assessment.level,
+    outbreak_risk_basis: assessment.basis,
+    risk_method: assessment.method
+  };
+});
+
+/**
+ * Describe a high weather-based outbreak risk as a warning
+ * @param {Object} assessment - One entry of assessPestRisks
+ * @param {string} language - Language of the warning (defaults to DEFAULT_LANGUAGE)
+ * @returns {string|null} Warning (null unless the forecast favours an outbreak)
+ */
+export const describePestRisk = (assessment, language = config.defaultLanguage) => {
+  if (assessment.method === 'seasonal' || assessment.level !== 'High') {
+    return null;
+  }
+
+  return translate(language, 'pest.highRisk', { pest: translatePhrase(language, assessment.pest), basis: assessment.basis });
+};
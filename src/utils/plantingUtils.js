@@ -0,0 +1,238 @@
+import config from '../config/config.js';
+import { getCropInfo, getVarietyInfo, getStageModel, parseGrowthPeriod } from './cropUtils.js';
+import {
+  getSeasonCalendar,
+  getSeasonOccurrences,
+  toUtcDate,
+  formatDate,
+  addDays,
+  daysBetween
+} from './seasonUtils.js';
+import { buildICalendar } from './icsUtils.js';
+
+/**
+ * Get the rainy seasons a crop is planted in
+ * @param {Object} crop - Crop information
+ * @returns {Array} Season keys
+ */
+const getPlantingSeasons = (crop) => {
+  if (crop.season === 'all') {
+    return Object.keys(config.seasons).filter(season => config.seasons[season].rainy);
+  }
+  return [crop.season];
+};
+
+/**
+ * Build the stage timeline for a crop planted on a given date
+ * @param {Object} stageModel - Result of getStageModel
+ * @param {Date} plantingDate - Planting date
+ * @returns {Array} Stages with start and end dates
+ */
+export const buildStageTimeline = (stageModel, plantingDate) => {
+  let cursor = plantingDate;
+
+  return stageModel.stages.map(({ stage, days }) => {
+    const startDate = cursor;
+    const endDate = addDays(startDate, days - 1);
+    cursor = addDays(endDate, 1);
+
+    return {
+      stage,
+      description: config.growthStates[stage]?.description || stage,
+      startDate: formatDate(startDate),
+      endDate: formatDate(endDate),
+      days
+    };
+  });
+};
+
+/**
+ * Estimate a crop's growth stage from its planting date
+ * @param {string} cropType - The type of crop
+ * @param {Date|string} plantingDate - Planting date
+ * @param {Object} options - Estimate options
+ * @param {Date|string} options.date - Date to estimate the stage for (defaults to today)
+ * @param {string} options.variety - Crop variety (optional)
+ * @returns {Object} Current stage (null before planting), days into the stage and days to harvest
+ */
+export const estimateGrowthStage = (cropType, plantingDate, { date = new Date(), variety } = {}) => {
+  const stageModel = getStageModel(cropType, variety);
+  const planted = toUtcDate(plantingDate);
+  const target = toUtcDate(date);
+  const daysSincePlanting = daysBetween(planted, target);
+  const timeline = buildStageTimeline(stageModel, planted);
+  if (timeline.length === 0) {
+    throw new Error(`No stage lengths defined for ${cropType}`);
+  }
+
+  const estimate = {
+    plantingDate: formatDate(planted),
+    date: formatDate(target),
+    variety: stageModel.variety,
+    daysSincePlanting,
+    maturityDays: stageModel.totalDays,
+    harvestDate: formatDate(addDays(planted, stageModel.totalDays)),
+    daysToHarvest: Math.max(stageModel.totalDays - daysSincePlanting, 0)
+  };
+
+  if (daysSincePlanting < 0) {
+    return {
+      ...estimate,
+      stage: null,
+      status: 'not_planted',
+      daysIntoStage: null,
+      stageDays: null,
+      daysRemainingInStage: null,
+      nextStage: timeline[0].stage
+    };
+  }
+
+  const index = timeline.findIndex(stage => estimate.date <= stage.endDate);
+  const current = timeline[index === -1 ? timeline.length - 1 : index];
+  const daysIntoStage = daysBetween(toUtcDate(current.startDate), target);
+
+  return {
+    ...estimate,
+    stage: current.stage,
+    status: index === -1 ? 'mature' : 'growing',
+    daysIntoStage,
+    stageDays: current.days,
+    daysRemainingInStage: Math.max(current.days - daysIntoStage, 0),
+    nextStage: index === -1 ? null : timeline[index + 1]?.stage || null
+  };
+};
+
+/**
+ * Build a 12-month planting calendar for a crop
+ * Planting windows open with the onset of the crop's rainy season and are shifted
+ * by the variety's drought resistance.
+ * @param {string} cropType - The type of crop
+ * @param {Object} options - Calendar options
+ * @param {string} options.variety - Crop variety (optional)
+ * @param {string} options.region - Season calendar region (optional)
+ * @param {Date|string} options.from - Calendar start date (defaults to today)
+ * @param {number} options.months - Calendar length in months (defaults to 12)
+ * @returns {Object} Planting windows with stage and harvest dates
+ */
+export const buildPlantingCalendar = (cropType, options = {}) => {
+  const crop = getCropInfo(cropType);
+  const { windowDays, droughtResistanceShift } = config.plantingCalendar;
+  const calendar = getSeasonCalendar(options.region);
+  const from = toUtcDate(options.from || new Date());
+  const months = options.months || 12;
+  const to = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + months, from.getUTCDate()));
+  const growth = parseGrowthPeriod(crop.growthPeriod);
+  const stageModel = getStageModel(cropType, options.variety);
+
+  let varietyInfo = null;
+  let shift = droughtResistanceShift.moderate;
+  if (options.variety) {
+    varietyInfo = getVarietyInfo(cropType, options.variety);
+    shift = droughtResistanceShift[varietyInfo.droughtResistance] || shift;
+  }
+
+  const windows = [];
+
+  getPlantingSeasons(crop).forEach(season => {
+    getSeasonOccurrences(season, from, to, calendar.id).forEach(occurrence => {
+      const baseStart = occurrence.onset ? occurrence.onset.startDate : occurrence.startDate;
+      const windowStart = addDays(baseStart, shift.startDays);
+      const windowEnd = addDays(occurrence.startDate, windowDays + shift.endDays);
+
+      if (windowEnd < from || windowStart > to) return;
+
+      const isOpen = windowStart <= from;
+      const plantingDate = isOpen ? from : windowStart;
+      const notes = [];
+
+      if (occurrence.onset) {
+        notes.push(`Window opens with the ${occurrence.onset.name.toLowerCase()}`);
+      }
+      if (varietyInfo && shift.startDays < 0) {
+        notes.push(`Opens ${-shift.startDays} days early: ${options.variety} has ${varietyInfo.droughtResistance} drought resistance and tolerates dry planting`);
+      } else if (varietyInfo && shift.startDays > 0) {
+        notes.push(`Opens ${shift.startDays} days late: ${options.variety} has ${varietyInfo.droughtResistance} drought resistance, wait for established rains`);
+      }
+      if (isOpen) {
+        notes.push('Planting window is open now');
+      }
+
+      windows.push({
+        season,
+        seasonDescription: config.seasons[season].description,
+        seasonStartDate: formatDate(occurrence.startDate),
+        status: isOpen ? 'open' : 'upcoming',
+        plantingWindow: {
+          start: formatDate(windowStart),
+          end: formatDate(windowEnd)
+        },
+        recommendedPlantingDate: formatDate(plantingDate),
+        stages: buildStageTimeline(stageModel, plantingDate),
+        harvestWindow: {
+          start: formatDate(addDays(plantingDate, stageModel.totalDays)),
+          end: formatDate(addDays(windowEnd, stageModel.totalDays))
+        },
+        notes
+      });
+    });
+  });
+
+  windows.sort((a, b) => a.plantingWindow.start.localeCompare(b.plantingWindow.start));
+
+  return {
+    crop: cropType,
+    cropName: crop.name,
+    variety: varietyInfo
+      ? { id: options.variety, description: varietyInfo.description, droughtResistance: varietyInfo.droughtResistance }
+      : null,
+    region: { id: calendar.id, name: calendar.name },
+    from: formatDate(from),
+    to: formatDate(to),
+    growthPeriod: { description: crop.growthPeriod, ...growth },
+    maturityDays: stageModel.totalDays,
+    windows
+  };
+};
+
+/**
+ * Convert a planting calendar to iCalendar events and render the .ics document
+ * @param {Object} plantingCalendar - Result of buildPlantingCalendar
+ * @returns {string} iCalendar (.ics) content
+ */
+export const plantingCalendarToICalendar = (plantingCalendar) => {
+  const { crop, cropName, variety, region } = plantingCalendar;
+  const label = variety ? `${cropName} (${variety.id})` : cropName;
+  const events = [];
+
+  plantingCalendar.windows.forEach(window => {
+    const id = `${crop}-${variety ? variety.id : 'all'}-${region.id}-${window.plantingWindow.start}`;
+
+    events.push({
+      uid: `${id}-planting@season-aware-farming-advisor`,
+      summary: `Plant ${label}`,
+      start: window.plantingWindow.start,
+      end: window.plantingWindow.end,
+      description: [`${window.seasonDescription} planting window (${region.name})`, ...window.notes].join('\n')
+    });
+
+    window.stages.forEach(stage => {
+      events.push({
+        uid: `${id}-${stage.stage}@season-aware-farming-advisor`,
+        summary: `${label}: ${stage.stage}`,
+        start: stage.startDate,
+        end: stage.endDate,
+        description: `${stage.description} (expected if planted on ${window.recommendedPlantingDate})`
+      });
+    });
+
+    events.push({
+      uid: `${id}-harvest@season-aware-farming-advisor`,
+      summary: `Harvest ${label}`,
+      start: window.harvestWindow.start,
+      end: window.harvestWindow.end,
+      description: `Expected harvest window for ${label} planted during ${window.plantingWindow.start} to ${window.plantingWindow.end}`
+    });
+  });
+
+  return buildICalendar(events, { name: `${label} planting calendar - ${region.name}` });
+};
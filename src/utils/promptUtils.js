@@ -0,0 +1,58 @@
+import crypto from 'crypto';
+import { PLACEHOLDER_PATTERN } from '../config/promptCatalog.js';
+
+/**
+ * Fill the {{name}} placeholders of a prompt template
+ * Missing or null variables render as empty text.
+ * @param {string} template - Template text
+ * @param {Object} variables - Values keyed by variable name
+ * @returns {string} Rendered prompt
+ */
+export const renderPromptTemplate = (template, variables = {}) =>
+  template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    const value = variables[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+
+/**
+ * Map a subject to a traffic bucket from 0 to 99
+ * The prompt name is part of the hash so that separate experiments split subjects independently.
+ * @param {string} promptName - Prompt name
+ * @param {string} subjectId - Farm or client identifier
+ * @returns {number} Bucket
+ */
+const subjectBucket = (promptName, subjectId) => {
+  const hash = crypto.createHash('sha256').update(`${promptName}:${subjectId}`).digest('hex');
+  return parseInt(hash.slice(0, 8), 16) % 100;
+};
+
+/**
+ * Pick the prompt version for a request from the traffic shares
+ * Requests with a subject (farm or client id) always land in the same bucket, so a subject keeps its
+ * version until the shares change; requests without one are assigned at random.
+ * @param {Object} prompt - Prompt from config.prompts
+ * @param {string} subjectId - Farm or client identifier (optional)
+ * @returns {Object} Chosen version and the assignment (version, subject, bucket, method)
+ */
+export const assignPromptVersion = (prompt, subjectId = null) => {
+  const bucket = subjectId
+    ? subjectBucket(prompt.name, subjectId)
+    : Math.floor(Math.random() * 100);
+
+  let upper = 0;
+  const version = prompt.versions.find(({ traffic }) => {
+    upper += traffic;
+    return bucket < upper;
+  });
+
+  return {
+    version,
+    assignment: {
+      prompt: prompt.name,
+      version: version.version,
+      subject: subjectId || null,
+      bucket,
+      method: subjectId ? 'sticky' : 'random'
+    }
+  };
+};
@@ -0,0 +1,260 @@
+import config from '../config/config.js';
+import { getCropInfo, getSeasonSuitability, isSoilPhSuitableForCrop } from './cropUtils.js';
+import { translate, translatePhrase } from './i18nUtils.js';
+
+// OpenWeather forecast entries are 3 hours apart
+const PERIOD_HOURS = 3;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Score a value against a range: 1 inside the optimum, falling to 0 at the limits
+ * @param {number} value - Measured value
+ * @param {Object} range - min, optimalMin, optimalMax and max
+ * @returns {number} Score from 0 to 1
+ */
+const scoreRange = (value, range) => {
+  if (value >= range.optimalMin && value <= range.optimalMax) return 1;
+  if (value <= range.min || value >= range.max) return 0;
+  return value < range.optimalMin
+    ? (value - range.min) / (range.optimalMin - range.min)
+    : (range.max - value) / (range.max - range.optimalMax);
+};
+
+/**
+ * Average temperature and daily rainfall over the forecast
+ * @param {Object} forecastSummary - Forecast summary with periods
+ * @returns {Object|null} averageTemperature (°C) and rainfallPerDay (mm), or null without forecast periods
+ */
+export const summarizeGrowingConditions = (forecastSummary) => {
+  const periods = forecastSummary?.periods || [];
+  if (periods.length === 0) {
+    return null;
+  }
+
+  const totalRainfall = periods.reduce((sum, period) => sum + period.rainfall, 0);
+  return {
+    forecastHorizon: forecastSummary.forecastHorizon || null,
+    averageTemperature: round(periods.reduce((sum, period) => sum + period.temperature, 0) / periods.length),
+    rainfallPerDay: round(totalRainfall / (periods.length * PERIOD_HOURS / 24))
+  };
+};
+
+/**
+ * Build a factor with its points out of the factor weight
+ * @param {string} factor - Factor key in cropRecommendation.weights
+ * @param {number|null} score - Score from 0 to 1 (null when the factor cannot be scored)
+ * @param {Object} details - Factor inputs and note
+ * @returns {Object} Factor breakdown
+ */
+const buildFactor = (factor, score, details) => {
+  const maxPoints = config.cropRecommendation.weights[factor];
+  return {
+    score: score === null ? null : round(score, 2),
+    points: score === null ? null : round(score * maxPoints),
+    maxPoints,
+    ...details
+  };
+};
+
+/**
+ * Score the current and upcoming seasons for a crop
+ * @param {string} cropType - The type of crop
+ * @param {Object} seasons - Current and upcoming season keys
+ * @param {string} language - Language of the note
+ * @returns {Object} Season factor
+ */
+const scoreSeason = (cropType, seasons, language) => {
+  const { seasonShares, suitabilityScores } = config.cropRecommendation;
+  const current = getSeasonSuitability(cropType, seasons.current);
+  const upcoming = getSeasonSuitability(cropType, seasons.upcoming);
+
+  return buildFactor('season', suitabilityScores[current] * seasonShares.current + suitabilityScores[upcoming] * seasonShares.upcoming, {
+    current: { season: seasons.current, suitability: current },
+    upcoming: { season: seasons.upcoming, suitability: upcoming },
+    note: translate(language, 'recommend.season', {
+      current: translatePhrase(language, seasons.current),
+      currentSuitability: translate(language, `recommend.suitability.${current}`),
+      upcoming: translatePhrase(language, seasons.upcoming),
+      upcomingSuitability: translate(language, `recommend.suitability.${upcoming}`)
+    })
+  });
+};
+
+/**
+ * Score soil pH for a crop: 1 at the optimal pH, 0.5 at the edges of the range and 0 outside it
+ * @param {string} cropType - The type of crop
+ * @param {number} soilPh - Soil pH (optional)
+ * @param {string} language - Language of the note
+ * @returns {Object} Soil pH factor (not scored without a soil pH)
+ */
+const scoreSoilPh = (cropType, soilPh, language) => {
+  const suitability = isSoilPhSuitableForCrop(cropType, soilPh, language);
+  const details = { soilPh: soilPh ?? null, range: getCropInfo(cropType).soilPh, note: suitability.message };
+
+  if (soilPh === undefined || soilPh === null) {
+    return buildFactor('soilPh', null, details);
+  }
+  if (!suitability.suitable) {
+    return buildFactor('soilPh', 0, { ...details, recommendation: suitability.recommendation });
+  }
+
+  const { min, max, optimal } = suitability.cropPhRange;
+  const edge = soilPh < optimal ? optimal - min : max - optimal;
+  return buildFactor('soilPh', edge > 0 ? 1 - 0.5 * Math.abs(soilPh - optimal) / edge : 1, details);
+};
+
+/**
+ * Score forecast rainfall against the crop's water needs, softened by the variety's drought resistance
+ * @param {Object} crop - Crop definition
+ * @param {Object} varietyInfo - Variety definition
+ * @param {Object|null} conditions - Result of summarizeGrowingConditions
+ * @param {string} language - Language of the note
+ * @returns {Object} Rainfall factor (not scored without a forecast)
+ */
+const scoreRainfall = (crop, varietyInfo, conditions, language) => {
+  const { waterNeedsRainfall, droughtResistanceScores } = config.cropRecommendation;
+  const need = waterNeedsRainfall[crop.waterNeeds] ?? waterNeedsRainfall.moderate;
+  const droughtResistance = varietyInfo.droughtResistance || 'moderate';
+  const details = { need, droughtResistance };
+
+  if (!conditions) {
+    return buildFactor('rainfall', null, { ...details, rainfallPerDay: null, note: translate(language, 'recommend.noForecast') });
+  }
+
+  const { rainfallPerDay } = conditions;
+  const deficit = Math.max(1 - rainfallPerDay / need, 0);
+  const resistance = droughtResistanceScores[droughtResistance] ?? droughtResistanceScores.moderate;
+
+  return buildFactor('rainfall', 1 - deficit * (1 - resistance), {
+    ...details,
+    rainfallPerDay,
+    note: deficit === 0
+      ? translate(language, 'recommend.rainfall.enough', { rainfall: rainfallPerDay, need })
+      : translate(language, 'recommend.rainfall.short', {
+        rainfall: rainfallPerDay,
+        need,
+        level: translatePhrase(language, droughtResistance)
+      })
+  });
+};
+
+/**
+ * Score the average forecast temperature against the crop's temperature range
+ * @param {Object} crop - Crop definition
+ * @param {Object|null} conditions - Result of summarizeGrowingConditions
+ * @param {string} language - Language of the note
+ * @returns {Object} Temperature factor (not scored without a forecast or a climate range)
+ */
+const scoreTemperature = (crop, conditions, language) => {
+  const range = crop.climate?.temperature || null;
+
+  if (!conditions || !range) {
+    return buildFactor('temperature', null, {
+      averageTemperature: conditions?.averageTemperature ?? null,
+      range,
+      note: translate(language, conditions ? 'recommend.noClimate' : 'recommend.noForecast')
+    });
+  }
+
+  return buildFactor('temperature', scoreRange(conditions.averageTemperature, range), {
+    averageTemperature: conditions.averageTemperature,
+    range,
+    note: translate(language, 'recommend.temperature', {
+      temperature: conditions.averageTemperature,
+      optimalMin: range.optimalMin,
+      optimalMax: range.optimalMax
+    })
+  });
+};
+
+/**
+ * Score the plot altitude against the crop's altitude range
+ * @param {Object} crop - Crop definition
+ * @param {number} altitude - Altitude in metres
+ * @param {string} language - Language of the note
+ * @returns {Object} Altitude factor (not scored without an altitude or a climate range)
+ */
+const scoreAltitude = (crop, altitude, language) => {
+  const range = crop.climate?.altitude || null;
+
+  if (typeof altitude !== 'number' || !range) {
+    return buildFactor('altitude', null, {
+      altitude: altitude ?? null,
+      range,
+      note: translate(language, range ? 'recommend.noAltitude' : 'recommend.noClimate')
+    });
+  }
+
+  return buildFactor('altitude', scoreRange(altitude, range), {
+    altitude,
+    range,
+    note: translate(language, 'recommend.altitude', { altitude, optimalMin: range.optimalMin, optimalMax: range.optimalMax })
+  });
+};
+
+/**
+ * Rank every crop and variety for a location, season and soil
+ * Each factor scores 0 to 1 and earns that share of its weight in cropRecommendation.weights:
+ * the current and upcoming season (preferred, possible or unsuitable), soil pH fit, forecast
+ * rainfall against the crop's water needs (softened by the variety's drought resistance), and the
+ * forecast temperature and plot altitude against the crop's `climate` ranges. Factors that cannot
+ * be scored (no soil pH, forecast or altitude) are left out and the total is scaled to 100.
+ * @param {Object} options - Ranking options
+ * @param {Object} options.seasons - Current and upcoming season keys
+ * @param {number} options.soilPh - Soil pH (optional)
+ * @param {number} options.altitude - Plot altitude in metres (optional)
+ * @param {Object} options.forecastSummary - Forecast summary with periods (optional)
+ * @param {string} options.language - Language of the notes (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Growing conditions and ranked crop and variety entries with factor breakdowns
+ */
+export const rankCrops = (options = {}) => {
+  const { seasons, soilPh, altitude, forecastSummary, language = config.defaultLanguage } = options;
+  const conditions = summarizeGrowingConditions(forecastSummary);
+
+  const entries = Object.keys(config.crops).flatMap(cropType => {
+    const crop = getCropInfo(cropType);
+    const cropFactors = {
+      season: scoreSeason(cropType, seasons, language),
+      soilPh: scoreSoilPh(cropType, soilPh, language),
+      temperature: scoreTemperature(crop, conditions, language),
+      altitude: scoreAltitude(crop, altitude, language)
+    };
+
+    return Object.entries(crop.varieties).map(([variety, varietyInfo]) => {
+      const factors = { ...cropFactors, rainfall: scoreRainfall(crop, varietyInfo, conditions, language) };
+      const scored = Object.values(factors).filter(factor => factor.points !== null);
+      const maxPoints = scored.reduce((sum, factor) => sum + factor.maxPoints, 0);
+      const points = scored.reduce((sum, factor) => sum + factor.points, 0);
+
+      return {
+        crop: cropType,
+        variety,
+        description: varietyInfo.description,
+        score: maxPoints > 0 ? Math.round(points / maxPoints * 100) : 0,
+        factors
+      };
+    });
+  });
+
+  const ranked = entries
+    .sort((a, b) => b.score - a.score)
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+  return { conditions, ranked };
+};
+
+/**
+ * Describe the best variety of the top-ranked crops in one line
+ * @param {Array} ranked - Ranked entries from rankCrops
+ * @param {string} language - Language of the summary (defaults to DEFAULT_LANGUAGE)
+ * @param {number} count - Number of crops to name
+ * @returns {string} Summary
+ */
+export const describeCropRanking = (ranked, language = config.defaultLanguage, count = 3) => translate(language, 'recommend.summary', {
+  options: ranked
+    .filter((entry, index) => ranked.findIndex(other => other.crop === entry.crop) === index)
+    .slice(0, count)
+    .map(entry => `${translatePhrase(language, entry.crop)} (${entry.variety}, ${entry.score})`)
+    .join(', ')
+});
@@ -0,0 +1,321 @@
+import config from '../config/config.js';
+import { getCropInfo, getSeasonSuitability } from './cropUtils.js';
+import { translate, translatePhrase } from './i18nUtils.js';
+import { getSeasonCalendar, getSeasonOccurrences, toUtcDate, formatDate, addDays } from './seasonUtils.js';
+
+/**
+ * Get a crop's rotation rules
+ * @param {string} cropType - The type of crop
+ * @returns {Object|null} Rotation rules with defaults (null for crops without rules)
+ */
+const getRotationRules = (cropType) => {
+  const rotation = cropType ? getCropInfo(cropType).rotation : null;
+  if (!rotation) {
+    return null;
+  }
+  return { nitrogenCredit: 0, breakDiseases: [], intercrop: [], perennial: false, ...rotation };
+};
+
+/**
+ * Get the crops with rotation rules
+ * @returns {Array} Crop types
+ */
+export const getRotationCrops = () => Object.keys(config.crops).filter(cropType => config.crops[cropType].rotation);
+
+/**
+ * List compatible intercrop pairs from the crop definitions
+ * @returns {Array} Pairs of crops, with the legume partners that fix nitrogen
+ */
+export const getIntercropPairs = () => {
+  const pairs = new Map();
+
+  getRotationCrops().forEach(cropType => {
+    getRotationRules(cropType).intercrop.forEach(partner => {
+      const crops = [cropType, partner].sort();
+      pairs.set(crops.join('+'), {
+        crops,
+        legumes: crops.filter(crop => getRotationRules(crop)?.nitrogenCredit > 0)
+      });
+    });
+  });
+
+  return Array.from(pairs.values());
+};
+
+/**
+ * List the next season occurrences from a date, starting with the current season
+ * @param {Date} from - Planning start date
+ * @param {number} count - Number of seasons
+ * @param {string} region - Season calendar region
+ * @returns {Array} Seasons in order with dates, status and whether crops can be grown
+ */
+const listSeasons = (from, count, region) => {
+  const to = addDays(from, Math.ceil(count / 4 + 1) * 366);
+
+  return Object.keys(config.seasons)
+    .flatMap(season => getSeasonOccurrences(season, from, to, region))
+    .filter(occurrence => occurrence.endDate >= from)
+    .sort((a, b) => a.startDate - b.startDate)
+    .slice(0, count)
+    .map(occurrence => ({
+      season: occurrence.season,
+      startDate: formatDate(occurrence.startDate),
+      endDate: formatDate(occurrence.endDate),
+      status: occurrence.startDate <= from ? 'current' : 'upcoming',
+      growing: config.seasons[occurrence.season].rainy
+    }));
+};
+
+/**
+ * Nitrogen a legume leaves for the next crop
+ * @param {Object} entry - Previous growing season entry (crop and intercrop partners)
+ * @returns {Object|null} Credit in kg N/ha and the legume that left it
+ */
+const getNitrogenCredit = (entry) => {
+  const main = getRotationRules(entry.crop);
+  if (main?.nitrogenCredit > 0) {
+    return { kg: main.nitrogenCredit, legume: entry.crop };
+  }
+
+  const legume = (entry.intercrop || []).find(partner => getRotationRules(partner)?.nitrogenCredit > 0);
+  return legume
+    ? { kg: Math.round(getRotationRules(legume).nitrogenCredit * config.rotation.intercropCreditShare), legume }
+    : null;
+};
+
+/**
+ * Annual intercrop partners for a crop in a season
+ * @param {string} cropType - Main crop
+ * @param {string} season - Season key
+ * @returns {Array} Partner crop types
+ */
+const getIntercropPartners = (cropType, season) => getRotationRules(cropType).intercrop
+  .filter(partner => !getRotationRules(partner)?.perennial && getSeasonSuitability(partner, season) !== 'unsuitable');
+
+/**
+ * Check a crop against the disease-break rule
+ * A crop waits `breakSeasons` growing seasons after any crop of its family.
+ * @param {string} cropType - Candidate crop
+ * @param {Array} previous - Earlier growing season entries, oldest first
+ * @returns {Object|null} The conflicting crop, or null when the break is respected
+ */
+const findBreakConflict = (cropType, previous) => {
+  const rules = getRotationRules(cropType);
+  if (rules.breakSeasons === 0) {
+    return null;
+  }
+
+  const conflict = previous
+    .slice(-rules.breakSeasons)
+    .find(entry => getRotationRules(entry.crop)?.family === rules.family);
+  return conflict ? { crop: conflict.crop } : null;
+};
+
+/**
+ * Score a crop for a growing season after the previous growing seasons
+ * @param {string} cropType - Candidate crop
+ * @param {string} season - Season key
+ * @param {Array} previous - Earlier growing season entries, oldest first
+ * @param {string} language - Language of the reasons
+ * @returns {Object} Entry with score and reasons, or { excluded } when the crop cannot follow
+ */
+const assessCrop = (cropType, season, previous, language) => {
+  const t = (key, params) => translate(language, key, params);
+  const phrase = (text) => translatePhrase(language, text);
+  const { scores } = config.rotation;
+  const rules = getRotationRules(cropType);
+  // Only rainy seasons are planned, so the season is preferred or possible
+  const suitability = getSeasonSuitability(cropType, season);
+
+  const conflict = findBreakConflict(cropType, previous);
+  if (conflict) {
+    return {
+      excluded: t('rotation.excludedBreak', {
+        crop: phrase(cropType),
+        previous: phrase(conflict.crop),
+        seasons: rules.breakSeasons,
+        diseases: rules.breakDiseases.map(phrase).join(', ') || phrase(cropType)
+      })
+    };
+  }
+
+  let score = scores[suitability];
+  const reasons = [t(`rotation.reasons.${suitability}Season`, { crop: phrase(cropType), season: phrase(season) })];
+  let nitrogenCredit = 0;
+
+  const last = previous[previous.length - 1];
+  const lastRules = getRotationRules(last?.crop);
+  if (lastRules && lastRules.family !== rules.family) {
+    score += scores.familyChange;
+    reasons.push(t('rotation.reasons.familyChange', { previous: phrase(last.crop) }));
+
+    if (lastRules.breakDiseases.length > 0) {
+      score += scores.diseaseBreak;
+      reasons.push(t('rotation.reasons.diseaseBreak', {
+        previous: phrase(last.crop),
+        diseases: lastRules.breakDiseases.map(phrase).join(', ')
+      }));
+    }
+  }
+
+  const credit = last ? getNitrogenCredit(last) : null;
+  if (credit && credit.legume !== cropType) {
+    nitrogenCredit = Math.min(credit.kg, getCropInfo(cropType).fertilizer?.requirement.n ?? credit.kg);
+    score += Math.round(nitrogenCredit * scores.nitrogenCredit);
+    reasons.push(t('rotation.reasons.nitrogenCredit', { kg: nitrogenCredit, previous: phrase(credit.legume) }));
+  }
+
+  const intercrop = getIntercropPartners(cropType, season);
+  if (intercrop.length > 0) {
+    score += scores.intercrop;
+    const legume = intercrop.find(partner => getRotationRules(partner)?.nitrogenCredit > 0);
+    reasons.push(legume
+      ? t('rotation.reasons.legumeIntercrop', { partner: phrase(legume), crop: phrase(cropType) })
+      : t('rotation.reasons.intercrop', { partners: intercrop.map(phrase).join(', ') }));
+  }
+
+  return { crop: cropType, intercrop, nitrogenCredit, score, reasons };
+};
+
+/**
+ * Enumerate rotation sequences over the planned seasons
+ * Every annual crop allowed by its season and disease-break rule is tried in each growing
+ * season; a growing season with no allowed crop is left fallow.
+ * @param {Array} seasons - Planned seasons
+ * @param {Array} history - Earlier growing season entries, oldest first
+ * @param {string} language - Language of the reasons
+ * @returns {Array} Sequences with their season entries and total score
+ */
+const enumerateSequences = (seasons, history, language) => {
+  const candidates = getRotationCrops().filter(cropType => !getRotationRules(cropType).perennial);
+  const sequences = [];
+
+  const extend = (index, previous, plan, score) => {
+    if (index === seasons.length) {
+      sequences.push({ plan, score });
+      return;
+    }
+
+    const season = seasons[index];
+    if (!season.growing) {
+      extend(index + 1, previous, [...plan, {
+        ...season, crop: null, intercrop: [], nitrogenCredit: 0, score: 0,
+        reasons: [translate(language, 'rotation.fallow', { season: translatePhrase(language, season.season) })],
+        excluded: []
+      }], score);
+      return;
+    }
+
+    const assessments = candidates.map(cropType => assessCrop(cropType, season.season, previous, language));
+    const excluded = assessments.filter(assessment => assessment.excluded).map(assessment => assessment.excluded);
+    const allowed = assessments.filter(assessment => !assessment.excluded);
+
+    if (allowed.length === 0) {
+      extend(index + 1, [...previous, { crop: null }], [...plan, {
+        ...season, crop: null, intercrop: [], nitrogenCredit: 0, score: 0,
+        reasons: [translate(language, 'rotation.noCrop')],
+        excluded
+      }], score);
+      return;
+    }
+
+    allowed.forEach(({ crop, intercrop, nitrogenCredit, score: cropScore, reasons }) => {
+      extend(index + 1, [...previous, { crop, intercrop }], [...plan, {
+        ...season, crop, intercrop, nitrogenCredit, score: cropScore, reasons, excluded
+      }], score + cropScore);
+    });
+  };
+
+  extend(0, history, [], 0);
+  return sequences;
+};
+
+/**
+ * Keep a perennial crop on the plot and plan intercrops for its growing seasons
+ * @param {string} cropType - Perennial crop
+ * @param {Array} seasons - Planned seasons
+ * @param {string} language - Language of the reasons
+ * @returns {Object} Single sequence
+ */
+const planPerennial = (cropType, seasons, language) => {
+  const plan = seasons.map(season => {
+    const intercrop = season.growing ? getIntercropPartners(cropType, season.season) : [];
+    const reasons = [translate(language, 'rotation.perennial', { crop: translatePhrase(language, cropType) })];
+    if (intercrop.length > 0) {
+      reasons.push(translate(language, 'rotation.reasons.intercrop', { partners: intercrop.map(partner => translatePhrase(language, partner)).join(', ') }));
+    }
+    return { ...season, crop: cropType, intercrop, nitrogenCredit: 0, score: 0, reasons, excluded: [] };
+  });
+
+  return { plan, score: 0 };
+};
+
+/**
+ * Describe a rotation sequence in one line
+ * @param {Object} sequence - Ranked sequence
+ * @param {string} language - Language of the summary (defaults to DEFAULT_LANGUAGE)
+ * @returns {string} Summary
+ */
+export const describeRotation = (sequence, language = config.defaultLanguage) => {
+  const steps = sequence.plan
+    .filter(entry => entry.crop)
+    .map(entry => {
+      const crops = [entry.crop, ...entry.intercrop].map(crop => translatePhrase(language, crop)).join(' + ');
+      return `${crops} (${translatePhrase(language, entry.season)} ${entry.startDate.slice(0, 4)})`;
+    });
+
+  return steps.length > 0
+    ? translate(language, 'rotation.summary', { sequence: steps.join(' -> ') })
+    : translate(language, 'rotation.noCrop');
+};
+
+/**
+ * Plan crop rotation and intercropping for a plot across the coming seasons
+ * Rules come from each crop's `rotation` block: its family and the growing seasons
+ * (`breakSeasons`) its family must be absent before it returns, the diseases the break
+ * controls, the nitrogen a legume leaves (`nitrogenCredit`) and compatible `intercrop`
+ * partners. Dry seasons are left fallow; a perennial crop stays on the plot.
+ * @param {Object} options - Planner options
+ * @param {Array} options.history - Crops grown on the plot, oldest first ({ crop, intercrop })
+ * @param {number} options.seasons - Number of seasons to plan (defaults to rotation.defaultSeasons)
+ * @param {Date|string} options.from - Planning start date (defaults to today)
+ * @param {string} options.region - Season calendar region (optional)
+ * @param {string} options.language - Language of the reasons (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Ranked rotation sequences and the compatible intercrop pairs
+ */
+export const buildRotationPlan = (options = {}) => {
+  const {
+    history = [],
+    seasons: count = config.rotation.defaultSeasons,
+    language = config.defaultLanguage
+  } = options;
+  const calendar = getSeasonCalendar(options.region);
+  const from = toUtcDate(options.from || new Date());
+  const seasons = listSeasons(from, count, calendar.id);
+
+  const growingHistory = history.map(entry => ({ crop: entry.crop, intercrop: entry.intercrop || [] }));
+  const current = growingHistory[growingHistory.length - 1];
+
+  const sequences = getRotationRules(current?.crop)?.perennial
+    ? [planPerennial(current.crop, seasons, language)]
+    : enumerateSequences(seasons, growingHistory, language);
+
+  const ranked = sequences
+    .sort((a, b) => b.score - a.score)
+    .slice(0, config.rotation.maxSequences)
+    .map((sequence, index) => ({
+      rank: index + 1,
+      score: sequence.score,
+      crops: sequence.plan.filter(entry => entry.crop).map(entry => entry.crop),
+      plan: sequence.plan
+    }));
+
+  return {
+    region: { id: calendar.id, name: calendar.name },
+    from: formatDate(from),
+    history: growingHistory,
+    sequences: ranked,
+    intercropPairs: getIntercropPairs(),
+    summary: ranked.length > 0 ? describeRotation(ranked[0], language) : translate(language, 'rotation.noCrop')
+  };
+};
@@ -0,0 +1,357 @@
+import config from '../config/config.js';
+import { isMonthDayInRange, toMonthDay } from '../config/calendarCatalog.js';
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize a date input to midnight UTC
+ * @param {Date|string} date - Date object or ISO date string
+ * @returns {Date} Date at midnight UTC
+ */
+export const toUtcDate = (date = new Date()) => {
+  const value = date instanceof Date ? date : new Date(date);
+  if (Number.isNaN(value.getTime())) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+  return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+};
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {string} ISO calendar date
+ */
+export const formatDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Add days to a date
+ * @param {Date} date - Start date
+ * @param {number} days - Number of days to add (may be negative)
+ * @returns {Date} New date
+ */
+export const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Whole days between two dates
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {number} Days from `from` to `to`
+ */
+export const daysBetween = (from, to) => Math.round((to.getTime() - from.getTime()) / DAY_MS);
+
+/**
+ * Build a date from a year and an MM-DD string, clamping 02-29 in non-leap years
+ * @param {number} year - Calendar year
+ * @param {string} monthDay - Date in MM-DD format
+ * @returns {Date} Date at midnight UTC
+ */
+const fromMonthDay = (year, monthDay) => {
+  const [month, day] = monthDay.split('-').map(Number);
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1, Math.min(day, daysInMonth)));
+};
+
+/**
+ * Resolve the concrete start and end dates of a range occurrence containing a date
+ * @param {Date} date - Date inside the range
+ * @param {Object} range - Range with MM-DD start and end
+ * @returns {Object} Start and end dates
+ */
+const resolveOccurrence = (date, { start, end }) => {
+  const year = date.getUTCFullYear();
+  const monthDay = (date.getUTCMonth() + 1) * 100 + date.getUTCDate();
+
+  if (toMonthDay(start) <= toMonthDay(end)) {
+    return { startDate: fromMonthDay(year, start), endDate: fromMonthDay(year, end) };
+  }
+
+  return monthDay >= toMonthDay(start)
+    ? { startDate: fromMonthDay(year, start), endDate: fromMonthDay(year + 1, end) }
+    : { startDate: fromMonthDay(year - 1, start), endDate: fromMonthDay(year, end) };
+};
+
+/**
+ * Get the season calendar for a region
+ * @param {string} region - Region id (defaults to the configured default region)
+ * @returns {Object} Calendar definition with its id
+ */
+export const getSeasonCalendar = (region = config.defaultSeasonRegion) => {
+  const id = (region || config.defaultSeasonRegion).toLowerCase();
+  const calendar = config.seasonCalendars[id];
+
+  if (!calendar) {
+    throw new Error(`Unsupported region: ${region}. Supported regions: ${getSeasonRegions().join(', ')}`);
+  }
+
+  return { id, ...calendar };
+};
+
+/**
+ * Get all configured season calendar regions
+ * @returns {Array} Region ids
+ */
+export const getSeasonRegions = () => Object.keys(config.seasonCalendars);
+
+/**
+ * Find the calendar region whose bounds contain a location
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @returns {string} Region id (the default region when no bounds match)
+ */
+export const detectRegion = (lat, lon) => {
+  if (typeof lat !== 'number' || typeof lon !== 'number') {
+    return config.defaultSeasonRegion;
+  }
+
+  const match = Object.entries(config.seasonCalendars).find(([, calendar]) => {
+    const { bounds } = calendar;
+    return bounds &&
+      lat >= bounds.minLat && lat <= bounds.maxLat &&
+      lon >= bounds.minLon && lon <= bounds.maxLon;
+  });
+
+  return match ? match[0] : config.defaultSeasonRegion;
+};
+
+/**
+ * List occurrences of a season that overlap a date range
+ * Each occurrence includes its onset transition (e.g. onset of long rains) when the calendar defines one.
+ * @param {string} season - Season key
+ * @param {Date|string} fromDate - Range start
+ * @param {Date|string} toDate - Range end
+ * @param {string} region - Calendar region
+ * @returns {Array} Occurrences with start, end and onset dates (Date objects)
+ */
+export const getSeasonOccurrences = (season, fromDate, toDate, region = config.defaultSeasonRegion) => {
+  const calendar = getSeasonCalendar(region);
+  const range = calendar.seasons.find(definition => definition.season === season);
+
+  if (!range) {
+    throw new Error(`Season ${season} is not defined in the ${calendar.id} calendar`);
+  }
+
+  const onset = calendar.transitions.find(transition => transition.to === season);
+  const from = toUtcDate(fromDate);
+  const to = toUtcDate(toDate);
+  const wraps = toMonthDay(range.start) > toMonthDay(range.end);
+  const occurrences = [];
+
+  for (let year = from.getUTCFullYear() - 1; year <= to.getUTCFullYear(); year++) {
+    const startDate = fromMonthDay(year, range.start);
+    const endDate = fromMonthDay(wraps ? year + 1 : year, range.end);
+
+    if (endDate < from || startDate > to) continue;
+
+    let onsetStart = null;
+    if (onset) {
+      onsetStart = fromMonthDay(year, onset.start);
+      if (onsetStart > startDate) onsetStart = fromMonthDay(year - 1, onset.start);
+    }
+
+    occurrences.push({
+      season,
+      startDate,
+      endDate,
+      onset: onset ? { key: onset.key, name: onset.name, startDate: onsetStart } : null
+    });
+  }
+
+  return occurrences;
+};
+
+/**
+ * Find the calendar season that contains a date
+ * @param {Object} calendar - Calendar definition
+ * @param {Date} date - Date at midnight UTC
+ * @returns {Object} Season range
+ */
+const findSeasonRange = (calendar, date) => {
+  const monthDay = (date.getUTCMonth() + 1) * 100 + date.getUTCDate();
+  return calendar.seasons.find(({ start, end }) => isMonthDayInRange(monthDay, start, end));
+};
+
+/**
+ * Detect Rwanda's agricultural season for a date and region
+ * @param {Date|string} date - Target date (defaults to today)
+ * @param {string} region - Calendar region (defaults to the configured default region)
+ * @returns {Object} Season information
+ */
+export const detectCurrentSeason = (date = new Date(), region = config.defaultSeasonRegion) => {
+  const targetDate = toUtcDate(date);
+  const calendar = getSeasonCalendar(region);
+  const range = findSeasonRange(calendar, targetDate);
+  const { startDate, endDate } = resolveOccurrence(targetDate, range);
+  const monthDay = (targetDate.getUTCMonth() + 1) * 100 + targetDate.getUTCDate();
+
+  const activeTransition = calendar.transitions.find(({ start, end }) => isMonthDayInRange(monthDay, start, end));
+  let transition = null;
+
+  if (activeTransition) {
+    const occurrence = resolveOccurrence(targetDate, activeTransition);
+    transition = {
+      key: activeTransition.key,
+      name: activeTransition.name,
+      from: activeTransition.from,
+      to: activeTransition.to,
+      startDate: formatDate(occurrence.startDate),
+      endDate: formatDate(occurrence.endDate),
+      advice: activeTransition.advice || null
+    };
+  }
+
+  const nextStart = addDays(endDate, 1);
+  const nextRange = findSeasonRange(calendar, nextStart);
+
+  return {
+    season: range.season,
+    ...config.seasons[range.season],
+    start: MONTH_NAMES[startDate.getUTCMonth()],
+    end: MONTH_NAMES[endDate.getUTCMonth()],
+    currentMonth: targetDate.getUTCMonth() + 1,
+    date: formatDate(targetDate),
+    region: { id: calendar.id, name: calendar.name },
+    startDate: formatDate(startDate),
+    endDate: formatDate(endDate),
+    daysIntoSeason: daysBetween(startDate, targetDate),
+    daysRemaining: daysBetween(targetDate, endDate),
+    transition,
+    nextSeason: {
+      season: nextRange.season,
+      startDate: formatDate(nextStart)
+    }
+  };
+};
+
+// Human-readable labels for season onset outcomes
+const ONSET_STATUS_LABELS = {
+  onset_confirmed: 'onset confirmed',
+  false_start: 'false start',
+  delayed_onset: 'delayed onset',
+  early_cessation: 'early cessation',
+  dry_spell: 'mid-season dry spell',
+  on_track: 'on track',
+  early_onset: 'early onset',
+  unseasonal_rain: 'unseasonal rain',
+  as_expected: 'as expected',
+  calendar_only: 'calendar estimate'
+};
+
+/**
+ * Largest rainfall total over any run of consecutive forecast days
+ * @param {Array} rainfall - Daily rainfall in mm
+ * @param {number} windowDays - Run length in days
+ * @returns {number} Maximum accumulated rainfall
+ */
+const maxRollingRainfall = (rainfall, windowDays) => {
+  if (rainfall.length <= windowDays) {
+    return rainfall.reduce((sum, value) => sum + value, 0);
+  }
+
+  let max = 0;
+  for (let i = 0; i + windowDays <= rainfall.length; i++) {
+    const total = rainfall.slice(i, i + windowDays).reduce((sum, value) => sum + value, 0);
+    if (total > max) max = total;
+  }
+  return max;
+};
+
+/**
+ * Combine the calendar season with forecast rainfall to judge whether the season is behaving as expected
+ * Rainy seasons are checked for delayed onset, false starts, dry spells and early cessation;
+ * dry seasons for early onset of the next rains or unseasonal rain.
+ * @param {Object} seasonInfo - Season details from detectCurrentSeason
+ * @param {Object} forecastSummary - Summary from summarizeForecast
+ * @param {boolean} forecastAvailable - False when the summary is a placeholder (weather service down)
+ * @returns {Object} Onset assessment with status, label, confidence and reasoning
+ */
+export const assessSeasonOnset = (seasonInfo, forecastSummary, forecastAvailable = true) => {
+  const settings = config.seasonOnset;
+  const calendarSeason = seasonInfo.season;
+  const isRainySeason = config.seasons[calendarSeason].rainy;
+  const { transition } = seasonInfo;
+
+  const buildResult = (status, confidence, reasoning) => ({
+    calendarSeason,
+    status,
+    label: `${calendarSeason} – ${ONSET_STATUS_LABELS[status]}`,
+    confidence: Math.round(confidence * 100) / 100,
+    observedRainfall: forecastAvailable ? forecastSummary.totalRainfall : null,
+    forecastPeriod: forecastSummary.forecastPeriod || null,
+    reasoning
+  });
+
+  if (!forecastAvailable) {
+    return buildResult('calendar_only', 0.3, 'No forecast available; season is based on the calendar only');
+  }
+
+  const days = forecastSummary.dailySummaries && forecastSummary.dailySummaries.length > 0
+    ? forecastSummary.dailySummaries
+    : [{ totalRainfall: forecastSummary.totalRainfall }];
+  const rainfall = days.map(day => day.totalRainfall);
+  const totalRainfall = forecastSummary.totalRainfall;
+  const wetDays = rainfall.filter(value => value >= settings.wetDayRainfall).length;
+  const onsetRainfall = maxRollingRainfall(rainfall, settings.onsetWindowDays);
+  const onsetMet = onsetRainfall >= settings.onsetRainfall;
+
+  let trailingDryDays = 0;
+  for (let i = rainfall.length - 1; i >= 0 && rainfall[i] < settings.wetDayRainfall; i--) {
+    trailingDryDays++;
+  }
+
+  // A 5-day forecast is the most the API offers; shorter windows lower confidence
+  const coverage = Math.min(1, days.length / 5);
+  const deviationConfidence = (strength) => 0.4 + 0.5 * coverage * Math.min(1, Math.max(0, strength));
+  const expectedConfidence = 0.5 + 0.4 * coverage;
+
+  if (isRainySeason) {
+    const inOnsetPeriod = seasonInfo.daysIntoSeason <= settings.onsetPeriodDays ||
+      (transition && transition.to === calendarSeason);
+    const inCessationPeriod = seasonInfo.daysRemaining <= settings.cessationPeriodDays ||
+      (transition && transition.from === calendarSeason);
+    const looksDry = totalRainfall < settings.minimumRainfall;
+
+    if (inOnsetPeriod) {
+      if (onsetMet) {
+        return buildResult('onset_confirmed', deviationConfidence(onsetRainfall / settings.onsetRainfall),
+          `${Math.round(onsetRainfall)}mm expected within ${settings.onsetWindowDays} days meets the ${settings.onsetRainfall}mm onset threshold`);
+      }
+      if (wetDays > 0 && trailingDryDays >= settings.falseStartDryDays) {
+        return buildResult('false_start', deviationConfidence(trailingDryDays / days.length + 0.3),
+          `Early showers (${totalRainfall}mm) are followed by ${trailingDryDays} dry days`);
+      }
+      if (looksDry) {
+        return buildResult('delayed_onset', deviationConfidence(1 - totalRainfall / settings.minimumRainfall),
+          `Only ${totalRainfall}mm expected over ${forecastSummary.forecastPeriod || 'the forecast window'} at the start of ${calendarSeason}`);
+      }
+    } else if (looksDry && inCessationPeriod) {
+      return buildResult('early_cessation', deviationConfidence(1 - totalRainfall / settings.minimumRainfall),
+        `Only ${totalRainfall}mm expected near the end of ${calendarSeason}; rains appear to be ending early`);
+    } else if (looksDry && days.length >= 2) {
+      return buildResult('dry_spell', deviationConfidence(1 - totalRainfall / settings.minimumRainfall),
+        `Only ${totalRainfall}mm expected over ${forecastSummary.forecastPeriod || 'the forecast window'} during ${calendarSeason}`);
+    }
+
+    return buildResult('on_track', expectedConfidence,
+      `${totalRainfall}mm expected with ${wetDays} wet day(s), consistent with ${calendarSeason}`);
+  }
+
+  const approachingRains = transition && config.seasons[transition.to] && config.seasons[transition.to].rainy;
+
+  if (onsetMet && approachingRains) {
+    return buildResult('early_onset', deviationConfidence(onsetRainfall / settings.onsetRainfall),
+      `${Math.round(onsetRainfall)}mm expected within ${settings.onsetWindowDays} days suggests ${transition.to} is starting early`);
+  }
+
+  if (onsetMet) {
+    return buildResult('unseasonal_rain', deviationConfidence(onsetRainfall / settings.onsetRainfall),
+      `${Math.round(onsetRainfall)}mm expected within ${settings.onsetWindowDays} days is unusual for ${calendarSeason}`);
+  }
+
+  return buildResult('as_expected', expectedConfidence,
+    `${totalRainfall}mm expected, consistent with ${calendarSeason}`);
+};
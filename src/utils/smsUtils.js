@@ -0,0 +1,158 @@
+import config from '../config/config.js';
+import { translate, translatePhrase } from './i18nUtils.js';
+
+// GSM 03.38 extension characters take two septets in an SMS
+const GSM_EXTENSION_CHARACTERS = /[\^{}\\[\]~|€]/g;
+
+// Characters outside the GSM alphabet with a plain replacement
+const SMS_REPLACEMENTS = [
+  [/°C/g, 'C'],
+  [/°/g, ''],
+  [/[–—]/g, '-'],
+  [/[‘’]/g, "'"],
+  [/[“”«»]/g, '"'],
+  [/…/g, '...'],
+  [/≥/g, '>='],
+  [/≤/g, '<=']
+];
+
+/**
+ * Get the text of an advice list item (hybrid advice tags items as { text, source })
+ * @param {string|Object} item - Advice list item
+ * @returns {string} Item text
+ */
+const getItemText = (item) => (typeof item === 'string' ? item : item?.text || '');
+
+/**
+ * Reduce text to the GSM 7-bit alphabet so a segment holds 160 characters
+ * Accents are dropped (é -> e): a single non-GSM character would switch the
+ * whole message to UCS-2 and cut segments to 70 characters.
+ * @param {string} text - Advice text
+ * @returns {string} SMS-safe text on one line
+ */
+export const toSmsText = (text) => SMS_REPLACEMENTS
+  .reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), String(text))
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7e€]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Count the septets a text takes in a GSM 7-bit SMS
+ * @param {string} text - SMS-safe text
+ * @returns {number} Length in septets
+ */
+export const getSmsLength = (text) => text.length + (text.match(GSM_EXTENSION_CHARACTERS) || []).length;
+
+/**
+ * Rank the advice warnings for a short message
+ * Warnings about a High forecast-driven disease or outbreak risk come first (highest
+ * disease risk score first), followed by the remaining warnings in advice order.
+ * @param {Object} advice - Advice from adviceService.generateAdvice
+ * @returns {Array} Warning texts, most urgent first
+ */
+export const rankWarnings = (advice) => {
+  const outbreaks = [
+    ...(advice.possible_diseases || [])
+      .filter(entry => entry.risk_level === 'High' && entry.risk_method !== 'seasonal')
+      .map(entry => ({ name: entry.disease_name, score: entry.risk_score })),
+    ...(advice.possible_pests || [])
+      .filter(entry => entry.outbreak_risk === 'High' && entry.risk_method !== 'seasonal')
+      .map(entry => ({ name: entry.pest_name, score: 0 }))
+  ].filter(entry => entry.name);
+
+  return (advice.warnings || [])
+    .map(getItemText)
+    .filter(Boolean)
+    .map((text, index) => {
+      const outbreak = outbreaks.find(entry => text.includes(entry.name));
+      return { text, index, rank: outbreak ? 0 : 1, score: outbreak ? outbreak.score : 0 };
+    })
+    .sort((a, b) => a.rank - b.rank || b.score - a.score || a.index - b.index)
+    .map(({ text }) => text);
+};
+
+/**
+ * Split text longer than a segment at word boundaries
+ * @param {string} text - SMS-safe text
+ * @param {number} length - Segment length
+ * @returns {Array} Parts that each fit in a segment
+ */
+const splitText = (text, length) => {
+  const parts = [];
+  let part = '';
+
+  text.split(' ').forEach(word => {
+    const candidate = part ? `${part} ${word}` : word;
+    if (getSmsLength(candidate) <= length) {
+      part = candidate;
+      return;
+    }
+    if (getSmsLength(word) <= length) {
+      parts.push(part);
+      part = word;
+      return;
+    }
+    // A word longer than a segment is cut
+    part = candidate;
+    while (getSmsLength(part) > length) {
+      parts.push(part.slice(0, length));
+      part = part.slice(length);
+    }
+  });
+
+  if (part) parts.push(part);
+  return parts;
+};
+
+/**
+ * Condense advice into ranked SMS segments: the top warning first, then the top actions
+ * Items are packed into segments in rank order; an item that does not fit in the
+ * current segment starts the next one, and items past the last segment are dropped.
+ * @param {Object} advice - Advice from adviceService.generateAdvice
+ * @param {Object} options - Rendering options
+ * @param {number} options.segmentLength - Characters per segment (defaults to 160)
+ * @param {number} options.maxSegments - Segment limit (defaults to SMS_MAX_SEGMENTS)
+ * @param {string} options.language - Language of the labels (defaults to the advice language)
+ * @returns {Object} Segments and the number of ranked items left out
+ */
+export const renderSmsSegments = (advice, options = {}) => {
+  const {
+    segmentLength = config.sms.segmentLength,
+    maxSegments = config.sms.maxSegments,
+    language = advice.metadata?.language || config.defaultLanguage
+  } = options;
+
+  const [topWarning] = rankWarnings(advice);
+  const actions = (advice.actions || []).map(getItemText).filter(Boolean);
+  const crop = translatePhrase(language, advice.crop);
+
+  const items = [
+    ...(topWarning ? [`${translate(language, 'sms.warning')}: ${topWarning}`] : []),
+    ...actions.map((action, index) => `${index + 1}. ${action}`)
+  ].map(toSmsText);
+  if (items.length > 0 && crop) {
+    items[0] = toSmsText(`${crop.charAt(0).toUpperCase()}${crop.slice(1)} - ${items[0]}`);
+  }
+
+  const segments = [];
+  let omitted = 0;
+
+  items.forEach(item => {
+    const current = segments[segments.length - 1];
+    if (current !== undefined && getSmsLength(`${current} ${item}`) <= segmentLength) {
+      segments[segments.length - 1] = `${current} ${item}`;
+      return;
+    }
+
+    const parts = splitText(item, segmentLength);
+    if (segments.length + parts.length > maxSegments) {
+      omitted++;
+      return;
+    }
+    segments.push(...parts);
+  });
+
+  return { segments, omitted };
+};
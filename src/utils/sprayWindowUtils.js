@@ -0,0 +1,305 @@
+import config from '../config/config.js';
+import { translate } from './i18nUtils.js';
+import { estimateGrowthStage } from './plantingUtils.js';
+
+// OpenWeather forecast entries are 3 hours apart
+const PERIOD_HOURS = 3;
+
+/**
+ * Add hours to an ISO timestamp
+ * @param {string} time - ISO timestamp (UTC, or local without offset)
+ * @param {number} hours - Hours to add
+ * @returns {string} Timestamp in the same form
+ */
+const addHours = (time, hours) => {
+  const utc = time.endsWith('Z') ? time : `${time}:00Z`;
+  const result = new Date(Date.parse(utc) + hours * 3600 * 1000).toISOString();
+  return time.endsWith('Z') ? result : result.slice(0, 16);
+};
+
+/**
+ * Check whether a forecast period counts as rain
+ * @param {Object} period - Forecast period
+ * @returns {boolean} True if the period has rain
+ */
+const isRainy = (period) => period.rainfall >= config.sprayWindow.rainfallThreshold;
+
+/**
+ * Check whether a forecast period falls in daylight (by the local midpoint of the period)
+ * @param {Object} period - Forecast period with localTime
+ * @returns {boolean} True if farmers can spray in the period
+ */
+const isDaylight = (period) => {
+  const midpoint = parseInt(period.localTime.slice(11, 13), 10) + PERIOD_HOURS / 2;
+  const { start, end } = config.sprayWindow.daylightHours;
+  return midpoint >= start && midpoint < end;
+};
+
+/**
+ * Hours without rain before and after a range of periods
+ * @param {Array} periods - Forecast periods
+ * @param {number} first - Index of the first period in the range
+ * @param {number} last - Index of the last period in the range
+ * @returns {Object} dryBefore/dryAfter hours (limited to the forecast) and whether rain bounds them
+ */
+const measureDrySpell = (periods, first, last) => {
+  let before = first - 1;
+  while (before >= 0 && !isRainy(periods[before])) before--;
+  let after = last + 1;
+  while (after < periods.length && !isRainy(periods[after])) after++;
+
+  return {
+    dryBefore: (first - before - 1) * PERIOD_HOURS,
+    rainBefore: before >= 0,
+    dryAfter: (after - last - 1) * PERIOD_HOURS,
+    rainAfter: after < periods.length
+  };
+};
+
+/**
+ * Check a forecast period against the spray conditions
+ * @param {Array} periods - Forecast periods
+ * @param {number} index - Index of the period
+ * @param {number} rainFreeHours - Hours without rain needed before and after spraying
+ * @returns {string|null} Reason the period is unsuitable, or null when it is suitable
+ */
+const checkPeriod = (periods, index, rainFreeHours) => {
+  const period = periods[index];
+  const { temperature } = config.sprayWindow;
+  const steps = Math.ceil(rainFreeHours / PERIOD_HOURS);
+
+  if (!isDaylight(period)) return 'darkness';
+  if (period.windSpeed >= config.weatherThresholds.windSpeed.warning) return 'wind';
+  if (period.temperature < temperature.min || period.temperature > temperature.max) return 'temperature';
+  if (isRainy(period)) return 'rain';
+  // Earlier hours outside the forecast are unknown and not held against the period
+  if (periods.slice(Math.max(index - steps, 0), index).some(isRainy)) return 'rainBefore';
+  // A rain-free spell after spraying must be confirmed by the forecast
+  if (index + steps >= periods.length) return 'forecastEnd';
+  if (periods.slice(index + 1, index + 1 + steps).some(isRainy)) return 'rainAfter';
+  return null;
+};
+
+/**
+ * Score a spray window from 0 to 100
+ * Calmer wind (40 points), temperatures inside the optimal range (30 points) and a longer
+ * rain-free spell after spraying (30 points, full at twice rainFreeHours) score higher.
+ * @param {Object} window - Window with maxWindSpeed, temperatures and dryAfter hours
+ * @param {number} rainFreeHours - Hours without rain needed after spraying
+ * @returns {number} Score
+ */
+const scoreWindow = (window, rainFreeHours) => {
+  const { temperature } = config.sprayWindow;
+  const windScore = 1 - window.maxWindSpeed / config.weatherThresholds.windSpeed.warning;
+
+  const temperatureScores = window.temperatures.map(value => {
+    if (value >= temperature.optimalMin && value <= temperature.optimalMax) return 1;
+    return value < temperature.optimalMin
+      ? (value - temperature.min) / (temperature.optimalMin - temperature.min)
+      : (temperature.max - value) / (temperature.max - temperature.optimalMax);
+  });
+  const temperatureScore = temperatureScores.reduce((sum, value) => sum + value, 0) / temperatureScores.length;
+
+  const rainScore = Math.min(window.dryAfter / (rainFreeHours * 2), 1);
+
+  return Math.round(windScore * 40 + temperatureScore * 30 + rainScore * 30);
+};
+
+/**
+ * Explain why a window suits spraying
+ * @param {Object} window - Spray window
+ * @param {string} language - Language of the reasons
+ * @returns {Array} Reasons
+ */
+const describeReasons = (window, language) => [
+  translate(language, 'spray.reasons.wind', {
+    windSpeed: Math.round(window.maxWindSpeed),
+    limit: config.weatherThresholds.windSpeed.warning
+  }),
+  Math.round(window.minTemperature) === Math.round(window.maxTemperature)
+    ? translate(language, 'spray.reasons.steadyTemperature', { temperature: Math.round(window.minTemperature) })
+    : translate(language, 'spray.reasons.temperature', {
+      minTemperature: Math.round(window.minTemperature),
+      maxTemperature: Math.round(window.maxTemperature)
+    }),
+  window.rainBefore
+    ? translate(language, 'spray.reasons.dryBefore', { hours: window.dryBefore })
+    : translate(language, 'spray.reasons.dryBeforeForecast'),
+  window.rainAfter
+    ? translate(language, 'spray.reasons.dryAfter', { hours: window.dryAfter })
+    : translate(language, 'spray.reasons.dryAfterForecast')
+];
+
+/**
+ * Find and rank spray windows in the 3-hourly forecast
+ * Windows are runs of daylight periods with wind below weatherThresholds.windSpeed.warning,
+ * temperatures inside sprayWindow.temperature, and no rain in the period or in the rainFreeHours
+ * before and after it. Products marked avoidDuringFlowering get no windows while the crop flowers:
+ * on every day when a growth stage is given, otherwise on the days whose stage (estimated from the
+ * planting date) is flowering.
+ * @param {Object} forecastSummary - Forecast summary with periods
+ * @param {Object} options - Search options
+ * @param {string} options.product - fungicide, herbicide or insecticide (defaults to sprayWindow.defaultProduct)
+ * @param {string} options.growthState - Growth stage for every day (optional)
+ * @param {string} options.crop - Crop type used to estimate the stage of each day (optional)
+ * @param {Date|string} options.plantingDate - Planting date used to estimate the stage of each day (optional)
+ * @param {string} options.variety - Crop variety (optional)
+ * @param {number} options.rainFreeHours - Hours without rain before and after spraying (defaults to sprayWindow.rainFreeHours)
+ * @param {string} options.language - Language of the reasons (defaults to DEFAULT_LANGUAGE)
+ * @returns {Object} Ranked windows, the best window, rejected period counts and the criteria used
+ */
+export const findSprayWindows = (forecastSummary, options = {}) => {
+  const {
+    product = config.sprayWindow.defaultProduct,
+    growthState = null,
+    crop = null,
+    plantingDate = null,
+    variety,
+    rainFreeHours = config.sprayWindow.rainFreeHours,
+    language = config.defaultLanguage
+  } = options;
+
+  const productRules = config.sprayWindow.products[product];
+  if (!productRules) {
+    throw new Error(`Unsupported spray product: ${product}. Supported products: ${Object.keys(config.sprayWindow.products).join(', ')}`);
+  }
+
+  const periods = (forecastSummary?.periods || []).filter(period =>
+    typeof period.temperature === 'number' && typeof period.windSpeed === 'number' && period.localTime);
+
+  // Without a given stage, each forecast day gets the stage estimated from the planting date;
+  // a day whose stage cannot be estimated is treated as having no known stage
+  const stages = {};
+  const stageOn = (date) => {
+    if (growthState || !crop || !plantingDate) return growthState;
+    if (!(date in stages)) {
+      try {
+        stages[date] = estimateGrowthStage(crop, plantingDate, { date, variety }).stage || null;
+      } catch (error) {
+        console.warn(`⚠️  Growth stage estimate failed for ${crop} on ${date}: ${error.message}`);
+        stages[date] = growthState;
+      }
+    }
+    return stages[date];
+  };
+
+  const result = {
+    product,
+    growthState: periods.length > 0 ? stageOn(periods[0].localTime.slice(0, 10)) : growthState,
+    forecastHorizon: forecastSummary?.forecastHorizon || null,
+    criteria: {
+      maxWindSpeed: config.weatherThresholds.windSpeed.warning,
+      minTemperature: config.sprayWindow.temperature.min,
+      maxTemperature: config.sprayWindow.temperature.max,
+      rainFreeHours,
+      daylightHours: config.sprayWindow.daylightHours
+    },
+    blocked: null,
+    windows: [],
+    bestWindow: null,
+    rejectedPeriods: {}
+  };
+
+  const floweringBlock = {
+    reason: 'flowering',
+    message: translate(language, 'spray.floweringBlocked', {
+      product: translate(language, `spray.products.${product}`)
+    })
+  };
+
+  if (growthState === 'flowering' && productRules.avoidDuringFlowering) {
+    result.blocked = floweringBlock;
+    return result;
+  }
+
+  const isFlowering = (period) => productRules.avoidDuringFlowering && stageOn(period.localTime.slice(0, 10)) === 'flowering';
+
+  // Group consecutive suitable periods into windows
+  const runs = [];
+  let run = null;
+  periods.forEach((period, index) => {
+    const rejection = isFlowering(period) ? 'flowering' : checkPeriod(periods, index, rainFreeHours);
+    if (rejection) {
+      result.rejectedPeriods[rejection] = (result.rejectedPeriods[rejection] || 0) + 1;
+      run = null;
+      return;
+    }
+    if (!run) {
+      run = { first: index, last: index };
+      runs.push(run);
+    }
+    run.last = index;
+  });
+
+  if (periods.length > 0 && result.rejectedPeriods.flowering === periods.length) {
+    result.blocked = floweringBlock;
+    return result;
+  }
+
+  result.windows = runs
+    .map(({ first, last }) => {
+      const included = periods.slice(first, last + 1);
+      const temperatures = included.map(period => period.temperature);
+      const window = {
+        start: included[0].time,
+        end: addHours(included[included.length - 1].time, PERIOD_HOURS),
+        localStart: included[0].localTime,
+        localEnd: addHours(included[included.length - 1].localTime, PERIOD_HOURS),
+        hours: included.length * PERIOD_HOURS,
+        maxWindSpeed: Math.max(...included.map(period => period.windSpeed)),
+        minTemperature: Math.min(...temperatures),
+        maxTemperature: Math.max(...temperatures),
+        ...measureDrySpell(periods, first, last)
+      };
+      return {
+        ...window,
+        score: scoreWindow({ ...window, temperatures }, rainFreeHours),
+        reasons: describeReasons(window, language)
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.start.localeCompare(b.start))
+    .slice(0, config.sprayWindow.maxWindows)
+    .map((window, index) => ({ rank: index + 1, ...window }));
+
+  result.bestWindow = result.windows[0] || null;
+  return result;
+};
+
+/**
+ * Format a window's local start and end for advice text
+ * @param {Object} window - Spray window
+ * @returns {Object} Start (date and time) and end (time, with the date when it is another day)
+ */
+const formatWindowTimes = (window) => {
+  const start = window.localStart.replace('T', ' ');
+  const end = window.localEnd.slice(0, 10) === window.localStart.slice(0, 10)
+    ? window.localEnd.slice(11)
+    : window.localEnd.replace('T', ' ');
+  return { start, end };
+};
+
+/**
+ * Describe the best spray window as an advice action
+ * @param {Object} sprayWindows - Result of findSprayWindows
+ * @param {string} language - Language of the action (defaults to DEFAULT_LANGUAGE)
+ * @returns {string|null} Action (null when spraying is blocked for the product)
+ */
+export const describeSprayWindow = (sprayWindows, language = config.defaultLanguage) => {
+  if (sprayWindows.blocked) {
+    return null;
+  }
+
+  const action = sprayWindows.bestWindow
+    ? translate(language, 'spray.bestWindow', {
+      ...formatWindowTimes(sprayWindows.bestWindow),
+      reasons: sprayWindows.bestWindow.reasons.join(', ')
+    })
+    : translate(language, 'spray.noWindow', {
+      period: translate(language, `horizons.${sprayWindows.forecastHorizon || config.defaultForecastHorizon}`)
+    });
+
+  // Insecticides stay off flowering crops whatever the weather
+  return sprayWindows.growthState === 'flowering'
+    ? `${action}. ${translate(language, 'spray.floweringInsecticides')}`
+    : action;
+};
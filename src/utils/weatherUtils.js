@@ -1,51 +1,28 @@
 import config from '../config/config.js';
+import { translate } from './i18nUtils.js';
 
 /**
- * Detect Rwanda's current agricultural season based on current date
- * @returns {Object} Season information
+ * Resolve a forecast horizon key to its definition
+ * @param {string} horizon - Horizon key (24h, 48h, 5d)
+ * @returns {Object} Horizon definition with key, hours and label
  */
-export const detectCurrentSeason = () => {
-  const now = new Date();
-  const month = now.getMonth() + 1; // getMonth() returns 0-11
-  
-  let season;
-  let description;
-  
-  if (month >= 1 && month <= 2) {
-    season = 'shortDry';
-    description = 'Short dry season - January to February';
-  } else if (month >= 3 && month <= 5) {
-    season = 'longRains';
-    description = 'Long rainy season - March to May';
-  } else if (month >= 6 && month <= 9) {
-    season = 'longDry';
-    description = 'Long dry season - June to September';
-  } else {
-    season = 'shortRains';
-    description = 'Short rainy season - October to December';
+export const getForecastHorizon = (horizon = config.defaultForecastHorizon) => {
+  const definition = config.forecastHorizons[horizon];
+  if (!definition) {
+    throw new Error(`Invalid forecast horizon: ${horizon}. Supported horizons: ${Object.keys(config.forecastHorizons).join(', ')}`);
   }
   
-  return {
-    season,
-    description,
-    currentMonth: month,
-    ...config.seasons[season]
-  };
+  return { key: horizon, ...definition };
 };
 
 /**
- * Process and summarize weather forecast data
- * @param {Object} forecastData - Raw forecast data from OpenWeather API
- * @returns {Object} Summarized forecast information
+ * Aggregate a list of 3-hourly forecast entries
+ * @param {Array} forecasts - Forecast entries from the OpenWeather API
+ * @returns {Object} Rainfall, temperature, humidity and wind aggregates
  */
-export const summarizeForecast = (forecastData) => {
-  if (!forecastData || !forecastData.list) {
-    throw new Error('Invalid forecast data received');
-  }
-  
-  const forecasts = forecastData.list.slice(0, 16); // First 48 hours (3-hour intervals)
-  
+const aggregateForecastEntries = (forecasts) => {
   let totalRainfall = 0;
+  let totalHumidity = 0;
   let maxTemp = -Infinity;
   let minTemp = Infinity;
   let maxWindSpeed = 0;
@@ -54,12 +31,15 @@ export const summarizeForecast = (forecastData) => {
   let windHours = 0;
   
   forecasts.forEach(forecast => {
-    const { main, rain, wind, weather } = forecast;
+    const { main, rain, wind } = forecast;
     
-    // Temperature tracking
+    // Temperature tracking (the API is queried with metric units, so values are Celsius)
     if (main.temp > maxTemp) maxTemp = main.temp;
     if (main.temp < minTemp) minTemp = main.temp;
     
+    // Relative humidity (%)
+    totalHumidity += main.humidity || 0;
+    
     // Rainfall tracking
     if (rain && rain['3h']) {
       totalRainfall += rain['3h'];
@@ -70,41 +50,100 @@ export const summarizeForecast = (forecastData) => {
       }
     }
     
-    // Wind tracking
-    if (wind && wind.speed > maxWindSpeed) {
-      maxWindSpeed = wind.speed;
+    // Wind tracking (convert from m/s to km/h to match the thresholds)
+    const windKmh = wind ? wind.speed * 3.6 : 0;
+    if (windKmh > maxWindSpeed) {
+      maxWindSpeed = windKmh;
     }
     
-    if (wind && wind.speed >= config.weatherThresholds.windSpeed.warning) {
+    if (windKmh >= config.weatherThresholds.windSpeed.warning) {
       windHours++;
     }
   });
   
-  // Convert temperatures from Kelvin to Celsius
-  const maxTempC = Math.round((maxTemp - 273.15) * 10) / 10;
-  const minTempC = Math.round((minTemp - 273.15) * 10) / 10;
-  
-  // Convert wind speed from m/s to km/h
-  const maxWindKmh = Math.round(maxWindSpeed * 3.6);
+  const maxTemperature = Math.round(maxTemp * 10) / 10;
+  const minTemperature = Math.round(minTemp * 10) / 10;
+  const roundedRainfall = Math.round(totalRainfall * 10) / 10;
   
   // Determine weather conditions
   const conditions = [];
-  if (totalRainfall > 0) conditions.push('rain');
+  if (roundedRainfall > 0) conditions.push('rain');
   if (heavyRainHours > 0) conditions.push('heavy_rain');
   if (windHours > 0) conditions.push('wind');
-  if (maxTempC > config.weatherThresholds.temperature.max) conditions.push('high_temperature');
-  if (minTempC < config.weatherThresholds.temperature.min) conditions.push('low_temperature');
+  if (maxTemperature > config.weatherThresholds.temperature.max) conditions.push('high_temperature');
+  if (minTemperature < config.weatherThresholds.temperature.min) conditions.push('low_temperature');
   
   return {
-    totalRainfall: Math.round(totalRainfall * 10) / 10,
-    maxTemperature: maxTempC,
-    minTemperature: minTempC,
-    maxWindSpeed: maxWindKmh,
+    totalRainfall: roundedRainfall,
+    maxTemperature,
+    minTemperature,
+    averageHumidity: forecasts.length > 0 ? Math.round(totalHumidity / forecasts.length) : null,
+    maxWindSpeed: Math.round(maxWindSpeed),
     rainHours,
     heavyRainHours,
     windHours,
-    conditions,
-    forecastPeriod: '48 hours',
+    conditions
+  };
+};
+
+/**
+ * Group forecast entries by local calendar day and summarize each day
+ * @param {Array} forecasts - Forecast entries from the OpenWeather API
+ * @param {number} timezoneOffset - Location offset from UTC in seconds
+ * @returns {Array} Per-day summaries in chronological order
+ */
+const summarizeForecastDays = (forecasts, timezoneOffset = 0) => {
+  const days = new Map();
+  
+  forecasts.forEach(forecast => {
+    const date = new Date((forecast.dt + timezoneOffset) * 1000).toISOString().slice(0, 10);
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(forecast);
+  });
+  
+  return Array.from(days.entries()).map(([date, entries]) => {
+    const { conditions, ...aggregates } = aggregateForecastEntries(entries);
+    return { date, ...aggregates, conditions };
+  });
+};
+
+/**
+ * Keep the conditions of each 3-hourly forecast entry
+ * Disease risk models and spray windows need conditions per period rather than daily aggregates.
+ * @param {Array} forecasts - Forecast entries from the OpenWeather API
+ * @param {number} timezoneOffset - Location offset from UTC in seconds
+ * @returns {Array} Periods with start time (UTC and local), local date, temperature, humidity, rainfall and wind (km/h)
+ */
+const summarizeForecastPeriods = (forecasts, timezoneOffset = 0) => forecasts.map(forecast => ({
+  time: new Date(forecast.dt * 1000).toISOString(),
+  localTime: new Date((forecast.dt + timezoneOffset) * 1000).toISOString().slice(0, 16),
+  date: new Date((forecast.dt + timezoneOffset) * 1000).toISOString().slice(0, 10),
+  temperature: forecast.main.temp,
+  humidity: forecast.main.humidity ?? null,
+  rainfall: forecast.rain?.['3h'] || 0,
+  windSpeed: forecast.wind ? Math.round(forecast.wind.speed * 3.6 * 10) / 10 : 0
+}));
+
+/**
+ * Process and summarize weather forecast data
+ * @param {Object} forecastData - Raw forecast data from OpenWeather API
+ * @param {string} horizon - Forecast horizon key (24h, 48h, 5d)
+ * @returns {Object} Summarized forecast information
+ */
+export const summarizeForecast = (forecastData, horizon = config.defaultForecastHorizon) => {
+  if (!forecastData || !forecastData.list) {
+    throw new Error('Invalid forecast data received');
+  }
+  
+  const { hours, label } = getForecastHorizon(horizon);
+  const forecasts = forecastData.list.slice(0, Math.ceil(hours / 3)); // 3-hour intervals
+  
+  return {
+    ...aggregateForecastEntries(forecasts),
+    forecastPeriod: label,
+    forecastHorizon: horizon,
+    dailySummaries: summarizeForecastDays(forecasts, forecastData.city.timezone),
+    periods: summarizeForecastPeriods(forecasts, forecastData.city.timezone),
     location: {
       lat: forecastData.city.coord.lat,
       lon: forecastData.city.coord.lon,
@@ -116,34 +155,35 @@ export const summarizeForecast = (forecastData) => {
 /**
  * Generate weather warnings based on forecast data
  * @param {Object} forecastSummary - Summarized forecast data
+ * @param {string} language - Language of the warnings (defaults to DEFAULT_LANGUAGE)
  * @returns {Array} Array of warning messages
  */
-export const generateWeatherWarnings = (forecastSummary) => {
+export const generateWeatherWarnings = (forecastSummary, language = config.defaultLanguage) => {
   const warnings = [];
   
   // Temperature warnings
   if (forecastSummary.maxTemperature > config.weatherThresholds.temperature.max) {
-    warnings.push(`High temperature warning: ${forecastSummary.maxTemperature}°C expected. Consider shade protection for crops.`);
+    warnings.push(translate(language, 'weather.highTemperature', { temperature: forecastSummary.maxTemperature }));
   }
   
   if (forecastSummary.minTemperature < config.weatherThresholds.temperature.min) {
-    warnings.push(`Low temperature warning: ${forecastSummary.minTemperature}°C expected. Protect sensitive crops from cold.`);
+    warnings.push(translate(language, 'weather.lowTemperature', { temperature: forecastSummary.minTemperature }));
   }
   
   // Wind warnings
   if (forecastSummary.maxWindSpeed >= config.weatherThresholds.windSpeed.danger) {
-    warnings.push(`Dangerous wind conditions: ${forecastSummary.maxWindSpeed} km/h expected. Secure structures and protect crops.`);
+    warnings.push(translate(language, 'weather.dangerousWind', { windSpeed: forecastSummary.maxWindSpeed }));
   } else if (forecastSummary.maxWindSpeed >= config.weatherThresholds.windSpeed.warning) {
-    warnings.push(`Wind warning: ${forecastSummary.maxWindSpeed} km/h expected. Consider wind protection for tall crops.`);
+    warnings.push(translate(language, 'weather.windWarning', { windSpeed: forecastSummary.maxWindSpeed }));
   }
   
   // Rainfall warnings
   if (forecastSummary.heavyRainHours > 0) {
-    warnings.push(`Heavy rainfall expected: ${forecastSummary.heavyRainHours} periods of heavy rain. Ensure proper drainage.`);
+    warnings.push(translate(language, 'weather.heavyRain', { periods: forecastSummary.heavyRainHours }));
   }
   
   if (forecastSummary.totalRainfall === 0 && forecastSummary.rainHours === 0) {
-    warnings.push('No rainfall expected in the next 48 hours. Consider irrigation for water-dependent crops.');
+    warnings.push(translate(language, 'weather.noRain', { period: translate(language, `horizons.${forecastSummary.forecastHorizon || '48h'}`) }));
   }
   
   return warnings;
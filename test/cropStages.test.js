@@ -0,0 +1,92 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Crop-specific stage names come from a fixture crop, so the catalog must be pointed at it before the config loads
+const fixtureDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures/crops');
+process.env.CROP_DATA_DIR = fixtureDir;
+
+const { loadCropCatalog } = await import('../src/config/cropCatalog.js');
+const { getStageModel, getGrowthStateInfo, generateBasicSeasonalAdvice } = await import('../src/utils/cropUtils.js');
+const { estimateGrowthStage, buildPlantingCalendar } = await import('../src/utils/plantingUtils.js');
+const { validateAdviceRequest } = await import('../src/middlewares/validationMiddleware.js');
+const { default: adviceService } = await import('../src/services/adviceService.js');
+
+test('stage model uses the crop and variety stageDays for crop-specific stages', () => {
+  const model = getStageModel('rice');
+  assert.deepEqual(model.stages.map(({ stage, days }) => [stage, days]), [
+    ['establishment', 20],
+    ['tillering', 40],
+    ['flowering', 15],
+    ['ripening', 30]
+  ]);
+  assert.equal(model.totalDays, 105);
+  assert.equal(getStageModel('rice', 'short_rice').totalDays, 95);
+});
+
+test('growth state info describes crop-specific stages by name and length', () => {
+  assert.deepEqual(getGrowthStateInfo('tillering', 'rice'), {
+    state: 'tillering',
+    description: 'tillering',
+    days: 40,
+    minDays: 40,
+    maxDays: 40
+  });
+  assert.equal(getGrowthStateInfo('flowering', 'rice').description, 'Flower development and pollination');
+  assert.throws(() => getGrowthStateInfo('heading', 'rice'), /Invalid growth state: heading/);
+});
+
+test('growth stage is estimated from the planting date through crop-specific stages', () => {
+  const estimate = estimateGrowthStage('rice', '2026-01-01', { date: '2026-02-01' });
+  assert.equal(estimate.stage, 'tillering');
+  assert.equal(estimate.status, 'growing');
+  assert.equal(estimate.daysIntoStage, 11);
+  assert.equal(estimate.nextStage, 'flowering');
+  assert.equal(estimate.maturityDays, 105);
+
+  assert.equal(estimateGrowthStage('rice', '2026-01-01', { date: '2025-12-01' }).nextStage, 'establishment');
+  assert.equal(estimateGrowthStage('rice', '2026-01-01', { date: '2026-06-01' }).status, 'mature');
+});
+
+test('planting calendar reports maturity from crop-specific stages', () => {
+  const calendar = buildPlantingCalendar('rice', { from: '2026-01-01' });
+  assert.equal(calendar.maturityDays, 105);
+  assert.ok(calendar.windows.length > 0);
+  calendar.windows.forEach(window => {
+    assert.deepEqual(window.stages.map(({ stage }) => stage), ['establishment', 'tillering', 'flowering', 'ripening']);
+  });
+});
+
+test('basic advice describes a crop-specific growth state', () => {
+  const advice = generateBasicSeasonalAdvice('rice', 'longRains', { dailySummaries: [] }, { growthState: 'tillering', language: 'en' });
+  assert.equal(advice.growth_stage_advice, 'Growth stage tillering: tillering');
+  assert.ok(advice.productivity_tips.includes('Current growth stage: tillering (40 days)'));
+});
+
+test('the validator and the advice service accept the same growth states', () => {
+  assert.equal(validateAdviceRequest({ crop: 'rice', growthState: 'tillering' }).isValid, true);
+  assert.equal(validateAdviceRequest({ crop: 'rice', growthState: 'fruiting' }).isValid, false);
+
+  assert.equal(adviceService.validateAdditionalData({ growthState: 'Tillering' }, 'rice').growthState, 'tillering');
+  assert.throws(
+    () => adviceService.validateAdditionalData({ growthState: 'fruiting' }, 'rice'),
+    /Growth state must be one of: establishment, tillering, flowering, ripening/
+  );
+});
+
+test('the catalog rejects crop-specific stages without stageDays', () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crops-'));
+  try {
+    const rice = JSON.parse(fs.readFileSync(path.join(fixtureDir, 'rice.json'), 'utf8'));
+    delete rice.stageDays.ripening;
+    fs.writeFileSync(path.join(dataDir, 'rice.json'), JSON.stringify(rice));
+
+    assert.throws(() => loadCropCatalog(dataDir), /stageDays must give a length for crop-specific stages: ripening/);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
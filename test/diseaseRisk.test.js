@@ -0,0 +1,70 @@
+import { buildForecast } from './helpers/setup.js';
+import { test, mock, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import config from '../src/config/config.js';
+import adviceService from '../src/services/adviceService.js';
+import weatherService from '../src/services/weatherService.js';
+import llmService from '../src/services/llmService.js';
+import { assessDiseaseRisks } from '../src/utils/diseaseRiskUtils.js';
+import { summarizeForecast } from '../src/utils/weatherUtils.js';
+
+// Cool, humid, wet weather: Hutton criteria met on every day
+const humidForecast = () => buildForecast({
+  entry: () => ({ main: { temp: 14, temp_min: 12, temp_max: 16, humidity: 95 }, rain: { '3h': 1 } })
+});
+
+beforeEach(() => {
+  mock.restoreAll();
+  mock.method(weatherService, 'getForecast', async () => humidForecast());
+  llmService.provider.setResponse(null);
+});
+
+after(() => {
+  fs.rmSync(config.gdd.historyFile, { force: true });
+});
+
+test('forecast-driven disease scores replace the seasonal risk for modelled diseases', () => {
+  const risks = assessDiseaseRisks('potatoes', summarizeForecast(humidForecast(), '5d'), 'longRains');
+  const lateBlight = risks.find(risk => risk.disease === 'Late Blight');
+  assert.equal(lateBlight.method, 'hutton');
+  assert.equal(lateBlight.level, 'High');
+  assert.ok(lateBlight.triggeringPeriods.length > 0);
+
+  const seasonal = assessDiseaseRisks('potatoes', null, 'longRains');
+  assert.ok(seasonal.every(risk => risk.method === 'seasonal' && risk.score === null));
+});
+
+test('AI advice without diseases gets the catalog diseases with risk scores', async () => {
+  const advice = await adviceService.generateAdvice({ crop: 'potatoes', language: 'en' });
+
+  assert.equal(advice.metadata.advice_source, 'ai');
+  assert.deepEqual(advice.possible_diseases.map(entry => entry.disease_name), ['Late Blight', 'Early Blight']);
+  const lateBlight = advice.possible_diseases[0];
+  assert.equal(lateBlight.risk_method, 'hutton');
+  assert.equal(lateBlight.risk_level, 'High');
+  assert.ok(advice.warnings.some(warning => warning.includes('Late Blight')));
+});
+
+test('AI advice that names diseases keeps them and gets their risk scores', async () => {
+  llmService.provider.setResponse(JSON.stringify({
+    forecast_summary: 'Cool and wet',
+    season: 'longRains',
+    crop: 'beans',
+    soil_ph_analysis: '',
+    growth_stage_advice: '',
+    variety_specific_tips: '',
+    actions: ['Scout beans twice a week'],
+    resources_needed: [],
+    possible_diseases: [{ disease_name: 'Bean Rust', symptoms: 'Rust-coloured pustules', prevention: 'Resistant varieties', treatment: 'Fungicide', risk_level: 'Low' }],
+    possible_pests: [],
+    warnings: [],
+    productivity_tips: []
+  }));
+
+  const advice = await adviceService.generateAdvice({ crop: 'beans', language: 'en' });
+
+  assert.equal(advice.metadata.advice_source, 'ai');
+  assert.deepEqual(advice.possible_diseases.map(entry => entry.disease_name), ['Bean Rust']);
+  assert.equal(advice.possible_diseases[0].risk_method, 'wet_period');
+});
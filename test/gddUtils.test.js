@@ -0,0 +1,60 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateGddStage, calculateDailyGdd } from '../src/utils/gddUtils.js';
+import { addDays, formatDate, toUtcDate } from '../src/utils/seasonUtils.js';
+
+/**
+ * Build a daily temperature series
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {number} days - Number of days
+ * @param {string} source - recorded or forecast
+ * @returns {Object} Temperatures keyed by date
+ */
+const series = (from, days, source = 'recorded') => Object.fromEntries(
+  Array.from({ length: days }, (_, day) => [formatDate(addDays(toUtcDate(from), day)), { min: 14, max: 26, source }])
+);
+
+test('daily GDD clamps temperatures to the base and upper thresholds', () => {
+  assert.equal(calculateDailyGdd(14, 26, 10, 30), 10);
+  assert.equal(calculateDailyGdd(5, 35, 10, 30), 10);
+  assert.equal(calculateDailyGdd(4, 8, 10, 30), 0);
+});
+
+test('an estimate built mostly from measured temperatures is high confidence', () => {
+  const estimate = estimateGddStage('maize', {
+    plantingDate: '2026-09-01',
+    date: '2026-10-01',
+    temperatures: series('2026-09-01', 30)
+  });
+  assert.equal(estimate.confidence, 'high');
+  assert.deepEqual(estimate.temperatureData, { recordedDays: 30, forecastDays: 0, estimatedDays: 0 });
+  assert.equal(estimate.accumulatedGdd, 300);
+});
+
+test('an estimate built mostly from the reference temperature is low confidence', () => {
+  const estimate = estimateGddStage('maize', {
+    plantingDate: '2026-09-01',
+    date: '2026-10-01',
+    temperatures: series('2026-09-25', 6, 'forecast')
+  });
+  assert.equal(estimate.confidence, 'low');
+  assert.deepEqual(estimate.temperatureData, { recordedDays: 0, forecastDays: 6, estimatedDays: 24 });
+});
+
+test('a future planting has no measured days and is low confidence', () => {
+  const estimate = estimateGddStage('maize', {
+    plantingDate: '2026-11-01',
+    date: '2026-10-01',
+    temperatures: series('2026-10-01', 5, 'forecast')
+  });
+  assert.equal(estimate.status, 'not_planted');
+  assert.equal(estimate.confidence, 'low');
+  assert.ok(estimate.projectedMaturityDate > '2026-11-01');
+});
+
+test('a crop planted today has no measured days and is low confidence', () => {
+  const estimate = estimateGddStage('maize', { plantingDate: '2026-10-01', date: '2026-10-01' });
+  assert.equal(estimate.daysSincePlanting, 0);
+  assert.equal(estimate.confidence, 'low');
+});
@@ -0,0 +1,35 @@
+import os from 'os';
+import path from 'path';
+
+// Keep tests offline and independent of the local .env (dotenv never overrides variables already set)
+process.env.DEFAULT_LANGUAGE = 'en';
+process.env.LLM_PROVIDER = 'mock';
+process.env.ADVICE_MODE = 'ai';
+process.env.OPENWEATHER_API_KEY = 'test-key';
+process.env.FORECAST_CACHE_ENABLED = 'true';
+process.env.FORECAST_CACHE_BACKEND = 'memory';
+process.env.ADVICE_CACHE_BACKEND = 'memory';
+process.env.GDD_HISTORY_FILE = path.join(os.tmpdir(), `farming-advisor-gdd-${process.pid}.json`);
+process.env.FARM_STORE_FILE = path.join(os.tmpdir(), `farming-advisor-farms-${process.pid}.json`);
+
+/**
+ * Build an OpenWeather 5-day forecast response with 3-hourly entries
+ * @param {Object} options - Forecast options
+ * @param {number} options.entries - Number of 3-hour entries (defaults to 40)
+ * @param {Function} options.entry - Builds the fields of entry i (merged over dry, calm defaults)
+ * @returns {Object} Forecast response
+ */
+export const buildForecast = ({ entries = 40, entry = () => ({}) } = {}) => {
+  const start = Math.floor(Date.now() / 1000 / 10800) * 10800;
+  return {
+    city: { name: 'Kigali', timezone: 7200, coord: { lat: -1.95, lon: 30.06 } },
+    cnt: entries,
+    list: Array.from({ length: entries }, (_, i) => ({
+      dt: start + i * 10800,
+      main: { temp: 22, temp_min: 20, temp_max: 24, humidity: 60 },
+      wind: { speed: 2 },
+      weather: [{ main: 'Clear', description: 'clear sky' }],
+      ...entry(i)
+    }))
+  };
+};
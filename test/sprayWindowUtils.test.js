@@ -0,0 +1,78 @@
+import { buildForecast } from './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findSprayWindows } from '../src/utils/sprayWindowUtils.js';
+import { estimateGrowthStage } from '../src/utils/plantingUtils.js';
+import { summarizeForecast } from '../src/utils/weatherUtils.js';
+import { addDays, formatDate, toUtcDate } from '../src/utils/seasonUtils.js';
+
+const forecastSummary = summarizeForecast(buildForecast(), '5d');
+const forecastDays = [...new Set(forecastSummary.periods.map(period => period.localTime.slice(0, 10)))];
+
+/**
+ * Find a maize planting date whose flowering stage starts on a given day
+ * @param {string} day - First flowering day (YYYY-MM-DD)
+ * @returns {string} Planting date
+ */
+const plantedToFlowerOn = (day) => {
+  for (let back = 1; back < 200; back++) {
+    const plantingDate = formatDate(addDays(toUtcDate(day), -back));
+    const stageOn = (offset) => estimateGrowthStage('maize', plantingDate, { date: addDays(toUtcDate(day), offset) }).stage;
+    if (stageOn(0) === 'flowering' && stageOn(-1) !== 'flowering') {
+      return plantingDate;
+    }
+  }
+  throw new Error(`No planting date flowers on ${day}`);
+};
+
+test('insecticide windows stop on the first forecast day the crop flowers', () => {
+  const floweringDay = forecastDays[2];
+  const result = findSprayWindows(forecastSummary, {
+    product: 'insecticide',
+    crop: 'maize',
+    plantingDate: plantedToFlowerOn(floweringDay)
+  });
+
+  assert.equal(result.blocked, null);
+  assert.equal(result.growthState, 'vegetative');
+  assert.ok(result.windows.length > 0);
+  assert.ok(result.windows.every(window => window.localEnd <= `${floweringDay}T00:00`));
+  assert.ok(result.rejectedPeriods.flowering > 0);
+});
+
+test('insecticide spraying is blocked when the crop flowers on every forecast day', () => {
+  const plantingDate = formatDate(addDays(toUtcDate(plantedToFlowerOn(forecastDays[0])), -1));
+  const result = findSprayWindows(forecastSummary, { product: 'insecticide', crop: 'maize', plantingDate });
+
+  assert.equal(result.growthState, 'flowering');
+  assert.equal(result.blocked.reason, 'flowering');
+  assert.deepEqual(result.windows, []);
+});
+
+test('fungicide windows ignore flowering', () => {
+  const plantingDate = plantedToFlowerOn(forecastDays[0]);
+  const result = findSprayWindows(forecastSummary, { product: 'fungicide', crop: 'maize', plantingDate });
+
+  assert.equal(result.blocked, null);
+  assert.ok(result.windows.length > 0);
+  assert.equal(result.rejectedPeriods.flowering, undefined);
+});
+
+test('a given growth state applies to every forecast day', () => {
+  const result = findSprayWindows(forecastSummary, {
+    product: 'insecticide',
+    growthState: 'flowering',
+    crop: 'maize',
+    plantingDate: plantedToFlowerOn(forecastDays[4])
+  });
+
+  assert.equal(result.blocked.reason, 'flowering');
+});
+
+test('a stage that cannot be estimated falls back to the given growth state', () => {
+  const result = findSprayWindows(forecastSummary, { product: 'insecticide', crop: 'unknown', plantingDate: '2026-01-01' });
+
+  assert.equal(result.growthState, null);
+  assert.equal(result.blocked, null);
+  assert.ok(result.windows.length > 0);
+});
@@ -0,0 +1,50 @@
+import { buildForecast } from './helpers/setup.js';
+import { test, mock, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import weatherService from '../src/services/weatherService.js';
+
+beforeEach(() => {
+  mock.restoreAll();
+});
+
+test('sliceForecast keeps the entries covering the requested hours', () => {
+  const forecast = buildForecast();
+
+  const day = weatherService.sliceForecast(forecast, 24);
+  assert.equal(day.list.length, 8);
+  assert.equal(day.cnt, 8);
+  assert.deepEqual(day.list, forecast.list.slice(0, 8));
+  assert.equal(day.city, forecast.city);
+
+  assert.equal(weatherService.sliceForecast(forecast, 48).list.length, 16);
+  assert.equal(weatherService.sliceForecast(forecast, 500).list.length, 40);
+});
+
+test('sliceForecast leaves the cached forecast untouched', () => {
+  const forecast = buildForecast();
+  weatherService.sliceForecast(forecast, 24);
+  assert.equal(forecast.list.length, 40);
+  assert.equal(forecast.cnt, 40);
+});
+
+test('getForecast fetches the full forecast once per grid cell and slices every horizon from it', async () => {
+  const fetchForecast = mock.method(weatherService, 'fetchForecast', async () => buildForecast());
+
+  const short = await weatherService.getForecast(-1.5001, 29.6001, 24);
+  const long = await weatherService.getForecast(-1.5002, 29.6002, 120);
+
+  assert.equal(fetchForecast.mock.callCount(), 1);
+  const [lat, lon, hours] = fetchForecast.mock.calls[0].arguments;
+  assert.deepEqual({ lat, lon, hours }, { ...weatherService.roundToGrid(-1.5001, 29.6001), hours: 120 });
+  assert.equal(short.list.length, 8);
+  assert.equal(long.list.length, 40);
+});
+
+test('getForecast fetches each grid cell separately', async () => {
+  const fetchForecast = mock.method(weatherService, 'fetchForecast', async () => buildForecast());
+
+  await weatherService.getForecast(-2.2, 29.2, 48);
+  await weatherService.getForecast(-2.4, 29.2, 48);
+
+  assert.equal(fetchForecast.mock.callCount(), 2);
+});